@@ -3,18 +3,55 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
+const { processDueReminders } = require('../backend/utils/reminders');
+const { purgeExpiredTasks } = require('../backend/utils/trash');
+const { rateLimit, userOrIp, useStore } = require('../backend/utils/rateLimit');
 
 const app = express();
 
+// Requests reach the function through Vercel's proxy
+app.set('trust proxy', 1);
+
+// Each invocation may run in a different instance, so rate limits are
+// counted in MongoDB unless another shared store is configured
+useStore(process.env.RATE_LIMIT_STORE || 'mongo');
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Every API request counts toward the caller's budget
+app.use('/api', rateLimit('api', { key: userOrIp }));
+
 // Import routes
 app.use('/api/auth', require('../backend/routes/auth'));
 app.use('/api/profile', require('../backend/routes/profile'));
 app.use('/api/tasks', require('../backend/routes/tasks'));
+app.use('/api/tags', require('../backend/routes/tags'));
+app.use('/api/projects', require('../backend/routes/projects'));
+app.use('/api/workspaces', require('../backend/routes/workspaces'));
+app.use('/api/invitations', require('../backend/routes/invitations'));
+app.use('/api/notifications', require('../backend/routes/notifications'));
+app.use('/api/calendar', require('../backend/routes/calendar'));
+app.use('/api/stats', require('../backend/routes/stats'));
+
+// Serverless functions cannot keep a timer running, so a scheduled job
+// (e.g. a Vercel cron) calls these routes to run background work
+const cronRoute = (job) => async (req, res, next) => {
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ message: 'Not authorized' });
+  }
+
+  try {
+    res.json({ processed: await job() });
+  } catch (error) {
+    next(error);
+  }
+};
+
+app.get('/api/cron/reminders', cronRoute(processDueReminders));
+app.get('/api/cron/purge-trash', cronRoute(purgeExpiredTasks));
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -1,7 +1,45 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { isAccessToken, findAccessToken, requiredScope } = require('../utils/accessTokens');
 
-// Protect routes - verify JWT token
+// How often a session's last seen time is written, to spare a write per request
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+// A personal access token acts as its user, but only on the routes its
+// scopes cover
+const protectWithAccessToken = async (token, req, res, next) => {
+  const accessToken = await findAccessToken(token);
+  if (!accessToken) {
+    return res.status(401).json({
+      message: 'Invalid or expired access token',
+    });
+  }
+
+  const scope = requiredScope(req);
+  if (!scope) {
+    return res.status(403).json({
+      message: 'Access tokens cannot be used for this route',
+    });
+  }
+  if (!accessToken.scopes.includes(scope)) {
+    return res.status(403).json({
+      message: `This access token is missing the ${scope} scope`,
+    });
+  }
+
+  req.user = await User.findById(accessToken.user).select('-password');
+  if (!req.user) {
+    return res.status(401).json({
+      message: 'User not found with this token',
+    });
+  }
+  req.accessToken = accessToken;
+
+  next();
+};
+
+// Protect routes - verify the JWT of a session, or a personal access token
 exports.protect = async (req, res, next) => {
   try {
     let token;
@@ -17,10 +55,27 @@ exports.protect = async (req, res, next) => {
       });
     }
 
+    if (isAccessToken(token)) {
+      return await protectWithAccessToken(token, req, res, next);
+    }
+
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      
+
+      // The token's session must still exist; signing out deletes it
+      const session = decoded.sid && (await Session.findOne({ _id: decoded.sid, user: decoded.id }));
+      if (!session) {
+        return res.status(401).json({
+          message: 'Session expired. Please login again.',
+        });
+      }
+
+      if (Date.now() - session.lastSeenAt > LAST_SEEN_INTERVAL_MS) {
+        await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+      }
+      req.sessionId = session._id;
+
       // Get user from token
       req.user = await User.findById(decoded.id).select('-password');
       
@@ -41,12 +96,13 @@ exports.protect = async (req, res, next) => {
   }
 };
 
-// Generate JWT token
-exports.generateToken = (id) => {
+// Generate a short-lived JWT access token for a session. Clients get a new
+// one from POST /api/auth/refresh when it expires.
+exports.generateToken = (id, sessionId) => {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET is not configured. Please set it in your .env file.');
   }
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
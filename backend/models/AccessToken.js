@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const SCOPES = ['tasks:read', 'tasks:write', 'profile:read'];
+
+// A personal access token for scripts and integrations. It acts as its user
+// within its scopes; only a hash of the token is stored.
+const accessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a token name'],
+      trim: true,
+      maxlength: [100, 'Token name cannot be more than 100 characters'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Start of the token, so the user can tell their tokens apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [{ type: String, enum: SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'Choose at least one scope',
+      },
+    },
+    // null for a token that never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accessTokenSchema.index({ tokenHash: 1 }, { unique: true });
+accessTokenSchema.index({ user: 1, createdAt: -1 });
+
+accessTokenSchema.statics.SCOPES = SCOPES;
+
+module.exports = mongoose.model('AccessToken', accessTokenSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const activitySchema = new mongoose.Schema(
+  {
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['create', 'update', 'status_change', 'delete', 'restore', 'revert'],
+      required: true,
+    },
+    changes: [changeSchema],
+    // Tracked fields of the task right after this change (right before it for
+    // a delete), used to revert the task to this version
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Activity entry a revert restored
+    revertedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Activity',
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Index for loading a task's history newest first
+activitySchema.index({ task: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Activity', activitySchema);
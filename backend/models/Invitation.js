@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema(
+  {
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      required: true,
+      index: true,
+    },
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      lowercase: true,
+      trim: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
+    },
+    role: {
+      type: String,
+      enum: ['editor', 'viewer'],
+      default: 'editor',
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'revoked'],
+      default: 'pending',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for listing the pending invitations of an email address
+invitationSchema.index({ email: 1, status: 1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
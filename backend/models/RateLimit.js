@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A rate limit counter, used when limits are shared between servers or
+// serverless instances (RATE_LIMIT_STORE=mongo)
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // End of the counter's window; MongoDB removes the counter afterwards
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens name their session, so deleting it signs
+// the device out; the refresh token is only stored as a hash.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 of the current refresh token, which changes on every refresh
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hash of the token it replaced. Seeing that one again means a stolen
+    // token was used, so the session is ended.
+    previousTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // When the refresh token last changed
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: '',
+      maxlength: 500,
+    },
+    ip: {
+      type: String,
+      default: '',
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Pushed back on every refresh; MongoDB removes the session afterwards
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ user: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
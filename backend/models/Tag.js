@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Tag name is required'],
+      trim: true,
+      maxlength: [30, 'Tag name cannot exceed 30 characters'],
+    },
+    color: {
+      type: String,
+      default: '#6b7280',
+      match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1a2b3c'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Tag names are unique per user
+tagSchema.index({ user: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -1,5 +1,55 @@
 const mongoose = require('mongoose');
 
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [200, 'Checklist item cannot exceed 200 characters'],
+  },
+  done: {
+    type: Boolean,
+    default: false,
+  },
+  order: {
+    type: Number,
+    default: 0,
+  },
+});
+
+const recurrenceSchema = new mongoose.Schema(
+  {
+    // RFC 5545 RRULE in canonical form, without the "RRULE:" prefix
+    rule: {
+      type: String,
+      required: true,
+      maxlength: [500, 'Recurrence rule cannot exceed 500 characters'],
+    },
+    // Due date of the first occurrence, which anchors intervals and COUNT
+    start: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const reminderSchema = new mongoose.Schema({
+  // Minutes relative to the due date; negative values fire before it
+  offsetMinutes: {
+    type: Number,
+    required: true,
+  },
+  remindAt: {
+    type: Date,
+    required: true,
+  },
+  sentAt: {
+    type: Date,
+    default: null,
+  },
+});
+
 const taskSchema = new mongoose.Schema(
   {
     title: {
@@ -18,6 +68,12 @@ const taskSchema = new mongoose.Schema(
       enum: ['todo', 'in-progress', 'completed'],
       default: 'todo',
     },
+    // Order within the task's status column on the board, lowest first.
+    // Moves place a task between its neighbours by averaging theirs.
+    position: {
+      type: Number,
+      default: null,
+    },
     priority: {
       type: String,
       enum: ['low', 'medium', 'high'],
@@ -27,12 +83,68 @@ const taskSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    recurrence: {
+      type: recurrenceSchema,
+      default: null,
+    },
+    reminders: {
+      type: [reminderSchema],
+      validate: [
+        (items) => items.length <= 5,
+        'A task cannot have more than 5 reminders',
+      ],
+    },
+    // Occurrence spawned when this recurring task was completed
+    nextOccurrence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Task',
+      default: null,
+    },
+    checklist: {
+      type: [checklistItemSchema],
+      validate: [
+        (items) => items.length <= 100,
+        'A task cannot have more than 100 checklist items',
+      ],
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    tags: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tag',
+      },
+    ],
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
       index: true, // Index for faster queries
     },
+    // Shared workspace the task belongs to; null for personal tasks
+    workspace: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Workspace',
+      default: null,
+    },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // When the task was last moved to completed, for the completion stats
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    // Set when the task is moved to the trash; purged after the retention period
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -40,7 +152,57 @@ const taskSchema = new mongoose.Schema(
 );
 
 // Index for better query performance
-taskSchema.index({ user: 1, createdAt: -1 });
 taskSchema.index({ user: 1, status: 1 });
+taskSchema.index({ user: 1, tags: 1 });
+taskSchema.index({ user: 1, project: 1 });
+taskSchema.index({ workspace: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ workspace: 1, assignee: 1 });
+taskSchema.index({ 'reminders.sentAt': 1, 'reminders.remindAt': 1 });
+taskSchema.index({ user: 1, deletedAt: -1 });
+taskSchema.index({ workspace: 1, deletedAt: -1 });
+
+// Text index for search, ranking title matches above description matches
+taskSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'task_text_search', weights: { title: 5, description: 1 } }
+);
+
+// Indexes backing each cursor-paginated sort order (_id breaks ties)
+taskSchema.index({ user: 1, createdAt: -1, _id: -1 });
+taskSchema.index({ user: 1, dueDate: 1, _id: 1 });
+taskSchema.index({ user: 1, priority: 1, _id: 1 });
+taskSchema.index({ user: 1, title: 1, _id: 1 });
+taskSchema.index({ user: 1, status: 1, position: 1, _id: 1 });
+taskSchema.index({ workspace: 1, status: 1, position: 1, _id: 1 });
+taskSchema.index({ user: 1, completedAt: -1 });
+taskSchema.index({ workspace: 1, completedAt: -1 });
+
+// New tasks go to the bottom of their column, and completedAt follows the
+// status. This runs on validation so bulk inserts from imports are covered too;
+// updates made with findByIdAndUpdate set completedAt themselves.
+taskSchema.pre('validate', function (next) {
+  if (this.isNew && this.position === null) this.position = Date.now();
+  if (this.isNew || this.isModified('status')) {
+    if (this.status !== 'completed') this.completedAt = null;
+    else if (!this.completedAt) this.completedAt = new Date();
+  }
+  next();
+});
+
+// Remove what belongs to a task along with it. Activity entries hold
+// snapshots of its content, so a permanent delete has to take them too.
+const deleteTaskData = async (taskIds) => {
+  await mongoose.model('Comment').deleteMany({ task: { $in: taskIds } });
+  await mongoose.model('Activity').deleteMany({ task: { $in: taskIds } });
+  await mongoose.model('Notification').deleteMany({ task: { $in: taskIds } });
+};
+
+taskSchema.pre('deleteOne', { document: true, query: false }, async function () {
+  await deleteTaskData([this._id]);
+});
+
+taskSchema.pre('deleteMany', async function () {
+  await deleteTaskData(await this.model.find(this.getFilter()).distinct('_id'));
+});
 
 module.exports = mongoose.model('Task', taskSchema);
@@ -17,6 +17,18 @@ const userSchema = new mongoose.Schema(
       trim: true,
       match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address'],
     },
+    // Set once the user opens the link sent to their email address
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // New address waiting to be confirmed; the old one stays in use until then
+    pendingEmail: {
+      type: String,
+      default: undefined,
+      lowercase: true,
+      trim: true,
+    },
     password: {
       type: String,
       required: [true, 'Password is required'],
@@ -27,12 +39,80 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Settings the app remembers for the user across devices
+    preferences: {
+      taskView: {
+        type: String,
+        enum: ['list', 'board', 'calendar'],
+        default: 'list',
+      },
+    },
+    // Opt-in TOTP two-factor authentication. The secret waits in
+    // pendingSecret until the user proves their app has it.
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of the unused recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Time step of the last accepted code, so a code can't be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
+    // Secret in the user's calendar feed URL. Rotating it revokes the old URL.
+    calendarToken: {
+      type: String,
+      default: undefined,
+      select: false,
+    },
+    // Hash of the token in the latest verification link, which confirms
+    // pendingEmail if there is one and the current address otherwise
+    emailVerificationTokenHash: {
+      type: String,
+      default: undefined,
+      select: false,
+    },
+    emailVerificationExpiresAt: {
+      type: Date,
+      default: undefined,
+      select: false,
+    },
+    // Hash of the token in the latest password reset link, cleared once used
+    passwordResetTokenHash: {
+      type: String,
+      default: undefined,
+      select: false,
+    },
+    passwordResetExpiresAt: {
+      type: Date,
+      default: undefined,
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Calendar feeds are looked up by their token
+userSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+
 // Hash password before saving for security
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
@@ -51,4 +131,20 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// The account as sent to its owner, without secrets such as the password
+userSchema.methods.toProfile = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    email: this.email,
+    emailVerified: this.emailVerified,
+    pendingEmail: this.pendingEmail,
+    twoFactorEnabled: this.twoFactor.enabled,
+    avatar: this.avatar,
+    preferences: this.preferences,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'editor',
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const workspaceSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Workspace name is required'],
+      trim: true,
+      maxlength: [100, 'Workspace name cannot exceed 100 characters'],
+    },
+    members: [memberSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for looking up the workspaces a user belongs to
+workspaceSchema.index({ 'members.user': 1 });
+
+// Get the role of a user in this workspace, or null if not a member.
+// Works whether or not members.user has been populated.
+workspaceSchema.methods.roleOf = function (userId) {
+  const member = this.members.find(
+    (m) => (m.user._id || m.user).toString() === userId.toString()
+  );
+  return member ? member.role : null;
+};
+
+workspaceSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
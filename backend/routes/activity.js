@@ -0,0 +1,128 @@
+const express = require('express');
+const Activity = require('../models/Activity');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const { canWrite, findAccessibleTask, isAssignable } = require('../utils/access');
+const { TRACKED_FIELDS, snapshotTask, recordActivity } = require('../utils/activity');
+const { buildReminders } = require('../utils/reminders');
+
+// Mounted under /api/tasks/:id/activity, so the task ID comes from the parent router
+const router = express.Router({ mergeParams: true });
+
+// @route   GET /api/tasks/:id/activity
+// @desc    Get the change history of a task, newest first
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({
+        message: 'Task not found',
+      });
+    }
+
+    const activity = await Activity.find({ task: access.task._id })
+      .select('-snapshot')
+      .populate('actor', 'name email avatar')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({
+      count: activity.length,
+      activity,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/activity/:activityId/revert
+// @desc    Restore a task to the version recorded by an activity entry
+// @access  Private
+router.post('/:activityId/revert', async (req, res, next) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({
+        message: 'Task not found',
+      });
+    }
+
+    if (!canWrite(access.role)) {
+      return res.status(403).json({
+        message: 'You do not have permission to modify this task',
+      });
+    }
+
+    const { task } = access;
+
+    const entry = await Activity.findOne({ _id: req.params.activityId, task: task._id });
+    if (!entry) {
+      return res.status(404).json({
+        message: 'Activity entry not found',
+      });
+    }
+
+    if (entry.action === 'delete') {
+      return res.status(400).json({
+        message: 'Cannot revert to a deleted version',
+      });
+    }
+
+    const before = snapshotTask(task);
+    const version = entry.snapshot;
+
+    // References that have since been deleted are dropped rather than restored
+    const tags = version.tags?.length
+      ? await Tag.find({ _id: { $in: version.tags } }).distinct('_id')
+      : [];
+    const project =
+      version.project && (await Project.exists({ _id: version.project })) ? version.project : null;
+    const assignee =
+      version.assignee && (await isAssignable(version.assignee, task.workspace, task.user))
+        ? version.assignee
+        : null;
+
+    TRACKED_FIELDS.forEach((field) => task.set(field, version[field] ?? null));
+    task.set({ tags, project, assignee, checklist: version.checklist || [] });
+    // Reminders are scheduled from the due date, so they follow it back
+    task.reminders = task.dueDate
+      ? buildReminders(
+          task.reminders.map((reminder) => reminder.offsetMinutes),
+          task.dueDate,
+          task.reminders
+        )
+      : [];
+    await task.save();
+
+    const activity = await recordActivity({
+      task,
+      actor: req.user.id,
+      action: 'revert',
+      before,
+      after: snapshotTask(task),
+      revertedFrom: entry._id,
+    });
+
+    res.json({
+      message: activity ? 'Task reverted successfully' : 'Task already matches this version',
+      task,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or activity ID',
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,45 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, protect } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { protect } = require('../middleware/auth');
+const { startSession, rotateSession, endSession, revokeSessions, describeDevice } = require('../utils/sessions');
+const { createToken, hashToken } = require('../utils/tokens');
+const { sendMail } = require('../utils/mailer');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { createChallenge, verifyChallenge, redeemCode } = require('../utils/twoFactor');
+const { rateLimit, tooManyRequests } = require('../utils/rateLimit');
+const { lockoutRemaining, recordFailure, recordSuccess } = require('../utils/loginLockout');
 
 const router = express.Router();
 
+// Account routes that anyone can call, limited per IP address
+const authLimit = rateLimit('auth');
+
+const lockedOut = (res, seconds) =>
+  tooManyRequests(res, seconds, `Too many failed login attempts. Try again in ${seconds} seconds.`);
+
+// How long a password reset link works
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// Sign the device in and build the login response
+const loginResponse = async (user, req, message = 'Login successful') => {
+  const { token, refreshToken } = await startSession(user, req);
+
+  return {
+    message,
+    token,
+    refreshToken,
+    user: user.toProfile(),
+  };
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
 router.post(
   '/register',
+  authLimit,
   [
     body('name')
       .trim()
@@ -52,19 +82,15 @@ router.post(
         password,
       });
 
-      // Generate token
-      const token = generateToken(user._id);
-
-      res.status(201).json({
-        message: 'User registered successfully',
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          avatar: user.avatar,
-        },
-      });
+      // The account works straight away; the banner nags until it's verified
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Failed to send verification email:', error.message);
+      }
+
+      // Sign the device in
+      res.status(201).json(await loginResponse(user, req, 'User registered successfully'));
     } catch (error) {
       next(error);
     }
@@ -95,35 +121,88 @@ router.post(
 
       const { email, password } = req.body;
 
+      const wait = await lockoutRemaining(email, req.ip);
+      if (wait) return lockedOut(res, wait);
+
       // Check if user exists and include password for comparison
       const user = await User.findOne({ email }).select('+password');
-      if (!user) {
+
+      // Check password. Unknown emails count as failures too, so the
+      // lockout gives away nothing about which accounts exist.
+      if (!user || !(await user.comparePassword(password))) {
+        const locked = await recordFailure(email, req.ip);
+        if (locked) return lockedOut(res, locked);
         return res.status(401).json({
           message: 'Invalid email or password',
         });
       }
 
-      // Check password
-      const isPasswordMatch = await user.comparePassword(password);
-      if (!isPasswordMatch) {
+      // With two-factor authentication on, the password only earns a
+      // challenge token to exchange for tokens together with a code
+      if (user.twoFactor.enabled) {
+        return res.json({
+          message: 'Enter the code from your authenticator app',
+          twoFactorRequired: true,
+          challengeToken: createChallenge(user),
+        });
+      }
+
+      await recordSuccess(email);
+      res.json(await loginResponse(user, req));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/auth/login/2fa
+// @desc    Finish a login with the challenge token and an authenticator or recovery code
+// @access  Public
+router.post(
+  '/login/2fa',
+  [
+    body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+    body('code').isString().trim().notEmpty().withMessage('Code is required'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const userId = verifyChallenge(req.body.challengeToken);
+      const user = userId && (await User.findById(userId).select('+twoFactor.secret'));
+      if (!user || !user.twoFactor.enabled) {
         return res.status(401).json({
-          message: 'Invalid email or password',
+          message: 'Your login has expired. Please enter your password again.',
         });
       }
 
-      // Generate token
-      const token = generateToken(user._id);
+      // Codes count toward the same lockout as passwords
+      const wait = await lockoutRemaining(user.email, req.ip);
+      if (wait) return lockedOut(res, wait);
 
-      res.json({
-        message: 'Login successful',
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          avatar: user.avatar,
-        },
-      });
+      const method = await redeemCode(user, req.body.code);
+      if (!method) {
+        const locked = await recordFailure(user.email, req.ip);
+        if (locked) return lockedOut(res, locked);
+        return res.status(401).json({
+          message: 'Invalid code',
+        });
+      }
+
+      await recordSuccess(user.email);
+      const response = await loginResponse(user, req);
+      if (method === 'recovery') {
+        const { twoFactor } = await User.findById(user._id).select('+twoFactor.recoveryCodes');
+        response.recoveryCodesLeft = twoFactor.recoveryCodes.length;
+      }
+
+      res.json(response);
     } catch (error) {
       next(error);
     }
@@ -136,14 +215,316 @@ router.post(
 router.get('/me', protect, async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
+    res.json({ user: user.toProfile() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const refreshTokenValidator = body('refreshToken')
+  .isString()
+  .withMessage('Refresh token is required')
+  .bail()
+  .notEmpty()
+  .withMessage('Refresh token is required');
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [refreshTokenValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken, req);
+    if (!tokens) {
+      return res.status(401).json({
+        message: 'Session expired. Please login again.',
+      });
+    }
+
+    res.json(tokens);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Sign out the device a refresh token belongs to
+// @access  Public
+router.post('/logout', [refreshTokenValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    await endSession(req.body.refreshToken);
+
+    res.json({
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Sign out every device, including this one
+// @access  Private
+router.post('/logout-all', protect, async (req, res, next) => {
+  try {
+    const { deletedCount } = await revokeSessions(req.user.id);
+
+    res.json({
+      message: 'Signed out everywhere',
+      count: deletedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices signed in to the account
+// @access  Private
+router.get('/sessions', protect, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({ user: req.user.id, expiresAt: { $gt: new Date() } }).sort({
+      lastSeenAt: -1,
+    });
+
     res.json({
-      user: {
-        id: user._id,
-        name: user.name,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        device: describeDevice(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        current: session._id.equals(req.sessionId),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', protect, async (req, res, next) => {
+  try {
+    const { deletedCount } = await Session.deleteOne({ _id: req.params.id, user: req.user.id });
+
+    if (!deletedCount) {
+      return res.status(404).json({
+        message: 'Session not found',
+      });
+    }
+
+    res.json({
+      message: 'Session signed out',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid session ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  '/forgot-password',
+  authLimit,
+  [
+    body('email')
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .normalizeEmail(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      // A new link replaces any earlier one
+      const { token, hash } = createToken();
+      const user = await User.findOneAndUpdate(
+        { email: req.body.email },
+        { passwordResetTokenHash: hash, passwordResetExpiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS) }
+      );
+
+      if (user) {
+        const link = `${process.env.APP_URL || 'http://localhost:5173'}/reset-password?token=${token}`;
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: [
+            `Hi ${user.name},`,
+            '',
+            'Someone asked to reset the password for your account. To choose a new one, open this link within the next hour:',
+            '',
+            link,
+            '',
+            "If it wasn't you, ignore this email and your password stays the same.",
+          ].join('\n'),
+        });
+      }
+
+      // Same answer whether or not the account exists, so the form can't be
+      // used to find out who has one
+      res.json({
+        message: 'If an account exists for that email, a reset link is on its way',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the token from a reset link
+// @access  Public
+router.post(
+  '/reset-password',
+  authLimit,
+  [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      // Clearing the hash in the same update makes the token single-use
+      const user = await User.findOneAndUpdate(
+        {
+          passwordResetTokenHash: hashToken(req.body.token),
+          passwordResetExpiresAt: { $gt: new Date() },
+        },
+        { $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 } }
+      );
+
+      if (!user) {
+        return res.status(400).json({
+          message: 'This reset link is invalid or has expired. Please request a new one.',
+        });
+      }
+
+      user.password = req.body.password;
+      await user.save();
+
+      // Whoever knew the old password is signed out everywhere
+      await revokeSessions(user._id);
+
+      res.json({
+        message: 'Password reset successfully. Please login with your new password.',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the token from a verification link
+// @access  Public
+router.post(
+  '/verify-email',
+  authLimit,
+  [body('token').isString().notEmpty().withMessage('Verification token is required')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findOne({
+        emailVerificationTokenHash: hashToken(req.body.token),
+        emailVerificationExpiresAt: { $gt: new Date() },
+      });
+
+      if (!user) {
+        return res.status(400).json({
+          message: 'This verification link is invalid or has expired. Please request a new one.',
+        });
+      }
+
+      if (user.pendingEmail) {
+        // Someone may have registered with the address since the change was asked for
+        const taken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+        if (taken) {
+          return res.status(400).json({
+            message: 'That email address is now used by another account',
+          });
+        }
+        user.email = user.pendingEmail;
+        user.pendingEmail = undefined;
+      }
+
+      user.emailVerified = true;
+      user.emailVerificationTokenHash = undefined;
+      user.emailVerificationExpiresAt = undefined;
+      await user.save();
+
+      res.json({
+        message: 'Email address verified successfully',
         email: user.email,
-        avatar: user.avatar,
-        createdAt: user.createdAt,
-      },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification link for the account's or the pending email address
+// @access  Private
+router.post('/resend-verification', protect, authLimit, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({
+        message: 'Your email address is already verified',
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      message: `Verification email sent to ${user.pendingEmail || user.email}`,
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,78 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { buildCalendar } = require('../utils/ical');
+
+const router = express.Router();
+
+// Comma-separated values from a fixed set, e.g. "todo,in-progress"
+const listOf = (field, allowed) =>
+  query(field)
+    .optional()
+    .customSanitizer((value) => String(value).split(',').filter(Boolean))
+    .custom((values) => values.every((value) => allowed.includes(value)))
+    .withMessage(`${field} must be a comma-separated list of ${allowed.join(', ')}`);
+
+// @route   GET /api/calendar/:token.ics
+// @desc    iCalendar feed of the user's incomplete tasks with due dates
+// @access  Public (authorized by the feed token)
+router.get(
+  '/:token.ics',
+  [
+    param('token').matches(/^[0-9a-f]{48}$/),
+    listOf('status', ['todo', 'in-progress']),
+    listOf('priority', ['low', 'medium', 'high']),
+    query('type').optional().isIn(['event', 'todo']).withMessage('type must be event or todo'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+
+      // Calendar apps cannot sign in, so a bad token is simply not found
+      if (errors.array().some((error) => error.path === 'token')) {
+        return res.status(404).json({
+          message: 'Calendar feed not found',
+        });
+      }
+
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findOne({ calendarToken: req.params.token });
+      if (!user) {
+        return res.status(404).json({
+          message: 'Calendar feed not found',
+        });
+      }
+
+      const { status, priority, type = 'event' } = req.query;
+
+      // Personal tasks, and workspace tasks assigned to the user
+      const filter = {
+        $or: [{ user: user._id, workspace: null }, { assignee: user._id }],
+        status: status ? { $in: status } : { $ne: 'completed' },
+        dueDate: { $ne: null },
+        deletedAt: null,
+      };
+      if (priority) filter.priority = { $in: priority };
+
+      const tasks = await Task.find(filter).sort({ dueDate: 1 }).populate('tags', 'name');
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="tasks.ics"',
+        'Cache-Control': 'private, max-age=300',
+      });
+      res.send(buildCalendar(tasks, { name: `${user.name}'s tasks`, type }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
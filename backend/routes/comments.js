@@ -0,0 +1,253 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const { findAccessibleTask, getTaskMemberIds } = require('../utils/access');
+const { extractMentionIds } = require('../utils/mentions');
+const { notify } = require('../utils/notifier');
+
+// Mounted under /api/tasks/:id/comments, so the task ID comes from the parent router
+const router = express.Router({ mergeParams: true });
+
+const commentValidators = [
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment cannot be empty')
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters'),
+];
+
+// Keep only mentions of people who can see the task, and notify those not
+// yet notified (everyone except the author and previously mentioned users)
+const resolveMentions = async (task, text, authorId, alreadyMentioned = []) => {
+  const memberIds = await getTaskMemberIds(task);
+  const mentions = extractMentionIds(text).filter((id) => memberIds.includes(id));
+  const toNotify = mentions.filter(
+    (id) => id !== authorId.toString() && !alreadyMentioned.includes(id)
+  );
+  return { mentions, toNotify };
+};
+
+const notifyMentions = async (userIds, { task, comment, author }) => {
+  await notify(
+    userIds.map((userId) => ({
+      user: userId,
+      type: 'mention',
+      actor: author._id,
+      task: task._id,
+      comment: comment._id,
+      message: `${author.name} mentioned you on "${task.title}"`,
+    }))
+  );
+};
+
+// @route   GET /api/tasks/:id/comments
+// @desc    Get all comments on a task, oldest first
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({
+        message: 'Task not found',
+      });
+    }
+
+    const comments = await Comment.find({ task: access.task._id })
+      .populate('author', 'name email avatar')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      count: comments.length,
+      comments,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/comments
+// @desc    Comment on a task or reply to a comment
+// @access  Private
+router.post(
+  '/',
+  [
+    ...commentValidators,
+    body('parent')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid parent comment ID'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const access = await findAccessibleTask(req.params.id, req.user.id);
+
+      if (!access) {
+        return res.status(404).json({
+          message: 'Task not found',
+        });
+      }
+
+      const { task } = access;
+
+      // Replies always hang off the top-level comment so threads stay one level deep
+      let parent = null;
+      if (req.body.parent) {
+        const parentComment = await Comment.findOne({ _id: req.body.parent, task: task._id });
+        if (!parentComment) {
+          return res.status(404).json({
+            message: 'Parent comment not found',
+          });
+        }
+        parent = parentComment.parent || parentComment._id;
+      }
+
+      const { mentions, toNotify } = await resolveMentions(task, req.body.body, req.user.id);
+
+      const comment = await Comment.create({
+        task: task._id,
+        author: req.user.id,
+        body: req.body.body,
+        parent,
+        mentions,
+      });
+
+      await notifyMentions(toNotify, { task, comment, author: req.user });
+      await comment.populate('author', 'name email avatar');
+
+      res.status(201).json({
+        message: 'Comment added successfully',
+        comment,
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: 'Invalid task ID',
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (author only)
+router.put('/:commentId', commentValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const access = await findAccessibleTask(req.params.id, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({
+        message: 'Task not found',
+      });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: access.task._id });
+
+    if (!comment) {
+      return res.status(404).json({
+        message: 'Comment not found',
+      });
+    }
+
+    if (!comment.author.equals(req.user.id)) {
+      return res.status(403).json({
+        message: 'You can only edit your own comments',
+      });
+    }
+
+    const { mentions, toNotify } = await resolveMentions(
+      access.task,
+      req.body.body,
+      req.user.id,
+      comment.mentions.map(String)
+    );
+
+    comment.body = req.body.body;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    await notifyMentions(toNotify, { task: access.task, comment, author: req.user });
+    await comment.populate('author', 'name email avatar');
+
+    res.json({
+      message: 'Comment updated successfully',
+      comment,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or comment ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @desc    Delete a comment along with its replies
+// @access  Private (author only)
+router.delete('/:commentId', async (req, res, next) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({
+        message: 'Task not found',
+      });
+    }
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, task: access.task._id });
+
+    if (!comment) {
+      return res.status(404).json({
+        message: 'Comment not found',
+      });
+    }
+
+    if (!comment.author.equals(req.user.id)) {
+      return res.status(403).json({
+        message: 'You can only delete your own comments',
+      });
+    }
+
+    await Comment.deleteMany({ $or: [{ _id: comment._id }, { parent: comment._id }] });
+
+    res.json({
+      message: 'Comment deleted successfully',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task or comment ID',
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require('express');
+const Invitation = require('../models/Invitation');
+const Workspace = require('../models/Workspace');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Invitations are matched on the email address, so anyone could register
+// with someone else's address and take theirs. It has to be verified first.
+router.use((req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address first to see and answer workspace invitations',
+    });
+  }
+  next();
+});
+
+// Find a pending invitation addressed to the logged in user
+const findOwnInvitation = (invitationId, email) =>
+  Invitation.findOne({ _id: invitationId, email, status: 'pending' });
+
+// @route   GET /api/invitations
+// @desc    Get the pending workspace invitations of the logged in user
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const invitations = await Invitation.find({ email: req.user.email, status: 'pending' })
+      .populate('workspace', 'name')
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      count: invitations.length,
+      invitations,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations/:id/accept
+// @desc    Accept an invitation and join its workspace
+// @access  Private
+router.post('/:id/accept', async (req, res, next) => {
+  try {
+    const invitation = await findOwnInvitation(req.params.id, req.user.email);
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: 'Invitation not found',
+      });
+    }
+
+    const workspace = await Workspace.findById(invitation.workspace);
+    if (!workspace) {
+      return res.status(404).json({
+        message: 'Workspace no longer exists',
+      });
+    }
+
+    if (!workspace.roleOf(req.user.id)) {
+      workspace.members.push({ user: req.user.id, role: invitation.role });
+      await workspace.save();
+    }
+
+    invitation.status = 'accepted';
+    await invitation.save();
+
+    res.json({
+      message: 'Invitation accepted',
+      workspaceId: workspace._id,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid invitation ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations/:id/decline
+// @desc    Decline an invitation
+// @access  Private
+router.post('/:id/decline', async (req, res, next) => {
+  try {
+    const invitation = await findOwnInvitation(req.params.id, req.user.email);
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: 'Invitation not found',
+      });
+    }
+
+    invitation.status = 'declined';
+    await invitation.save();
+
+    res.json({
+      message: 'Invitation declined',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid invitation ID',
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
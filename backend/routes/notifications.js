@@ -0,0 +1,107 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/notifications
+// @desc    Get the newest notifications of the logged in user
+// @access  Private
+router.get(
+  '/',
+  [
+    query('unread').optional().isBoolean().toBoolean(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { unread = false, limit = 20 } = req.query;
+
+      const filter = { user: req.user.id };
+      if (unread) {
+        filter.read = false;
+      }
+
+      const [notifications, unreadCount] = await Promise.all([
+        Notification.find(filter)
+          .populate('actor', 'name avatar')
+          .populate('task', 'title')
+          .sort({ createdAt: -1 })
+          .limit(limit),
+        Notification.countDocuments({ user: req.user.id, read: false }),
+      ]);
+
+      res.json({
+        count: notifications.length,
+        unreadCount,
+        notifications,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark every notification of the logged in user as read
+// @access  Private
+router.patch('/read-all', async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, read: false },
+      { read: true }
+    );
+
+    res.json({
+      message: 'All notifications marked as read',
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.patch('/:id/read', async (req, res, next) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { read: true },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({
+        message: 'Notification not found',
+      });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      notification,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid notification ID',
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,25 @@
+const crypto = require('crypto');
+const archiver = require('archiver');
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const AccessToken = require('../models/AccessToken');
 const { protect } = require('../middleware/auth');
+const { rateLimit, byUser } = require('../utils/rateLimit');
+const { revokeSessions } = require('../utils/sessions');
+const { exportAccount, deleteAccount } = require('../utils/account');
+const { sendVerificationEmail, sendEmailChangeNotice } = require('../utils/emailVerification');
+const { createSecret, isValidCode, generateRecoveryCodes, redeemCode } = require('../utils/twoFactor');
+const { createAccessToken } = require('../utils/accessTokens');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
+// Data exports share the import and export budget
+const bulkLimit = rateLimit('bulk', { key: byUser });
+
 // @route   GET /api/profile
 // @desc    Get user profile
 // @access  Private
@@ -21,16 +33,7 @@ router.get('/', async (req, res, next) => {
       });
     }
 
-    res.json({
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        avatar: user.avatar,
-        createdAt: user.createdAt,
-        updatedAt: user.updatedAt,
-      },
-    });
+    res.json({ user: user.toProfile() });
   } catch (error) {
     next(error);
   }
@@ -69,7 +72,9 @@ router.put(
       const updateFields = {};
 
       if (name) updateFields.name = name;
-      if (email) {
+      // A new email address waits until it is confirmed from its inbox
+      const changingEmail = Boolean(email) && email !== req.user.email;
+      if (changingEmail) {
         // Check if email is already taken by another user
         const existingUser = await User.findOne({ email, _id: { $ne: req.user.id } });
         if (existingUser) {
@@ -77,7 +82,7 @@ router.put(
             message: 'Email is already taken by another user',
           });
         }
-        updateFields.email = email;
+        updateFields.pendingEmail = email;
       }
       if (avatar !== undefined) updateFields.avatar = avatar;
 
@@ -90,15 +95,119 @@ router.put(
         }
       );
 
+      if (changingEmail) {
+        await sendVerificationEmail(user);
+        await sendEmailChangeNotice(user);
+      }
+
+      res.json({
+        message: changingEmail
+          ? `Profile updated. Open the link sent to ${email} to start using it.`
+          : 'Profile updated successfully',
+        user: user.toProfile(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/profile/pending-email
+// @desc    Cancel an email change that hasn't been confirmed yet
+// @access  Private
+router.delete('/pending-email', async (req, res, next) => {
+  try {
+    await User.updateOne(
+      { _id: req.user.id },
+      { $unset: { pendingEmail: 1, emailVerificationTokenHash: 1, emailVerificationExpiresAt: 1 } }
+    );
+
+    res.json({
+      message: 'Email change cancelled',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/profile/preferences
+// @desc    Update the settings the app remembers for the user
+// @access  Private
+router.put(
+  '/preferences',
+  [
+    body('taskView')
+      .optional()
+      .isIn(['list', 'board', 'calendar'])
+      .withMessage('Task view must be list, board or calendar'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const updateFields = {};
+      if (req.body.taskView) updateFields['preferences.taskView'] = req.body.taskView;
+
+      const user = await User.findByIdAndUpdate(req.user.id, updateFields, {
+        new: true,
+        runValidators: true,
+      });
+
+      res.json({
+        message: 'Preferences updated successfully',
+        preferences: user.preferences,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   PUT /api/profile/password
+// @desc    Change the password and sign out every other device
+// @access  Private
+router.put(
+  '/password',
+  [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('New password must be at least 6 characters long'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user.id).select('+password');
+
+      // 400 rather than 401, which the client would treat as an expired token
+      if (!(await user.comparePassword(req.body.currentPassword))) {
+        return res.status(400).json({
+          message: 'Current password is incorrect',
+        });
+      }
+
+      user.password = req.body.newPassword;
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpiresAt = undefined;
+      await user.save();
+
+      await revokeSessions(user._id, { except: req.sessionId });
+
       res.json({
-        message: 'Profile updated successfully',
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          avatar: user.avatar,
-          updatedAt: user.updatedAt,
-        },
+        message: 'Password changed successfully. Your other devices have been signed out.',
       });
     } catch (error) {
       next(error);
@@ -106,4 +215,380 @@ router.put(
   }
 );
 
+// @route   GET /api/profile/export
+// @desc    Download a zip archive of everything stored about the user
+// @access  Private
+router.get('/export', bulkLimit, async (req, res, next) => {
+  try {
+    const files = await exportAccount(req.user.id);
+
+    const filename = `account-export-${new Date().toISOString().slice(0, 10)}.zip`;
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+
+    const archive = archiver('zip');
+    // The headers are gone by the time the archive fails, so cut the download short
+    archive.on('error', (error) => res.destroy(error));
+    archive.pipe(res);
+    Object.entries(files).forEach(([name, contents]) => archive.append(contents, { name }));
+    await archive.finalize();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/profile
+// @desc    Delete the account and its data, after confirming the password
+// @access  Private
+router.delete(
+  '/',
+  [body('password').notEmpty().withMessage('Password is required')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user.id).select('+password');
+
+      if (!(await user.comparePassword(req.body.password))) {
+        return res.status(400).json({
+          message: 'Password is incorrect',
+        });
+      }
+
+      await deleteAccount(user);
+
+      res.json({
+        message: 'Account deleted successfully',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/profile/2fa/setup
+// @desc    Start turning on two-factor authentication with a new secret to scan
+// @access  Private
+router.post('/2fa/setup', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already on',
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await createSecret(user);
+    await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+    res.json({
+      secret,
+      otpauthUrl,
+      qrCode,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const codeValidator = body('code').isString().trim().notEmpty().withMessage('Code is required');
+
+// @route   POST /api/profile/2fa/enable
+// @desc    Turn on two-factor authentication with a code from the app, getting recovery codes
+// @access  Private
+router.post('/2fa/enable', [codeValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        message: 'Start the setup first',
+      });
+    }
+
+    if (!isValidCode(user.twoFactor.pendingSecret, req.body.code)) {
+      return res.status(400).json({
+        message: "That code doesn't match. Check the time on your device and try again.",
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': hashes,
+        $unset: { 'twoFactor.pendingSecret': 1, 'twoFactor.lastUsedStep': 1 },
+      }
+    );
+
+    res.json({
+      message: 'Two-factor authentication is on',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/profile/2fa/disable
+// @desc    Turn off two-factor authentication, confirming the password and a code
+// @access  Private
+router.post(
+  '/2fa/disable',
+  [body('password').notEmpty().withMessage('Password is required'), codeValidator],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.user.id).select('+password +twoFactor.secret');
+
+      if (!user.twoFactor.enabled) {
+        return res.status(400).json({
+          message: 'Two-factor authentication is already off',
+        });
+      }
+
+      if (!(await user.comparePassword(req.body.password)) || !(await redeemCode(user, req.body.code))) {
+        return res.status(400).json({
+          message: 'Password or code is incorrect',
+        });
+      }
+
+      await User.updateOne(
+        { _id: user._id },
+        {
+          'twoFactor.enabled': false,
+          $unset: { 'twoFactor.secret': 1, 'twoFactor.recoveryCodes': 1, 'twoFactor.lastUsedStep': 1 },
+        }
+      );
+
+      res.json({
+        message: 'Two-factor authentication is off',
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/profile/2fa/recovery-codes
+// @desc    Replace the recovery codes, confirming with a code from the app
+// @access  Private
+router.post('/2fa/recovery-codes', [codeValidator], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactor.secret');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is off',
+      });
+    }
+
+    if (!(await redeemCode(user, req.body.code))) {
+      return res.status(400).json({
+        message: 'Invalid code',
+      });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodes': hashes });
+
+    res.json({
+      message: 'New recovery codes created; the old ones no longer work',
+      recoveryCodes: codes,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Path of a calendar feed; the client adds its own origin
+const feedPath = (token) => `/api/calendar/${token}.ics`;
+
+// @route   GET /api/profile/calendar-feed
+// @desc    Get the user's calendar feed URL path, if they have one
+// @access  Private
+router.get('/calendar-feed', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+calendarToken');
+
+    res.json({
+      path: user.calendarToken ? feedPath(user.calendarToken) : null,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/profile/calendar-feed
+// @desc    Create the user's calendar feed, or rotate it so the old URL stops working
+// @access  Private
+router.post('/calendar-feed', async (req, res, next) => {
+  try {
+    const calendarToken = crypto.randomBytes(24).toString('hex');
+    await User.updateOne({ _id: req.user.id }, { calendarToken });
+
+    res.status(201).json({
+      message: 'Calendar feed created successfully',
+      path: feedPath(calendarToken),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/profile/calendar-feed
+// @desc    Turn off the user's calendar feed
+// @access  Private
+router.delete('/calendar-feed', async (req, res, next) => {
+  try {
+    await User.updateOne({ _id: req.user.id }, { $unset: { calendarToken: 1 } });
+
+    res.json({
+      message: 'Calendar feed turned off',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Most personal access tokens a user can have at once
+const MAX_ACCESS_TOKENS = 50;
+
+const formatAccessToken = (accessToken) => ({
+  id: accessToken._id,
+  name: accessToken.name,
+  prefix: accessToken.prefix,
+  scopes: accessToken.scopes,
+  expiresAt: accessToken.expiresAt,
+  lastUsedAt: accessToken.lastUsedAt,
+  createdAt: accessToken.createdAt,
+});
+
+// @route   GET /api/profile/tokens
+// @desc    List the user's personal access tokens
+// @access  Private
+router.get('/tokens', async (req, res, next) => {
+  try {
+    const accessTokens = await AccessToken.find({ user: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({
+      tokens: accessTokens.map(formatAccessToken),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/profile/tokens
+// @desc    Create a personal access token. The token is only shown in this response.
+// @access  Private
+router.post(
+  '/tokens',
+  [
+    body('name')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Token name is required')
+      .isLength({ max: 100 })
+      .withMessage('Token name cannot exceed 100 characters'),
+    body('scopes').isArray({ min: 1 }).withMessage('Choose at least one scope'),
+    body('scopes.*')
+      .isIn(AccessToken.SCOPES)
+      .withMessage(`Scopes must be among ${AccessToken.SCOPES.join(', ')}`),
+    body('expiresInDays')
+      .optional({ values: 'null' })
+      .isInt({ min: 1, max: 365 })
+      .withMessage('expiresInDays must be between 1 and 365')
+      .toInt(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      if ((await AccessToken.countDocuments({ user: req.user.id })) >= MAX_ACCESS_TOKENS) {
+        return res.status(400).json({
+          message: `You can have at most ${MAX_ACCESS_TOKENS} access tokens. Revoke one to create another.`,
+        });
+      }
+
+      const { accessToken, token } = await createAccessToken(req.user, req.body);
+
+      res.status(201).json({
+        message: 'Access token created. Copy it now; it will not be shown again.',
+        token,
+        accessToken: formatAccessToken(accessToken),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/profile/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete('/tokens/:id', async (req, res, next) => {
+  try {
+    const { deletedCount } = await AccessToken.deleteOne({ _id: req.params.id, user: req.user.id });
+
+    if (!deletedCount) {
+      return res.status(404).json({
+        message: 'Access token not found',
+      });
+    }
+
+    res.json({
+      message: 'Access token revoked',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid access token ID',
+      });
+    }
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,274 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult, query } = require('express-validator');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { protect } = require('../middleware/auth');
+const { trashTask } = require('../utils/trash');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Validation shared by create and update
+const projectValidators = (isUpdate) => [
+  isUpdate
+    ? body('name')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('Project name cannot be empty')
+        .isLength({ max: 100 })
+        .withMessage('Project name cannot exceed 100 characters')
+    : body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Project name is required')
+        .isLength({ max: 100 })
+        .withMessage('Project name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #1a2b3c'),
+  body('archived').optional().isBoolean().withMessage('archived must be a boolean').toBoolean(),
+];
+
+// @route   GET /api/projects
+// @desc    Get the logged in user's projects with their task counts
+// @access  Private
+router.get(
+  '/',
+  [query('archived').optional().isBoolean().toBoolean()],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const filter = { user: req.user.id };
+      if (req.query.archived !== undefined) {
+        filter.archived = req.query.archived;
+      }
+
+      const projects = await Project.find(filter).sort({ name: 1 });
+
+      // Count tasks per project in a single query
+      const counts = await Task.aggregate([
+        {
+          $match: {
+            user: new mongoose.Types.ObjectId(req.user.id),
+            project: { $ne: null },
+            deletedAt: null,
+          },
+        },
+        { $group: { _id: '$project', count: { $sum: 1 } } },
+      ]);
+      const countById = Object.fromEntries(counts.map((c) => [c._id.toString(), c.count]));
+
+      res.json({
+        count: projects.length,
+        projects: projects.map((project) => ({
+          ...project.toObject(),
+          taskCount: countById[project._id.toString()] || 0,
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   GET /api/projects/:id
+// @desc    Get a single project by ID
+// @access  Private
+router.get('/:id', async (req, res, next) => {
+  try {
+    const project = await Project.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!project) {
+      return res.status(404).json({
+        message: 'Project not found',
+      });
+    }
+
+    res.json({ project });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/projects
+// @desc    Create a new project
+// @access  Private
+router.post('/', projectValidators(false), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { name, description, color, archived } = req.body;
+
+    const project = await Project.create({
+      name,
+      description,
+      color,
+      archived,
+      user: req.user.id,
+    });
+
+    res.status(201).json({
+      message: 'Project created successfully',
+      project,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/projects/:id
+// @desc    Update a project
+// @access  Private
+router.put('/:id', projectValidators(true), async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { name, description, color, archived } = req.body;
+    const updateFields = {};
+
+    if (name) updateFields.name = name;
+    if (description !== undefined) updateFields.description = description;
+    if (color) updateFields.color = color;
+    if (archived !== undefined) updateFields.archived = archived;
+
+    const project = await Project.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      updateFields,
+      {
+        new: true,
+        runValidators: true,
+      }
+    );
+
+    if (!project) {
+      return res.status(404).json({
+        message: 'Project not found',
+      });
+    }
+
+    res.json({
+      message: 'Project updated successfully',
+      project,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid project ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   DELETE /api/projects/:id?taskAction=move|delete&moveTo=<projectId>
+// @desc    Delete a project, moving its tasks to another project (or to no
+//          project when moveTo is omitted) or moving them to the trash
+// @access  Private
+router.delete(
+  '/:id',
+  [
+    query('taskAction').optional().isIn(['move', 'delete']),
+    query('moveTo').optional().isMongoId().withMessage('Invalid target project ID'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { taskAction = 'move', moveTo } = req.query;
+
+      const project = await Project.findOne({
+        _id: req.params.id,
+        user: req.user.id,
+      });
+
+      if (!project) {
+        return res.status(404).json({
+          message: 'Project not found',
+        });
+      }
+
+      const taskFilter = { user: req.user.id, project: project._id };
+      let affected;
+
+      if (taskAction === 'delete') {
+        // Tasks go to the trash, from where they are restored without a project
+        const tasks = await Task.find({ ...taskFilter, deletedAt: null });
+        for (const task of tasks) {
+          await trashTask(task, req.user.id);
+        }
+        affected = tasks.length;
+      } else {
+        if (moveTo) {
+          const target = await Project.findOne({ _id: moveTo, user: req.user.id });
+          if (!target || target._id.equals(project._id)) {
+            return res.status(400).json({
+              message: 'Target project not found',
+            });
+          }
+        }
+        const result = await Task.updateMany(taskFilter, { project: moveTo || null });
+        affected = result.modifiedCount;
+      }
+
+      await project.deleteOne();
+
+      res.json({
+        message: 'Project deleted successfully',
+        taskAction,
+        tasksAffected: affected,
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: 'Invalid project ID',
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
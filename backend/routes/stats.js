@@ -0,0 +1,93 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const { protect } = require('../middleware/auth');
+const { getWorkspaceRole } = require('../utils/access');
+const { isTimeZone, today, addDays, daysBetween, buildStats } = require('../utils/stats');
+
+const router = express.Router();
+
+// Longest range the stats can cover, and the longest charted by day by default
+const MAX_RANGE_DAYS = 366;
+const DAILY_RANGE_DAYS = 62;
+const DEFAULT_RANGE_DAYS = 30;
+
+// A calendar day, e.g. 2026-10-01
+const dayParam = (name) =>
+  query(name)
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage(`${name} must be a date like 2026-10-01`)
+    .bail()
+    .isISO8601({ strict: true })
+    .withMessage(`${name} must be a valid date`);
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/stats
+// @desc    Get productivity stats for the user's personal tasks or a workspace
+// @access  Private
+router.get(
+  '/',
+  [
+    dayParam('from'),
+    dayParam('to'),
+    query('interval').optional().isIn(['day', 'week']).withMessage('interval must be day or week'),
+    query('timezone')
+      .optional()
+      .custom(isTimeZone)
+      .withMessage('timezone must be an IANA time zone such as Europe/Berlin'),
+    query('workspace').optional().isMongoId().withMessage('Invalid workspace ID'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const timezone = req.query.timezone || 'UTC';
+      const to = req.query.to || today(timezone);
+      const from = req.query.from || addDays(to, 1 - DEFAULT_RANGE_DAYS);
+      const days = daysBetween(from, to) + 1;
+
+      if (days < 1) {
+        return res.status(400).json({
+          message: 'from must not be after to',
+        });
+      }
+
+      if (days > MAX_RANGE_DAYS) {
+        return res.status(400).json({
+          message: `The range cannot exceed ${MAX_RANGE_DAYS} days`,
+        });
+      }
+
+      // Aggregation does not cast, so the IDs are converted here
+      let match;
+      if (req.query.workspace) {
+        if (!(await getWorkspaceRole(req.query.workspace, req.user.id))) {
+          return res.status(404).json({
+            message: 'Workspace not found',
+          });
+        }
+        match = { workspace: new mongoose.Types.ObjectId(req.query.workspace) };
+      } else {
+        match = { user: new mongoose.Types.ObjectId(req.user.id), workspace: null };
+      }
+
+      const interval = req.query.interval || (days > DAILY_RANGE_DAYS ? 'week' : 'day');
+      const stats = await buildStats(match, { from, to, interval, timezone });
+
+      res.json({ stats });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Tag names are compared case-insensitively
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+// @route   GET /api/tags
+// @desc    Get all tags of the logged in user
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const tags = await Tag.find({ user: req.user.id }).collation(NAME_COLLATION).sort({ name: 1 });
+
+    res.json({
+      count: tags.length,
+      tags,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tags
+// @desc    Create a new tag
+// @access  Private
+router.post(
+  '/',
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Tag name is required')
+      .isLength({ max: 30 })
+      .withMessage('Tag name cannot exceed 30 characters'),
+    body('color')
+      .optional()
+      .matches(/^#[0-9a-fA-F]{6}$/)
+      .withMessage('Color must be a hex value like #1a2b3c'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { name, color } = req.body;
+
+      const existingTag = await Tag.findOne({ user: req.user.id, name }).collation(NAME_COLLATION);
+      if (existingTag) {
+        return res.status(400).json({
+          message: 'A tag with this name already exists',
+        });
+      }
+
+      const tag = await Tag.create({
+        name,
+        color,
+        user: req.user.id,
+      });
+
+      res.status(201).json({
+        message: 'Tag created successfully',
+        tag,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   PUT /api/tags/:id
+// @desc    Rename or recolor a tag
+// @access  Private
+router.put(
+  '/:id',
+  [
+    body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Tag name cannot be empty')
+      .isLength({ max: 30 })
+      .withMessage('Tag name cannot exceed 30 characters'),
+    body('color')
+      .optional()
+      .matches(/^#[0-9a-fA-F]{6}$/)
+      .withMessage('Color must be a hex value like #1a2b3c'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const tag = await Tag.findOne({
+        _id: req.params.id,
+        user: req.user.id,
+      });
+
+      if (!tag) {
+        return res.status(404).json({
+          message: 'Tag not found',
+        });
+      }
+
+      const { name, color } = req.body;
+
+      if (name) {
+        const existingTag = await Tag.findOne({
+          user: req.user.id,
+          name,
+          _id: { $ne: tag._id },
+        }).collation(NAME_COLLATION);
+        if (existingTag) {
+          return res.status(400).json({
+            message: 'A tag with this name already exists',
+          });
+        }
+        tag.name = name;
+      }
+      if (color) tag.color = color;
+
+      await tag.save();
+
+      res.json({
+        message: 'Tag updated successfully',
+        tag,
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: 'Invalid tag ID',
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/tags/:id
+// @desc    Delete a tag and detach it from all tasks
+// @access  Private
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const tag = await Tag.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!tag) {
+      return res.status(404).json({
+        message: 'Tag not found',
+      });
+    }
+
+    await Task.updateMany({ user: req.user.id, tags: tag._id }, { $pull: { tags: tag._id } });
+    await tag.deleteOne();
+
+    res.json({
+      message: 'Tag deleted successfully',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid tag ID',
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
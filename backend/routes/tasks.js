@@ -1,88 +1,1355 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Task = require('../models/Task');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
 const { protect } = require('../middleware/auth');
+const { rateLimit, byUser } = require('../utils/rateLimit');
+const {
+  canWrite,
+  getWorkspaceRole,
+  findAccessibleTask,
+  isAssignable,
+} = require('../utils/access');
+const { snapshotTask, recordActivity } = require('../utils/activity');
+const {
+  validateRule,
+  normalizeRule,
+  describeRule,
+  previewOccurrences,
+  spawnNextOccurrence,
+} = require('../utils/recurrence');
+const { buildReminders } = require('../utils/reminders');
+const { retentionDays, purgeDate, trashTask, restoreTask } = require('../utils/trash');
+const { parseSearch, textSearch, fieldConditions, buildHighlights } = require('../utils/search');
+const {
+  EXPORT_FORMATS,
+  IMPORT_FORMATS,
+  exportWriters,
+  readImport,
+  prepareRow,
+  duplicateKey,
+} = require('../utils/transfer');
+const {
+  encodeCursor,
+  decodeCursor,
+  buildSort,
+  buildCursorFilter,
+} = require('../utils/pagination');
 
 const router = express.Router();
 
+const STATUSES = ['todo', 'in-progress', 'completed'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_PREVIEW_ROWS = 20;
+
+// Fields only the server sets: the owner, the link to a series' next
+// occurrence, and the completion and trash times
+const SERVER_FIELDS = ['user', 'nextOccurrence', 'completedAt', 'deletedAt'];
+
+// A request body without the fields clients may not set
+const clientFields = (body) =>
+  Object.fromEntries(Object.entries(body).filter(([field]) => !SERVER_FIELDS.includes(field)));
+
+// Keep only known checklist fields and number items in the order given
+const normalizeChecklist = (items) =>
+  items.map((item, index) => ({
+    ...(item._id && { _id: item._id }),
+    text: item.text,
+    done: Boolean(item.done),
+    order: index,
+  }));
+
+// Check that every tag ID belongs to the given user
+const ownsAllTags = async (tagIds, userId) => {
+  const uniqueIds = [...new Set(tagIds.map(String))];
+  const count = await Tag.countDocuments({ _id: { $in: uniqueIds }, user: userId });
+  return count === uniqueIds.length;
+};
+
+// Check that a project ID belongs to the given user
+const ownsProject = async (projectId, userId) =>
+  Boolean(await Project.exists({ _id: projectId, user: userId }));
+
+// Build the filter for a workspace's tasks or the user's personal tasks,
+// returning null with the user's role when they are not a workspace member
+const scopeFilter = async (workspace, userId) => {
+  if (!workspace) return { filter: { user: userId, workspace: null }, role: 'owner' };
+
+  const role = await getWorkspaceRole(workspace, userId);
+  return { filter: role ? { workspace } : null, role };
+};
+
+// Validate an RRULE and replace it with its canonical form
+const recurrenceRule = (field) =>
+  field
+    .optional({ values: 'null' })
+    .isString()
+    .withMessage('Recurrence must be an RRULE string')
+    .bail()
+    .custom((rule) => {
+      validateRule(rule);
+      return true;
+    })
+    .bail()
+    .customSanitizer(normalizeRule);
+
+const reminderValidators = [
+  body('reminders')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Reminders must be an array of at most 5 reminders'),
+  body('reminders.*.offsetMinutes')
+    .isInt({ min: -31 * 24 * 60, max: 2 * 24 * 60 })
+    .withMessage('Reminders must fall between 31 days before and 2 days after the due date')
+    .toInt(),
+];
+
+// Look up the user's tags or projects by name, case-insensitively, creating
+// any that are missing. Returns a map of lowercased names to IDs.
+const findOrCreateByName = async (Model, names, userId) => {
+  const ids = new Map();
+  const found = await Model.find({ user: userId, name: { $in: names } })
+    .collation({ locale: 'en', strength: 2 })
+    .select('name');
+  found.forEach((doc) => {
+    if (!ids.has(doc.name.toLowerCase())) ids.set(doc.name.toLowerCase(), doc._id);
+  });
+
+  for (const name of names) {
+    if (!ids.has(name.toLowerCase())) {
+      const doc = await Model.create({ name, user: userId });
+      ids.set(name.toLowerCase(), doc._id);
+    }
+  }
+
+  return ids;
+};
+
+// Tasks on the same board as the given one
+const boardFilter = (task) =>
+  task.workspace ? { workspace: task.workspace } : { user: task.user, workspace: null };
+
+// Tasks created before the board have no position. Give those sharing a
+// board with the task one from their creation time, which keeps the order
+// they were listed in (nulls first, then by ID).
+const backfillPositions = (task) =>
+  Task.updateMany({ ...boardFilter(task), position: null }, [
+    { $set: { position: { $toLong: '$createdAt' } } },
+  ]);
+
+// Cards dropped between two others get the midpoint of their positions, so
+// the gaps halve with every drop until a float can't tell them apart. Once a
+// card lands this close to another, its column is renumbered POSITION_STEP
+// apart, while the order is still clear.
+const MIN_POSITION_GAP = 1;
+const POSITION_STEP = 1000;
+
+// Renumber the column holding a task if the task's position is crowding
+// another card's. Returns whether it did.
+const spaceOutColumn = async (task) => {
+  const column = { ...boardFilter(task), status: task.status };
+  const crowded = await Task.exists({
+    ...column,
+    _id: { $ne: task._id },
+    position: { $gt: task.position - MIN_POSITION_GAP, $lt: task.position + MIN_POSITION_GAP },
+  });
+  if (!crowded) return false;
+
+  const tasks = await Task.find(column).sort({ position: 1, _id: 1 }).select('_id').lean();
+  await Task.bulkWrite(
+    tasks.map(({ _id }, index) => ({
+      updateOne: { filter: { _id }, update: { position: (index + 1) * POSITION_STEP } },
+    }))
+  );
+  return true;
+};
+
+// Sort checklist items by their order in place
+const sortChecklist = (task) => {
+  task.checklist.sort((a, b) => a.order - b.order);
+};
+
 // All routes require authentication
 router.use(protect);
 
-// @route   GET /api/tasks
-// @desc    Get all tasks for the logged in user with filtering and search
-// @access  Private
-router.get(
-  '/',
-  [
-    query('status').optional().isIn(['todo', 'in-progress', 'completed']),
-    query('priority').optional().isIn(['low', 'medium', 'high']),
-    query('search').optional().trim(),
-    query('sortBy').optional().isIn(['createdAt', 'dueDate', 'priority', 'title']),
-    query('sortOrder').optional().isIn(['asc', 'desc']),
-  ],
-  async (req, res, next) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
+// Imports and exports are heavy, so they have a budget of their own
+const bulkLimit = rateLimit('bulk', { key: byUser });
+
+// Comment threads and change history live under each task
+router.use('/:id/comments', require('./comments'));
+router.use('/:id/activity', require('./activity'));
+
+// Filters shared by the task list and the export
+const listFilterValidators = [
+  query('status').optional().isIn(['todo', 'in-progress', 'completed']),
+  query('priority').optional().isIn(['low', 'medium', 'high']),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Search cannot exceed 500 characters'),
+  query('tags')
+    .optional()
+    .customSanitizer((value) => String(value).split(',').filter(Boolean))
+    .custom((ids) => ids.every((id) => /^[0-9a-fA-F]{24}$/.test(id)))
+    .withMessage('tags must be a comma-separated list of tag IDs'),
+  query('tagMode').optional().isIn(['any', 'all']),
+  query('workspace').optional().isMongoId().withMessage('Invalid workspace ID'),
+  query('assignee')
+    .optional()
+    .custom((value) => value === 'me' || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('assignee must be a user ID or "me"'),
+  query('project')
+    .optional()
+    .custom((value) => value === 'none' || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('project must be a project ID or "none"'),
+  query('dueFrom').optional().isISO8601().withMessage('dueFrom must be an ISO 8601 date'),
+  query('dueTo').optional().isISO8601().withMessage('dueTo must be an ISO 8601 date'),
+  query('sortBy')
+    .optional()
+    .isIn(['createdAt', 'dueDate', 'priority', 'title', 'position', 'relevance']),
+  query('sortOrder').optional().isIn(['asc', 'desc']),
+];
+
+// Build the query filter for the task list, or null when the user is not a
+// member of the requested workspace
+const buildListFilter = async (params, userId) => {
+  const {
+    status,
+    priority,
+    search,
+    tags,
+    tagMode = 'any',
+    project,
+    workspace,
+    assignee,
+    dueFrom,
+    dueTo,
+  } = params;
+
+  // A workspace's shared tasks, or personal tasks
+  const { filter } = await scopeFilter(workspace, userId);
+  if (!filter) return null;
+
+  // Tasks in the trash are listed separately
+  filter.deletedAt = null;
+
+  if (assignee) {
+    filter.assignee = assignee === 'me' ? userId : assignee;
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  if (priority) {
+    filter.priority = priority;
+  }
+
+  if (project) {
+    filter.project = project === 'none' ? null : project;
+  }
+
+  // Both ends of the range are inclusive, and a plain date covers its whole day
+  if (dueFrom || dueTo) {
+    filter.dueDate = {};
+    if (dueFrom) filter.dueDate.$gte = new Date(dueFrom);
+    if (dueTo && DATE_ONLY.test(dueTo)) {
+      filter.dueDate.$lt = new Date(new Date(dueTo).getTime() + DAY_MS);
+    } else if (dueTo) {
+      filter.dueDate.$lte = new Date(dueTo);
+    }
+  }
+
+  if (tags && tags.length > 0) {
+    // "all" requires every tag, "any" requires at least one
+    filter.tags = tagMode === 'all' ? { $all: tags } : { $in: tags };
+  }
+
+  if (search) {
+    const parsed = parseSearch(search);
+    const text = textSearch(parsed);
+    if (text) filter.$text = { $search: text };
+
+    const conditions = await fieldConditions(parsed, userId);
+    if (conditions.length > 0) filter.$and = conditions;
+  }
+
+  return filter;
+};
+
+// Sort field and order for the list. Relevance only applies to text searches
+// and otherwise falls back to newest first.
+const listSort = (sortBy, sortOrder, filter) => {
+  if (sortBy !== 'relevance') return { sortBy, sortOrder };
+  return filter.$text
+    ? { sortBy: 'relevance', sortOrder: 'desc' }
+    : { sortBy: 'createdAt', sortOrder: 'desc' };
+};
+
+// Mongo sort for a list sort, ranking text matches by their score
+const sortQuery = ({ sortBy, sortOrder }) =>
+  sortBy === 'relevance'
+    ? { score: { $meta: 'textScore' }, _id: -1 }
+    : buildSort(sortBy, sortOrder);
+
+// @route   GET /api/tasks
+// @desc    Get a page of tasks for the logged in user with filtering and search
+// @access  Private
+router.get(
+  '/',
+  [
+    ...listFilterValidators,
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('cursor').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { limit = 20, cursor, search } = req.query;
+
+      const filter = await buildListFilter(req.query, req.user.id);
+      if (!filter) {
+        return res.status(404).json({
+          message: 'Workspace not found',
+        });
+      }
+
+      const sort = listSort(req.query.sortBy || 'createdAt', req.query.sortOrder || 'desc', filter);
+      const { sortBy, sortOrder } = sort;
+
+      // Continue after the last task of the previous page. Relevance scores
+      // cannot be filtered on, so relevance cursors hold an offset instead.
+      let offset = 0;
+      if (cursor) {
+        const position = decodeCursor(cursor, sortBy, sortOrder);
+        if (!position || (sortBy === 'relevance' && !Number.isInteger(position.value))) {
+          return res.status(400).json({
+            message: 'Invalid cursor',
+          });
+        }
+
+        if (sortBy === 'relevance') {
+          offset = position.value;
+        } else {
+          filter.$and = [...(filter.$and || []), buildCursorFilter(sortBy, sortOrder, position)];
+        }
+      }
+
+      // Fetch one extra task to know whether another page exists
+      const tasks = await Task.find(filter)
+        .sort(sortQuery(sort))
+        .skip(offset)
+        .limit(limit + 1);
+
+      const hasMore = tasks.length > limit;
+      if (hasMore) tasks.pop();
+
+      let nextCursor = null;
+      if (hasMore) {
+        const last = tasks[tasks.length - 1];
+        nextCursor =
+          sortBy === 'relevance'
+            ? encodeCursor({ _id: last._id, relevance: offset + tasks.length }, sortBy, sortOrder)
+            : encodeCursor(last, sortBy, sortOrder);
+      }
+
+      res.json({
+        count: tasks.length,
+        tasks,
+        hasMore,
+        nextCursor,
+        ...(search && { highlights: buildHighlights(tasks, parseSearch(search)) }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   GET /api/tasks/counts
+// @desc    Count the tasks in each status for the board's column headers,
+//          applying the list filters other than status
+// @access  Private
+router.get('/counts', listFilterValidators, async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const filter = await buildListFilter({ ...req.query, status: undefined }, req.user.id);
+    if (!filter) {
+      return res.status(404).json({
+        message: 'Workspace not found',
+      });
+    }
+
+    const totals = await Promise.all(
+      STATUSES.map((status) => Task.countDocuments({ ...filter, status }))
+    );
+
+    res.json({
+      counts: Object.fromEntries(STATUSES.map((status, index) => [status, totals[index]])),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/tasks/trash
+// @desc    Get a page of the tasks in the trash, most recently deleted first
+// @access  Private
+router.get(
+  '/trash',
+  [
+    query('workspace').optional().isMongoId().withMessage('Invalid workspace ID'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('cursor').optional().isString(),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { workspace, limit = 20, cursor } = req.query;
+
+      const { filter } = await scopeFilter(workspace, req.user.id);
+      if (!filter) {
+        return res.status(404).json({
+          message: 'Workspace not found',
+        });
+      }
+      filter.deletedAt = { $ne: null };
+
+      if (cursor) {
+        const position = decodeCursor(cursor, 'deletedAt', 'desc');
+        if (!position) {
+          return res.status(400).json({
+            message: 'Invalid cursor',
+          });
+        }
+        filter.$and = [buildCursorFilter('deletedAt', 'desc', position)];
+      }
+
+      const tasks = await Task.find(filter)
+        .sort(buildSort('deletedAt', 'desc'))
+        .limit(limit + 1);
+
+      const hasMore = tasks.length > limit;
+      if (hasMore) tasks.pop();
+
+      res.json({
+        count: tasks.length,
+        retentionDays: retentionDays(),
+        tasks: tasks.map((task) => ({ ...task.toObject(), purgeAt: purgeDate(task.deletedAt) })),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(tasks[tasks.length - 1], 'deletedAt', 'desc') : null,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/tasks/trash
+// @desc    Permanently delete every task in the trash
+// @access  Private
+router.delete(
+  '/trash',
+  [query('workspace').optional().isMongoId().withMessage('Invalid workspace ID')],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { filter, role } = await scopeFilter(req.query.workspace, req.user.id);
+      if (!filter) {
+        return res.status(404).json({
+          message: 'Workspace not found',
+        });
+      }
+
+      if (!canWrite(role)) {
+        return res.status(403).json({
+          message: 'You do not have permission to empty this trash',
+        });
+      }
+
+      const result = await Task.deleteMany({ ...filter, deletedAt: { $ne: null } });
+
+      res.json({
+        message: 'Trash emptied successfully',
+        deleted: result.deletedCount,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   GET /api/tasks/recurrence/preview
+// @desc    Describe a recurrence rule and list its upcoming dates
+// @access  Private
+router.get(
+  '/recurrence/preview',
+  [
+    recurrenceRule(query('rule').exists().withMessage('rule is required')),
+    query('start').optional().isISO8601().withMessage('Invalid date format'),
+    query('count').optional().isInt({ min: 1, max: 20 }).toInt(),
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array(),
+      });
+    }
+
+    const { rule, start = new Date().toISOString(), count = 5 } = req.query;
+
+    res.json({
+      rule,
+      description: describeRule(rule),
+      occurrences: previewOccurrences(rule, start, count),
+    });
+  }
+);
+
+// @route   GET /api/tasks/export
+// @desc    Download the tasks matching the list filters as CSV, JSON or todo.txt
+// @access  Private
+router.get(
+  '/export',
+  bulkLimit,
+  [
+    ...listFilterValidators,
+    query('format')
+      .optional()
+      .isIn(Object.keys(EXPORT_FORMATS))
+      .withMessage('format must be csv, json or todotxt'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { format = 'csv' } = req.query;
+
+      const filter = await buildListFilter(req.query, req.user.id);
+      if (!filter) {
+        return res.status(404).json({
+          message: 'Workspace not found',
+        });
+      }
+      const sort = listSort(req.query.sortBy || 'createdAt', req.query.sortOrder || 'desc', filter);
+
+      const { extension, contentType } = EXPORT_FORMATS[format];
+      const filename = `tasks-${new Date().toISOString().slice(0, 10)}.${extension}`;
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+      });
+
+      // Stream the tasks so large exports are never held in memory at once
+      const writer = exportWriters[format];
+      const cursor = Task.find(filter)
+        .sort(sortQuery(sort))
+        .populate('tags', 'name')
+        .populate('project', 'name')
+        .cursor();
+
+      res.write(writer.start());
+      let index = 0;
+      for await (const task of cursor) {
+        res.write(writer.task(task, index));
+        index += 1;
+      }
+      res.end(writer.end());
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/tasks/import
+// @desc    Import tasks from a CSV, JSON, todo.txt, Trello or Todoist file sent
+//          as the request body, or preview the import with dryRun=true
+// @access  Private
+router.post(
+  '/import',
+  bulkLimit,
+  express.text({ type: ['text/*', 'application/octet-stream'], limit: '20mb' }),
+  [
+    query('format')
+      .isIn(IMPORT_FORMATS)
+      .withMessage('format must be csv, json, todotxt, trello or todoist'),
+    query('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+    query('workspace').optional().isMongoId().withMessage('Invalid workspace ID'),
+    query('mapping')
+      .optional()
+      .custom((value) => {
+        const mapping = JSON.parse(value);
+        return mapping !== null && typeof mapping === 'object' && !Array.isArray(mapping);
+      })
+      .withMessage('mapping must be a JSON object of task fields to column names')
+      .bail()
+      .customSanitizer((value) => JSON.parse(value)),
+    query('filename').optional().isString().isLength({ max: 255 }),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { format, dryRun = false, workspace, mapping, filename } = req.query;
+
+      if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({
+          message: 'The import file is empty',
+        });
+      }
+
+      const { filter, role } = await scopeFilter(workspace, req.user.id);
+      if (!filter) {
+        return res.status(404).json({
+          message: 'Workspace not found',
+        });
+      }
+
+      if (!canWrite(role)) {
+        return res.status(403).json({
+          message: 'You do not have permission to add tasks to this workspace',
+        });
+      }
+
+      let file;
+      try {
+        file = readImport(req.body, format, mapping, { filename });
+      } catch (error) {
+        return res.status(400).json({
+          message: error.message,
+        });
+      }
+
+      if (file.rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({
+          message: `An import can have at most ${MAX_IMPORT_ROWS} rows`,
+        });
+      }
+
+      // Tasks already in this list with the same title and due date are not
+      // imported again, so re-running an import is safe
+      const titles = file.rows.filter((entry) => entry.values).map((entry) => entry.values.title);
+      const existing = await Task.find({ ...filter, deletedAt: null, title: { $in: titles } })
+        .collation({ locale: 'en', strength: 2 })
+        .select('title dueDate');
+      const seen = new Set(existing.map((task) => duplicateKey(task.title, task.dueDate)));
+
+      const accepted = [];
+      const skipped = [];
+      const invalid = [];
+      const outcomes = [];
+
+      file.rows.forEach(({ row, values }) => {
+        if (!values) {
+          skipped.push({ row, title: null, reason: 'Blank row' });
+          outcomes.push({ row, outcome: 'skipped', reason: 'Blank row' });
+          return;
+        }
+
+        const prepared = prepareRow(values, req.user.id);
+        const preview = {
+          ...prepared.fields,
+          tags: prepared.tagNames,
+          project: prepared.projectName,
+        };
+
+        if (prepared.errors.length > 0) {
+          invalid.push({ row, title: values.title || null, errors: prepared.errors });
+          outcomes.push({ row, outcome: 'invalid', errors: prepared.errors, task: preview });
+          return;
+        }
+
+        const key = duplicateKey(prepared.fields.title, prepared.fields.dueDate);
+        if (seen.has(key)) {
+          const reason = 'A task with this title and due date already exists';
+          skipped.push({ row, title: prepared.fields.title, reason });
+          outcomes.push({ row, outcome: 'skipped', reason, task: preview });
+          return;
+        }
+
+        seen.add(key);
+        accepted.push(prepared);
+        outcomes.push({ row, outcome: 'create', task: preview });
+      });
+
+      let created = 0;
+      if (!dryRun && accepted.length > 0) {
+        const tagIds = await findOrCreateByName(
+          Tag,
+          accepted.flatMap((prepared) => prepared.tagNames),
+          req.user.id
+        );
+        const projectIds = await findOrCreateByName(
+          Project,
+          accepted.map((prepared) => prepared.projectName).filter(Boolean),
+          req.user.id
+        );
+
+        for (const prepared of accepted) {
+          const task = await Task.create({
+            ...prepared.fields,
+            tags: prepared.tagNames.map((name) => tagIds.get(name.toLowerCase())),
+            project: prepared.projectName ? projectIds.get(prepared.projectName.toLowerCase()) : null,
+            user: req.user.id,
+            workspace: workspace || null,
+          });
+          await recordActivity({
+            task,
+            actor: req.user.id,
+            action: 'create',
+            before: null,
+            after: snapshotTask(task),
+          });
+          created += 1;
+        }
+      }
+
+      res.status(dryRun ? 200 : 201).json({
+        message: dryRun
+          ? `${accepted.length} of ${file.rows.length} rows are ready to import`
+          : `Imported ${created} task${created === 1 ? '' : 's'}`,
+        dryRun,
+        columns: file.columns,
+        mapping: file.mapping,
+        total: file.rows.length,
+        created: dryRun ? 0 : created,
+        toCreate: accepted.length,
+        skipped,
+        invalid,
+        unmapped: file.unmapped,
+        preview: outcomes.slice(0, IMPORT_PREVIEW_ROWS),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   GET /api/tasks/:id
+// @desc    Get a single task by ID
+// @access  Private
+router.get('/:id', async (req, res, next) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({
+        message: 'Task not found',
+      });
+    }
+
+    const { task } = access;
+
+    res.json({ task });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks
+// @desc    Create a new task
+// @access  Private
+router.post(
+  '/',
+  [
+    body('title')
+      .trim()
+      .notEmpty()
+      .withMessage('Task title is required')
+      .isLength({ max: 200 })
+      .withMessage('Title cannot exceed 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('status')
+      .optional()
+      .isIn(['todo', 'in-progress', 'completed'])
+      .withMessage('Invalid status'),
+    body('priority')
+      .optional()
+      .isIn(['low', 'medium', 'high'])
+      .withMessage('Invalid priority'),
+    body('dueDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    recurrenceRule(body('recurrence')),
+    ...reminderValidators,
+    body('workspace')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid workspace ID'),
+    body('project')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid project ID'),
+    body('assignee')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid assignee ID'),
+    body('tags')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Tags must be an array of at most 20 tag IDs'),
+    body('tags.*').isMongoId().withMessage('Invalid tag ID'),
+    body('checklist')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('Checklist must be an array of at most 100 items'),
+    body('checklist.*.text')
+      .trim()
+      .notEmpty()
+      .withMessage('Checklist item text is required')
+      .isLength({ max: 200 })
+      .withMessage('Checklist item cannot exceed 200 characters'),
+    body('checklist.*.done')
+      .optional()
+      .isBoolean()
+      .withMessage('Checklist item done must be a boolean')
+      .toBoolean(),
+    body('checklist.*._id')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid checklist item ID'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      if (req.body.tags && !(await ownsAllTags(req.body.tags, req.user.id))) {
+        return res.status(400).json({
+          message: 'One or more tags were not found',
+        });
+      }
+
+      if (req.body.project && !(await ownsProject(req.body.project, req.user.id))) {
+        return res.status(400).json({
+          message: 'Project not found',
+        });
+      }
+
+      const { workspace } = req.body;
+      if (workspace && !canWrite(await getWorkspaceRole(workspace, req.user.id))) {
+        return res.status(403).json({
+          message: 'You do not have permission to add tasks to this workspace',
+        });
+      }
+
+      if (req.body.assignee && !(await isAssignable(req.body.assignee, workspace, req.user.id))) {
+        return res.status(400).json({
+          message: 'Assignee must be a member of the workspace',
+        });
+      }
+
+      if (req.body.recurrence && !req.body.dueDate) {
+        return res.status(400).json({
+          message: 'Recurring tasks need a due date',
+        });
+      }
+
+      const reminderOffsets = (req.body.reminders || []).map((reminder) => reminder.offsetMinutes);
+      if (reminderOffsets.length > 0 && !req.body.dueDate) {
+        return res.status(400).json({
+          message: 'Reminders need a due date',
+        });
+      }
+
+      const taskData = {
+        ...clientFields(req.body),
+        user: req.user.id,
+      };
+
+      if (req.body.recurrence) {
+        taskData.recurrence = { rule: req.body.recurrence, start: req.body.dueDate };
+      }
+
+      taskData.reminders = buildReminders(reminderOffsets, req.body.dueDate);
+
+      if (req.body.checklist) {
+        taskData.checklist = normalizeChecklist(req.body.checklist);
+      }
+
+      const task = await Task.create(taskData);
+      await recordActivity({
+        task,
+        actor: req.user.id,
+        action: 'create',
+        before: null,
+        after: snapshotTask(task),
+      });
+
+      res.status(201).json({
+        message: 'Task created successfully',
+        task,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Apply a bulk action to one task the user can edit. Returns an error
+// message when the change is not allowed for this task.
+const applyBulkAction = (task, action, value) => {
+  switch (action) {
+    case 'status':
+      task.status = value;
+      break;
+    case 'priority':
+      task.priority = value;
+      break;
+    case 'dueDate':
+      if (!value && task.recurrence) return 'Recurring tasks need a due date';
+      if (!value && task.reminders.length > 0) return 'Reminders need a due date';
+      task.dueDate = value;
+      task.reminders = buildReminders(
+        task.reminders.map((reminder) => reminder.offsetMinutes),
+        value,
+        task.reminders
+      );
+      break;
+    case 'addTags':
+      task.tags.addToSet(...value);
+      break;
+  }
+  return null;
+};
+
+// @route   POST /api/tasks/bulk
+// @desc    Apply one action to many tasks, checking and reporting each task
+// @access  Private
+router.post(
+  '/bulk',
+  [
+    body('ids')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('ids must be an array of 1 to 100 task IDs'),
+    body('ids.*').isMongoId().withMessage('Invalid task ID'),
+    body('action')
+      .isIn(['status', 'priority', 'dueDate', 'addTags', 'delete', 'restore'])
+      .withMessage('action must be one of status, priority, dueDate, addTags, delete or restore'),
+    // The value is checked against the rules of the field the action sets
+    body('value')
+      .if(body('action').equals('status'))
+      .isIn(['todo', 'in-progress', 'completed'])
+      .withMessage('Invalid status'),
+    body('value')
+      .if(body('action').equals('priority'))
+      .isIn(['low', 'medium', 'high'])
+      .withMessage('Invalid priority'),
+    body('value')
+      .if(body('action').equals('dueDate'))
+      .if((value) => value !== null)
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    body('value')
+      .if(body('action').equals('addTags'))
+      .isArray({ min: 1, max: 20 })
+      .withMessage('Tags must be an array of 1 to 20 tag IDs'),
+    body('value.*')
+      .if(body('action').equals('addTags'))
+      .isMongoId()
+      .withMessage('Invalid tag ID'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const { action, value } = req.body;
+
+      if (action === 'addTags' && !(await ownsAllTags(value, req.user.id))) {
+        return res.status(400).json({
+          message: 'One or more tags were not found',
+        });
+      }
+
+      const results = [];
+      for (const id of [...new Set(req.body.ids)]) {
+        // Restoring works on the trash, every other action on live tasks
+        const access = await findAccessibleTask(id, req.user.id, {
+          deleted: action === 'restore',
+        });
+
+        if (!access) {
+          results.push({
+            id,
+            success: false,
+            message: action === 'restore' ? 'Task not found in trash' : 'Task not found',
+          });
+          continue;
+        }
+
+        if (!canWrite(access.role)) {
+          results.push({
+            id,
+            success: false,
+            message: 'You do not have permission to modify this task',
+          });
+          continue;
+        }
+
+        const { task } = access;
+        const before = snapshotTask(task);
+
+        if (action === 'delete') {
+          await trashTask(task, req.user.id);
+          results.push({ id, success: true });
+          continue;
+        }
+
+        if (action === 'restore') {
+          await restoreTask(task, req.user.id);
+          results.push({ id, success: true, task });
+          continue;
+        }
+
+        const problem = applyBulkAction(task, action, value);
+        if (problem) {
+          results.push({ id, success: false, message: problem });
+          continue;
+        }
+
+        await task.save();
+        await recordActivity({
+          task,
+          actor: req.user.id,
+          action: 'update',
+          before,
+          after: snapshotTask(task),
+        });
+
+        const nextTask =
+          before.status !== 'completed' && task.status === 'completed'
+            ? await spawnNextOccurrence(task, req.user.id)
+            : null;
+
+        results.push({ id, success: true, task, ...(nextTask && { nextTask }) });
+      }
+
+      const succeeded = results.filter((result) => result.success).length;
+
+      res.json({
+        message: `${succeeded} of ${results.length} tasks updated`,
+        succeeded,
+        failed: results.length - succeeded,
+        results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   PUT /api/tasks/:id
+// @desc    Update a task
+// @access  Private
+router.put(
+  '/:id',
+  [
+    body('title')
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage('Title cannot be empty')
+      .isLength({ max: 200 })
+      .withMessage('Title cannot exceed 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description cannot exceed 1000 characters'),
+    body('status')
+      .optional()
+      .isIn(['todo', 'in-progress', 'completed'])
+      .withMessage('Invalid status'),
+    body('priority')
+      .optional()
+      .isIn(['low', 'medium', 'high'])
+      .withMessage('Invalid priority'),
+    body('position')
+      .optional()
+      .isFloat()
+      .withMessage('Position must be a number')
+      .toFloat(),
+    body('dueDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Invalid date format'),
+    recurrenceRule(body('recurrence')),
+    ...reminderValidators,
+    body('project')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid project ID'),
+    body('assignee')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid assignee ID'),
+    body('tags')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Tags must be an array of at most 20 tag IDs'),
+    body('tags.*').isMongoId().withMessage('Invalid tag ID'),
+    body('checklist')
+      .optional()
+      .isArray({ max: 100 })
+      .withMessage('Checklist must be an array of at most 100 items'),
+    body('checklist.*.text')
+      .trim()
+      .notEmpty()
+      .withMessage('Checklist item text is required')
+      .isLength({ max: 200 })
+      .withMessage('Checklist item cannot exceed 200 characters'),
+    body('checklist.*.done')
+      .optional()
+      .isBoolean()
+      .withMessage('Checklist item done must be a boolean')
+      .toBoolean(),
+    body('checklist.*._id')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid checklist item ID'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const access = await findAccessibleTask(req.params.id, req.user.id);
+
+      if (!access) {
+        return res.status(404).json({
+          message: 'Task not found',
+        });
+      }
+
+      if (!canWrite(access.role)) {
+        return res.status(403).json({
+          message: 'You do not have permission to modify this task',
+        });
+      }
+
+      let { task } = access;
+
+      // Only newly attached tags and projects must belong to the editor, since
+      // shared tasks may carry those of other workspace members
+      const addedTags = (req.body.tags || []).filter(
+        (tagId) => !task.tags.some((existing) => existing.equals(tagId))
+      );
+      if (addedTags.length > 0 && !(await ownsAllTags(addedTags, req.user.id))) {
+        return res.status(400).json({
+          message: 'One or more tags were not found',
+        });
+      }
+
+      if (
+        req.body.project &&
+        !(task.project && task.project.equals(req.body.project)) &&
+        !(await ownsProject(req.body.project, req.user.id))
+      ) {
         return res.status(400).json({
-          message: 'Validation failed',
-          errors: errors.array(),
+          message: 'Project not found',
+        });
+      }
+
+      if (
+        req.body.assignee &&
+        !(await isAssignable(req.body.assignee, task.workspace, task.user))
+      ) {
+        return res.status(400).json({
+          message: 'Assignee must be a member of the workspace',
+        });
+      }
+
+      const rule =
+        req.body.recurrence !== undefined ? req.body.recurrence : task.recurrence?.rule;
+      const dueDate = req.body.dueDate !== undefined ? req.body.dueDate : task.dueDate;
+      if (rule && !dueDate) {
+        return res.status(400).json({
+          message: 'Recurring tasks need a due date',
+        });
+      }
+
+      const reminderOffsets = (req.body.reminders || task.reminders).map(
+        (reminder) => reminder.offsetMinutes
+      );
+      if (reminderOffsets.length > 0 && !dueDate) {
+        return res.status(400).json({
+          message: 'Reminders need a due date',
         });
       }
 
-      const { status, priority, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
-      
-      // Build query filter
-      const filter = { user: req.user.id };
-      
-      if (status) {
-        filter.status = status;
+      // Tasks cannot move between workspaces either
+      const { workspace, ...updateFields } = clientFields(req.body);
+      if (updateFields.status && updateFields.status !== task.status) {
+        updateFields.completedAt = updateFields.status === 'completed' ? new Date() : null;
+      }
+      if (req.body.checklist) {
+        updateFields.checklist = normalizeChecklist(req.body.checklist);
+      }
+
+      // A new rule starts its series from the current due date
+      if (!rule) {
+        updateFields.recurrence = null;
+      } else if (rule === task.recurrence?.rule) {
+        delete updateFields.recurrence;
+      } else {
+        updateFields.recurrence = { rule, start: dueDate };
       }
-      
-      if (priority) {
-        filter.priority = priority;
+
+      // Reminders follow the due date, and only those that moved fire again
+      if (req.body.reminders !== undefined || req.body.dueDate !== undefined) {
+        updateFields.reminders = buildReminders(reminderOffsets, dueDate, task.reminders);
       }
-      
-      if (search) {
-        filter.$or = [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } },
-        ];
+
+      // The new position was worked out from neighbours that may predate
+      // positions, so those need theirs first
+      if (updateFields.position !== undefined) {
+        await backfillPositions(task);
       }
 
-      // Build sort object
-      const sort = {};
-      sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
+      const before = snapshotTask(task);
+
+      // Update task
+      task = await Task.findByIdAndUpdate(
+        req.params.id,
+        updateFields,
+        {
+          new: true,
+          runValidators: true,
+        }
+      );
 
-      const tasks = await Task.find(filter).sort(sort);
+      // Clients reload the column when its positions were renumbered
+      const renumbered = updateFields.position !== undefined && (await spaceOutColumn(task));
+      if (renumbered) task = await Task.findById(task._id);
+
+      await recordActivity({
+        task,
+        actor: req.user.id,
+        action: 'update',
+        before,
+        after: snapshotTask(task),
+      });
+
+      // Completing an occurrence of a recurring task schedules the next one
+      const nextTask =
+        before.status !== 'completed' && task.status === 'completed'
+          ? await spawnNextOccurrence(task, req.user.id)
+          : null;
 
       res.json({
-        count: tasks.length,
-        tasks,
+        message: 'Task updated successfully',
+        task,
+        ...(nextTask && { nextTask }),
+        ...(renumbered && { renumbered }),
       });
     } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: 'Invalid task ID',
+        });
+      }
       next(error);
     }
   }
 );
 
-// @route   GET /api/tasks/:id
-// @desc    Get a single task by ID
+// @route   DELETE /api/tasks/:id
+// @desc    Move a task to the trash
 // @access  Private
-router.get('/:id', async (req, res, next) => {
+router.delete('/:id', async (req, res, next) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      user: req.user.id,
-    });
+    const access = await findAccessibleTask(req.params.id, req.user.id);
 
-    if (!task) {
+    if (!access) {
       return res.status(404).json({
         message: 'Task not found',
       });
     }
 
-    res.json({ task });
+    if (!canWrite(access.role)) {
+      return res.status(403).json({
+        message: 'You do not have permission to modify this task',
+      });
+    }
+
+    await trashTask(access.task, req.user.id);
+
+    res.json({
+      message: 'Task moved to trash',
+      task: access.task,
+    });
   } catch (error) {
     if (error.name === 'CastError') {
       return res.status(400).json({
@@ -93,32 +1360,87 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
-// @route   POST /api/tasks
-// @desc    Create a new task
+// @route   POST /api/tasks/:id/restore
+// @desc    Restore a task from the trash
+// @access  Private
+router.post('/:id/restore', async (req, res, next) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id, { deleted: true });
+
+    if (!access) {
+      return res.status(404).json({
+        message: 'Task not found in trash',
+      });
+    }
+
+    if (!canWrite(access.role)) {
+      return res.status(403).json({
+        message: 'You do not have permission to modify this task',
+      });
+    }
+
+    await restoreTask(access.task, req.user.id);
+
+    res.json({
+      message: 'Task restored successfully',
+      task: access.task,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   DELETE /api/tasks/:id/permanent
+// @desc    Permanently delete a task from the trash
+// @access  Private
+router.delete('/:id/permanent', async (req, res, next) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id, { deleted: true });
+
+    if (!access) {
+      return res.status(404).json({
+        message: 'Task not found in trash',
+      });
+    }
+
+    if (!canWrite(access.role)) {
+      return res.status(403).json({
+        message: 'You do not have permission to modify this task',
+      });
+    }
+
+    await access.task.deleteOne();
+
+    res.json({
+      message: 'Task permanently deleted',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid task ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/checklist
+// @desc    Add a checklist item to a task
 // @access  Private
 router.post(
-  '/',
+  '/:id/checklist',
   [
-    body('title')
+    body('text')
       .trim()
       .notEmpty()
-      .withMessage('Task title is required')
+      .withMessage('Checklist item text is required')
       .isLength({ max: 200 })
-      .withMessage('Title cannot exceed 200 characters'),
-    body('description')
-      .optional()
-      .trim()
-      .isLength({ max: 1000 })
-      .withMessage('Description cannot exceed 1000 characters'),
-    body('status')
-      .optional()
-      .isIn(['todo', 'in-progress', 'completed'])
-      .withMessage('Invalid status'),
-    body('priority')
-      .optional()
-      .isIn(['low', 'medium', 'high'])
-      .withMessage('Invalid priority'),
-    body('dueDate').optional().isISO8601().withMessage('Invalid date format'),
+      .withMessage('Checklist item cannot exceed 200 characters'),
   ],
   async (req, res, next) => {
     try {
@@ -130,53 +1452,147 @@ router.post(
         });
       }
 
-      const taskData = {
-        ...req.body,
-        user: req.user.id,
-      };
+      const access = await findAccessibleTask(req.params.id, req.user.id);
 
-      const task = await Task.create(taskData);
+      if (!access) {
+        return res.status(404).json({
+          message: 'Task not found',
+        });
+      }
+
+      if (!canWrite(access.role)) {
+        return res.status(403).json({
+          message: 'You do not have permission to modify this task',
+        });
+      }
+
+      const { task } = access;
+      const before = snapshotTask(task);
+
+      const lastOrder = task.checklist.reduce((max, item) => Math.max(max, item.order), -1);
+      task.checklist.push({ text: req.body.text, order: lastOrder + 1 });
+      await task.save();
+      await recordActivity({
+        task,
+        actor: req.user.id,
+        action: 'update',
+        before,
+        after: snapshotTask(task),
+      });
 
       res.status(201).json({
-        message: 'Task created successfully',
+        message: 'Checklist item added successfully',
         task,
       });
     } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: 'Invalid task ID',
+        });
+      }
       next(error);
     }
   }
 );
 
-// @route   PUT /api/tasks/:id
-// @desc    Update a task
+// @route   PUT /api/tasks/:id/checklist/reorder
+// @desc    Reorder the checklist items of a task
 // @access  Private
 router.put(
-  '/:id',
+  '/:id/checklist/reorder',
   [
-    body('title')
+    body('itemIds')
+      .isArray()
+      .withMessage('itemIds must be an array of checklist item IDs'),
+    body('itemIds.*').isMongoId().withMessage('Invalid checklist item ID'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const access = await findAccessibleTask(req.params.id, req.user.id);
+
+      if (!access) {
+        return res.status(404).json({
+          message: 'Task not found',
+        });
+      }
+
+      if (!canWrite(access.role)) {
+        return res.status(403).json({
+          message: 'You do not have permission to modify this task',
+        });
+      }
+
+      const { task } = access;
+      const before = snapshotTask(task);
+
+      // The new order must list every existing item exactly once
+      const { itemIds } = req.body;
+      const currentIds = task.checklist.map((item) => item._id.toString());
+      const isPermutation =
+        itemIds.length === currentIds.length &&
+        new Set(itemIds).size === itemIds.length &&
+        itemIds.every((itemId) => currentIds.includes(itemId));
+
+      if (!isPermutation) {
+        return res.status(400).json({
+          message: 'itemIds must contain each checklist item exactly once',
+        });
+      }
+
+      itemIds.forEach((itemId, index) => {
+        task.checklist.id(itemId).order = index;
+      });
+      sortChecklist(task);
+      await task.save();
+      await recordActivity({
+        task,
+        actor: req.user.id,
+        action: 'update',
+        before,
+        after: snapshotTask(task),
+      });
+
+      res.json({
+        message: 'Checklist reordered successfully',
+        task,
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: 'Invalid task ID',
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+// @route   PATCH /api/tasks/:id/checklist/:itemId
+// @desc    Update a checklist item, toggling it when no fields are given
+// @access  Private
+router.patch(
+  '/:id/checklist/:itemId',
+  [
+    body('text')
       .optional()
       .trim()
       .notEmpty()
-      .withMessage('Title cannot be empty')
+      .withMessage('Checklist item text cannot be empty')
       .isLength({ max: 200 })
-      .withMessage('Title cannot exceed 200 characters'),
-    body('description')
-      .optional()
-      .trim()
-      .isLength({ max: 1000 })
-      .withMessage('Description cannot exceed 1000 characters'),
-    body('status')
-      .optional()
-      .isIn(['todo', 'in-progress', 'completed'])
-      .withMessage('Invalid status'),
-    body('priority')
-      .optional()
-      .isIn(['low', 'medium', 'high'])
-      .withMessage('Invalid priority'),
-    body('dueDate')
+      .withMessage('Checklist item cannot exceed 200 characters'),
+    body('done')
       .optional()
-      .isISO8601()
-      .withMessage('Invalid date format'),
+      .isBoolean()
+      .withMessage('done must be a boolean')
+      .toBoolean(),
   ],
   async (req, res, next) => {
     try {
@@ -188,35 +1604,54 @@ router.put(
         });
       }
 
-      let task = await Task.findOne({
-        _id: req.params.id,
-        user: req.user.id,
-      });
+      const access = await findAccessibleTask(req.params.id, req.user.id);
 
-      if (!task) {
+      if (!access) {
         return res.status(404).json({
           message: 'Task not found',
         });
       }
 
-      // Update task
-      task = await Task.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        {
-          new: true,
-          runValidators: true,
-        }
-      );
+      if (!canWrite(access.role)) {
+        return res.status(403).json({
+          message: 'You do not have permission to modify this task',
+        });
+      }
+
+      const { task } = access;
+      const before = snapshotTask(task);
+
+      const item = task.checklist.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({
+          message: 'Checklist item not found',
+        });
+      }
+
+      const { text, done } = req.body;
+      if (text !== undefined) item.text = text;
+      if (done !== undefined) {
+        item.done = done;
+      } else if (text === undefined) {
+        item.done = !item.done;
+      }
+      await task.save();
+      await recordActivity({
+        task,
+        actor: req.user.id,
+        action: 'update',
+        before,
+        after: snapshotTask(task),
+      });
 
       res.json({
-        message: 'Task updated successfully',
+        message: 'Checklist item updated successfully',
         task,
       });
     } catch (error) {
       if (error.name === 'CastError') {
         return res.status(400).json({
-          message: 'Invalid task ID',
+          message: 'Invalid task or checklist item ID',
         });
       }
       next(error);
@@ -224,31 +1659,53 @@ router.put(
   }
 );
 
-// @route   DELETE /api/tasks/:id
-// @desc    Delete a task
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @desc    Remove a checklist item from a task
 // @access  Private
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id/checklist/:itemId', async (req, res, next) => {
   try {
-    const task = await Task.findOne({
-      _id: req.params.id,
-      user: req.user.id,
-    });
+    const access = await findAccessibleTask(req.params.id, req.user.id);
 
-    if (!task) {
+    if (!access) {
       return res.status(404).json({
         message: 'Task not found',
       });
     }
 
-    await Task.findByIdAndDelete(req.params.id);
+    if (!canWrite(access.role)) {
+      return res.status(403).json({
+        message: 'You do not have permission to modify this task',
+      });
+    }
+
+    const { task } = access;
+    const before = snapshotTask(task);
+
+    const item = task.checklist.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({
+        message: 'Checklist item not found',
+      });
+    }
+
+    item.deleteOne();
+    await task.save();
+    await recordActivity({
+      task,
+      actor: req.user.id,
+      action: 'update',
+      before,
+      after: snapshotTask(task),
+    });
 
     res.json({
-      message: 'Task deleted successfully',
+      message: 'Checklist item removed successfully',
+      task,
     });
   } catch (error) {
     if (error.name === 'CastError') {
       return res.status(400).json({
-        message: 'Invalid task ID',
+        message: 'Invalid task or checklist item ID',
       });
     }
     next(error);
@@ -0,0 +1,492 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Workspace = require('../models/Workspace');
+const Invitation = require('../models/Invitation');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Shape a workspace for responses, including the caller's own role
+const formatWorkspace = (workspace, userId) => ({
+  _id: workspace._id,
+  name: workspace.name,
+  role: workspace.roleOf(userId),
+  members: workspace.members.map((member) => ({
+    user: member.user,
+    role: member.role,
+    joinedAt: member.joinedAt,
+  })),
+  createdAt: workspace.createdAt,
+  updatedAt: workspace.updatedAt,
+});
+
+// Find a workspace the user is a member of, with member names filled in
+const findMemberWorkspace = (workspaceId, userId) =>
+  Workspace.findOne({ _id: workspaceId, 'members.user': userId }).populate(
+    'members.user',
+    'name email avatar'
+  );
+
+// @route   GET /api/workspaces
+// @desc    Get the workspaces the logged in user belongs to
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const workspaces = await Workspace.find({ 'members.user': req.user.id })
+      .populate('members.user', 'name email avatar')
+      .sort({ name: 1 });
+
+    res.json({
+      count: workspaces.length,
+      workspaces: workspaces.map((workspace) => formatWorkspace(workspace, req.user.id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/workspaces
+// @desc    Create a workspace owned by the logged in user
+// @access  Private
+router.post(
+  '/',
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Workspace name is required')
+      .isLength({ max: 100 })
+      .withMessage('Workspace name cannot exceed 100 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const workspace = await Workspace.create({
+        name: req.body.name,
+        members: [{ user: req.user.id, role: 'owner' }],
+      });
+      await workspace.populate('members.user', 'name email avatar');
+
+      res.status(201).json({
+        message: 'Workspace created successfully',
+        workspace: formatWorkspace(workspace, req.user.id),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   GET /api/workspaces/:id
+// @desc    Get a workspace and its members
+// @access  Private (members)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const workspace = await findMemberWorkspace(req.params.id, req.user.id);
+
+    if (!workspace) {
+      return res.status(404).json({
+        message: 'Workspace not found',
+      });
+    }
+
+    res.json({ workspace: formatWorkspace(workspace, req.user.id) });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid workspace ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   PUT /api/workspaces/:id
+// @desc    Rename a workspace
+// @access  Private (owner)
+router.put(
+  '/:id',
+  [
+    body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Workspace name is required')
+      .isLength({ max: 100 })
+      .withMessage('Workspace name cannot exceed 100 characters'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const workspace = await findMemberWorkspace(req.params.id, req.user.id);
+
+      if (!workspace) {
+        return res.status(404).json({
+          message: 'Workspace not found',
+        });
+      }
+
+      if (workspace.roleOf(req.user.id) !== 'owner') {
+        return res.status(403).json({
+          message: 'Only the workspace owner can rename it',
+        });
+      }
+
+      workspace.name = req.body.name;
+      await workspace.save();
+
+      res.json({
+        message: 'Workspace updated successfully',
+        workspace: formatWorkspace(workspace, req.user.id),
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: 'Invalid workspace ID',
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/workspaces/:id
+// @desc    Delete a workspace with all of its tasks and invitations
+// @access  Private (owner)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const workspace = await Workspace.findOne({ _id: req.params.id, 'members.user': req.user.id });
+
+    if (!workspace) {
+      return res.status(404).json({
+        message: 'Workspace not found',
+      });
+    }
+
+    if (workspace.roleOf(req.user.id) !== 'owner') {
+      return res.status(403).json({
+        message: 'Only the workspace owner can delete it',
+      });
+    }
+
+    await Task.deleteMany({ workspace: workspace._id });
+    await Invitation.deleteMany({ workspace: workspace._id });
+    await workspace.deleteOne();
+
+    res.json({
+      message: 'Workspace deleted successfully',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid workspace ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/workspaces/:id/invitations
+// @desc    Get the pending invitations of a workspace
+// @access  Private (owner)
+router.get('/:id/invitations', async (req, res, next) => {
+  try {
+    const workspace = await Workspace.findOne({ _id: req.params.id, 'members.user': req.user.id });
+
+    if (!workspace) {
+      return res.status(404).json({
+        message: 'Workspace not found',
+      });
+    }
+
+    if (workspace.roleOf(req.user.id) !== 'owner') {
+      return res.status(403).json({
+        message: 'Only the workspace owner can manage invitations',
+      });
+    }
+
+    const invitations = await Invitation.find({
+      workspace: workspace._id,
+      status: 'pending',
+    }).sort({ createdAt: -1 });
+
+    res.json({
+      count: invitations.length,
+      invitations,
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid workspace ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/workspaces/:id/invitations
+// @desc    Invite someone to a workspace by email
+// @access  Private (owner)
+router.post(
+  '/:id/invitations',
+  [
+    body('email')
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .normalizeEmail(),
+    body('role')
+      .optional()
+      .isIn(['editor', 'viewer'])
+      .withMessage('Role must be editor or viewer'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const workspace = await Workspace.findOne({ _id: req.params.id, 'members.user': req.user.id });
+
+      if (!workspace) {
+        return res.status(404).json({
+          message: 'Workspace not found',
+        });
+      }
+
+      if (workspace.roleOf(req.user.id) !== 'owner') {
+        return res.status(403).json({
+          message: 'Only the workspace owner can invite members',
+        });
+      }
+
+      const { email, role = 'editor' } = req.body;
+
+      const invitedUser = await User.findOne({ email });
+      if (invitedUser && workspace.roleOf(invitedUser._id)) {
+        return res.status(400).json({
+          message: 'This user is already a member of the workspace',
+        });
+      }
+
+      const existingInvitation = await Invitation.findOne({
+        workspace: workspace._id,
+        email,
+        status: 'pending',
+      });
+      if (existingInvitation) {
+        return res.status(400).json({
+          message: 'This email already has a pending invitation',
+        });
+      }
+
+      const invitation = await Invitation.create({
+        workspace: workspace._id,
+        email,
+        role,
+        invitedBy: req.user.id,
+      });
+
+      res.status(201).json({
+        message: 'Invitation sent successfully',
+        invitation,
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: 'Invalid workspace ID',
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/workspaces/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (owner)
+router.delete('/:id/invitations/:invitationId', async (req, res, next) => {
+  try {
+    const workspace = await Workspace.findOne({ _id: req.params.id, 'members.user': req.user.id });
+
+    if (!workspace) {
+      return res.status(404).json({
+        message: 'Workspace not found',
+      });
+    }
+
+    if (workspace.roleOf(req.user.id) !== 'owner') {
+      return res.status(403).json({
+        message: 'Only the workspace owner can manage invitations',
+      });
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.invitationId, workspace: workspace._id, status: 'pending' },
+      { status: 'revoked' },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        message: 'Invitation not found',
+      });
+    }
+
+    res.json({
+      message: 'Invitation revoked successfully',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid workspace or invitation ID',
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   PUT /api/workspaces/:id/members/:userId
+// @desc    Change the role of a workspace member
+// @access  Private (owner)
+router.put(
+  '/:id/members/:userId',
+  [
+    body('role')
+      .isIn(['editor', 'viewer'])
+      .withMessage('Role must be editor or viewer'),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          message: 'Validation failed',
+          errors: errors.array(),
+        });
+      }
+
+      const workspace = await findMemberWorkspace(req.params.id, req.user.id);
+
+      if (!workspace) {
+        return res.status(404).json({
+          message: 'Workspace not found',
+        });
+      }
+
+      if (workspace.roleOf(req.user.id) !== 'owner') {
+        return res.status(403).json({
+          message: 'Only the workspace owner can change member roles',
+        });
+      }
+
+      const member = workspace.members.find((m) => m.user._id.toString() === req.params.userId);
+      if (!member) {
+        return res.status(404).json({
+          message: 'Member not found',
+        });
+      }
+
+      if (member.role === 'owner') {
+        return res.status(400).json({
+          message: "The owner's role cannot be changed",
+        });
+      }
+
+      member.role = req.body.role;
+      await workspace.save();
+
+      res.json({
+        message: 'Member role updated successfully',
+        workspace: formatWorkspace(workspace, req.user.id),
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return res.status(400).json({
+          message: 'Invalid workspace ID',
+        });
+      }
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @desc    Remove a member from a workspace, or leave it when removing yourself
+// @access  Private (owner, or the member themselves)
+router.delete('/:id/members/:userId', async (req, res, next) => {
+  try {
+    const workspace = await Workspace.findOne({ _id: req.params.id, 'members.user': req.user.id });
+
+    if (!workspace) {
+      return res.status(404).json({
+        message: 'Workspace not found',
+      });
+    }
+
+    const isSelf = req.params.userId === req.user.id.toString();
+    if (!isSelf && workspace.roleOf(req.user.id) !== 'owner') {
+      return res.status(403).json({
+        message: 'Only the workspace owner can remove members',
+      });
+    }
+
+    const role = workspace.roleOf(req.params.userId);
+    if (!role) {
+      return res.status(404).json({
+        message: 'Member not found',
+      });
+    }
+
+    if (role === 'owner') {
+      return res.status(400).json({
+        message: 'The owner cannot leave the workspace; delete it instead',
+      });
+    }
+
+    workspace.members = workspace.members.filter(
+      (m) => m.user.toString() !== req.params.userId
+    );
+    await workspace.save();
+
+    // Tasks assigned to a former member are left unassigned
+    await Task.updateMany(
+      { workspace: workspace._id, assignee: req.params.userId },
+      { assignee: null }
+    );
+
+    res.json({
+      message: isSelf ? 'You left the workspace' : 'Member removed successfully',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({
+        message: 'Invalid workspace or user ID',
+      });
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 require('dotenv').config();
+const { startReminderScheduler } = require('./utils/reminders');
+const { startTrashPurge } = require('./utils/trash');
+const { rateLimit, userOrIp } = require('./utils/rateLimit');
 
 // Validate required environment variables
 const requiredEnvVars = ['JWT_SECRET'];
@@ -22,15 +25,29 @@ if (missingEnvVars.length > 0) {
 
 const app = express();
 
+// Number of proxies in front of the server, so req.ip is the client's
+// address rather than the proxy's
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || false);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Every API request counts toward the caller's budget
+app.use('/api', rateLimit('api', { key: userOrIp }));
+
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/profile', require('./routes/profile'));
 app.use('/api/tasks', require('./routes/tasks'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/projects', require('./routes/projects'));
+app.use('/api/workspaces', require('./routes/workspaces'));
+app.use('/api/invitations', require('./routes/invitations'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/stats', require('./routes/stats'));
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -65,6 +82,9 @@ const connectDB = async () => {
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
     });
+
+    startReminderScheduler();
+    startTrashPurge();
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
     console.log('\n💡 Troubleshooting tips:');
@@ -0,0 +1,43 @@
+const Task = require('../models/Task');
+const Workspace = require('../models/Workspace');
+
+// Roles allowed to create, edit and delete tasks
+const WRITE_ROLES = ['owner', 'editor'];
+
+exports.canWrite = (role) => WRITE_ROLES.includes(role);
+
+// Get a user's role in a workspace, or null if they are not a member
+exports.getWorkspaceRole = async (workspaceId, userId) => {
+  const workspace = await Workspace.findOne({ _id: workspaceId, 'members.user': userId }, 'members');
+  return workspace ? workspace.roleOf(userId) : null;
+};
+
+// Check that a user can be assigned a task: any member of its workspace, or
+// only the creator for a personal task
+exports.isAssignable = async (assigneeId, workspaceId, userId) => {
+  if (!workspaceId) return assigneeId.toString() === userId.toString();
+  return Boolean(await exports.getWorkspaceRole(workspaceId, assigneeId));
+};
+
+// Find a task the user can see, along with their role on it. Personal tasks
+// belong to their creator alone; workspace tasks are shared with all members.
+// Tasks in the trash are only found when `deleted` is set, and then only they are.
+exports.findAccessibleTask = async (taskId, userId, { deleted = false } = {}) => {
+  const task = await Task.findOne({ _id: taskId, deletedAt: deleted ? { $ne: null } : null });
+  if (!task) return null;
+
+  if (!task.workspace) {
+    return task.user.toString() === userId.toString() ? { task, role: 'owner' } : null;
+  }
+
+  const role = await exports.getWorkspaceRole(task.workspace, userId);
+  return role ? { task, role } : null;
+};
+
+// Get the IDs of everyone who can see a task
+exports.getTaskMemberIds = async (task) => {
+  if (!task.workspace) return [task.user.toString()];
+
+  const workspace = await Workspace.findById(task.workspace, 'members');
+  return workspace ? workspace.members.map((member) => member.user.toString()) : [];
+};
@@ -0,0 +1,67 @@
+const AccessToken = require('../models/AccessToken');
+const { createToken, hashToken } = require('./tokens');
+
+// Personal access tokens start with this, which tells them apart from the
+// JWTs of signed-in sessions
+const TOKEN_PREFIX = 'tdp_';
+// Characters of the token kept in the clear for display
+const DISPLAY_LENGTH = TOKEN_PREFIX.length + 6;
+// How often a token's last used time is written, to spare a write per request
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000;
+
+const isAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+exports.isAccessToken = isAccessToken;
+
+// Create a token for a user. The token itself is returned this once; only
+// its hash is kept.
+exports.createAccessToken = async (user, { name, scopes, expiresInDays }) => {
+  const { token: secret } = createToken();
+  const token = `${TOKEN_PREFIX}${secret}`;
+
+  const accessToken = await AccessToken.create({
+    user: user._id,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, DISPLAY_LENGTH),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+  });
+
+  return { accessToken, token };
+};
+
+// The stored token for a Bearer value, or null if it is unknown or expired.
+// Records when it was used.
+exports.findAccessToken = async (token) => {
+  if (!isAccessToken(token)) return null;
+
+  const accessToken = await AccessToken.findOne({ tokenHash: hashToken(token) });
+  if (!accessToken || (accessToken.expiresAt && accessToken.expiresAt <= Date.now())) return null;
+
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt > LAST_USED_INTERVAL_MS) {
+    accessToken.lastUsedAt = new Date();
+    await AccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: accessToken.lastUsedAt });
+  }
+  return accessToken;
+};
+
+// Parts of the API a token can reach, with the scope reading and changing
+// them takes. Anything else, such as account settings, sessions and tokens
+// themselves, needs a signed-in session.
+const SCOPED_ROUTES = [
+  { path: '/api/tasks', read: 'tasks:read', write: 'tasks:write' },
+  { path: '/api/tags', read: 'tasks:read', write: 'tasks:write' },
+  { path: '/api/projects', read: 'tasks:read', write: 'tasks:write' },
+  { path: '/api/stats', read: 'tasks:read', write: null },
+  { path: '/api/profile', read: 'profile:read', write: null, exact: true },
+  { path: '/api/auth/me', read: 'profile:read', write: null, exact: true },
+];
+
+// Scope a request needs when made with a token, or null if tokens can't make it
+exports.requiredScope = (req) => {
+  const path = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+  const route = SCOPED_ROUTES.find((r) => path === r.path || (!r.exact && path.startsWith(`${r.path}/`)));
+  if (!route) return null;
+  return ['GET', 'HEAD'].includes(req.method) ? route.read : route.write;
+};
@@ -0,0 +1,132 @@
+const AccessToken = require('../models/AccessToken');
+const Activity = require('../models/Activity');
+const Comment = require('../models/Comment');
+const Invitation = require('../models/Invitation');
+const Notification = require('../models/Notification');
+const Project = require('../models/Project');
+const Session = require('../models/Session');
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const { describeDevice } = require('./sessions');
+
+// Workspaces the user owns go with their account; in the rest they are a member
+const ownedWorkspaceIds = (userId) =>
+  Workspace.distinct('_id', { members: { $elemMatch: { user: userId, role: 'owner' } } });
+
+const README = `Your data export
+
+profile.json        Your account details and preferences
+tasks.json          Your personal tasks and the tasks you created in shared workspaces, including trashed ones
+tags.json           Your tags
+projects.json       Your projects
+workspaces.json     The workspaces you belong to and your role in each
+comments.json       Comments you wrote
+activity.json       Changes you made to tasks
+notifications.json  Notifications sent to you
+invitations.json    Workspace invitations you sent or received
+sessions.json       The devices signed in to your account
+access-tokens.json  Your personal access tokens, without the tokens themselves
+`;
+
+// Everything stored about a user, as a map of file names to their contents.
+// Secrets such as the password hash and token hashes are left out.
+exports.exportAccount = async (userId) => {
+  const user = await User.findById(userId).lean();
+
+  const [tasks, tags, projects, workspaces, comments, activity, notifications, invitations, sessions, accessTokens] =
+    await Promise.all([
+      Task.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      Tag.find({ user: userId }).lean(),
+      Project.find({ user: userId }).lean(),
+      Workspace.find({ 'members.user': userId }).lean(),
+      Comment.find({ author: userId }).sort({ createdAt: 1 }).lean(),
+      Activity.find({ actor: userId }).sort({ createdAt: 1 }).lean(),
+      Notification.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      Invitation.find({ $or: [{ invitedBy: userId }, { email: user.email }] }).lean(),
+      Session.find({ user: userId }).sort({ lastSeenAt: -1 }).lean(),
+      AccessToken.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    ]);
+
+  const json = (data) => JSON.stringify(data, null, 2);
+
+  return {
+    'README.txt': README,
+    'profile.json': json({
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      emailVerified: Boolean(user.emailVerified),
+      pendingEmail: user.pendingEmail,
+      avatar: user.avatar,
+      preferences: user.preferences,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      calendarFeed: Boolean(user.calendarToken),
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    }),
+    'tasks.json': json(tasks),
+    'tags.json': json(tags),
+    'projects.json': json(projects),
+    'workspaces.json': json(
+      workspaces.map((workspace) => ({
+        id: workspace._id,
+        name: workspace.name,
+        role: workspace.members.find((m) => m.user.equals(userId)).role,
+        memberCount: workspace.members.length,
+        createdAt: workspace.createdAt,
+      }))
+    ),
+    'comments.json': json(comments),
+    'activity.json': json(activity),
+    'notifications.json': json(notifications),
+    'invitations.json': json(invitations),
+    'sessions.json': json(
+      sessions.map((session) => ({
+        device: describeDevice(session.userAgent),
+        userAgent: session.userAgent,
+        ip: session.ip,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+      }))
+    ),
+    'access-tokens.json': json(
+      accessTokens.map((accessToken) => ({
+        name: accessToken.name,
+        prefix: accessToken.prefix,
+        scopes: accessToken.scopes,
+        expiresAt: accessToken.expiresAt,
+        lastUsedAt: accessToken.lastUsedAt,
+        createdAt: accessToken.createdAt,
+      }))
+    ),
+  };
+};
+
+// Delete a user and their data: personal tasks, tags and projects, and the
+// workspaces they own with everything in them. In other workspaces they are
+// removed as if they had left; tasks and comments they added there stay.
+exports.deleteAccount = async (user) => {
+  const workspaceIds = await ownedWorkspaceIds(user._id);
+  const taskIds = await Task.distinct('_id', {
+    $or: [{ user: user._id, workspace: null }, { workspace: { $in: workspaceIds } }],
+  });
+
+  // Deleting tasks also deletes their comments, activity and notifications
+  await Task.deleteMany({ _id: { $in: taskIds } });
+  await Notification.deleteMany({ user: user._id });
+
+  await Invitation.deleteMany({
+    $or: [{ workspace: { $in: workspaceIds } }, { email: user.email, status: 'pending' }],
+  });
+  await Workspace.deleteMany({ _id: { $in: workspaceIds } });
+  await Workspace.updateMany({ 'members.user': user._id }, { $pull: { members: { user: user._id } } });
+  await Task.updateMany({ assignee: user._id }, { assignee: null });
+
+  await Tag.deleteMany({ user: user._id });
+  await Project.deleteMany({ user: user._id });
+  await Session.deleteMany({ user: user._id });
+  await AccessToken.deleteMany({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+};
@@ -0,0 +1,64 @@
+const Activity = require('../models/Activity');
+
+// Task fields whose changes are recorded and can be reverted
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'recurrence',
+  'project',
+  'assignee',
+  'tags',
+  'checklist',
+];
+
+exports.TRACKED_FIELDS = TRACKED_FIELDS;
+
+// Capture the tracked fields of a task as plain JSON values, so snapshots
+// compare reliably and store the same way whatever their source
+exports.snapshotTask = (task) => {
+  const data = task.toObject({ depopulate: true });
+  return JSON.parse(
+    JSON.stringify(
+      Object.fromEntries(TRACKED_FIELDS.map((field) => [field, data[field] ?? null]))
+    )
+  );
+};
+
+// Treat missing values and empty lists alike so they never show up as changes
+const normalize = (value) => (Array.isArray(value) && value.length === 0 ? null : value ?? null);
+
+// List the tracked fields that differ between two snapshots
+const diffSnapshots = (before, after) =>
+  TRACKED_FIELDS.filter(
+    (field) => JSON.stringify(normalize(before[field])) !== JSON.stringify(normalize(after[field]))
+  ).map((field) => ({
+    field,
+    before: normalize(before[field]),
+    after: normalize(after[field]),
+  }));
+
+// Record a change to a task. `before` is null for a create and `after` is
+// null for a delete. Updates and reverts that change nothing are not recorded.
+exports.recordActivity = async ({ task, actor, action, before, after, revertedFrom = null }) => {
+  const empty = Object.fromEntries(TRACKED_FIELDS.map((field) => [field, null]));
+  const changes = diffSnapshots(before || empty, after || empty);
+
+  if (changes.length === 0 && (action === 'update' || action === 'revert')) return null;
+
+  // A change of status alone gets its own action so it stands out in the history
+  if (action === 'update' && changes.length === 1 && changes[0].field === 'status') {
+    action = 'status_change';
+  }
+
+  return Activity.create({
+    task: task._id,
+    actor,
+    action,
+    changes,
+    snapshot: after || before,
+    revertedFrom,
+  });
+};
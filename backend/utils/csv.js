@@ -0,0 +1,71 @@
+// Minimal RFC 4180 CSV support: quoted fields may contain commas, quotes
+// (doubled) and line breaks
+
+// Spreadsheets run text starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quote a value when it contains a delimiter, quote or line break. Text that
+// a spreadsheet would run as a formula gets a leading ' so it shows as typed.
+const escapeField = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo the ' that formatRow puts before text starting like a formula
+exports.unescapeFormula = (text) => (/^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text);
+
+// Format one row of values as a CSV line, without the line ending
+exports.formatRow = (values) => values.map(escapeField).join(',');
+
+// Parse CSV text into an array of rows, each an array of strings. Rows that
+// are entirely empty are kept so callers can report them by position.
+exports.parse = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Drop a byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV ends inside a quoted field');
+  }
+
+  // The last line may not end with a line break
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
@@ -0,0 +1,53 @@
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { createToken } = require('./tokens');
+
+// How long a verification link works
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const appUrl = () => process.env.APP_URL || 'http://localhost:5173';
+
+// Email a verification link to the address waiting to be confirmed: the
+// pending new address if there is one, the account's address otherwise.
+// A new link replaces any earlier one.
+exports.sendVerificationEmail = async (user) => {
+  const { token, hash } = createToken();
+  await User.updateOne(
+    { _id: user._id },
+    { emailVerificationTokenHash: hash, emailVerificationExpiresAt: new Date(Date.now() + VERIFICATION_TTL_MS) }
+  );
+
+  const link = `${appUrl()}/verify-email?token=${token}`;
+  const changing = Boolean(user.pendingEmail);
+
+  await sendMail({
+    to: user.pendingEmail || user.email,
+    subject: changing ? 'Confirm your new email address' : 'Verify your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      changing
+        ? `To start using this address for your account instead of ${user.email}, open this link within the next 24 hours:`
+        : 'To confirm this is your email address, open this link within the next 24 hours:',
+      '',
+      link,
+      '',
+      "If you didn't ask for this, you can ignore this email.",
+    ].join('\n'),
+  });
+};
+
+// Let the current address know that someone asked to move the account to
+// another one, in case it wasn't the owner
+exports.sendEmailChangeNotice = (user) =>
+  sendMail({
+    to: user.email,
+    subject: 'Your email address is being changed',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      `Someone asked to change your account's email address to ${user.pendingEmail}. This address keeps working until the new one is confirmed.`,
+      '',
+      `If it wasn't you, sign in at ${appUrl()}, cancel the change from your profile and change your password.`,
+    ].join('\n'),
+  });
@@ -0,0 +1,79 @@
+// Minimal iCalendar (RFC 5545) output for the calendar feed. Tasks become
+// all-day events on their due date, or to-dos due that day.
+
+const PRODUCT_ID = '-//PrimeTrade//Task Manager//EN';
+
+// RFC 5545 priorities run from 1 (highest) to 9 (lowest)
+const PRIORITIES = { high: 1, medium: 5, low: 9 };
+const TODO_STATUSES = { todo: 'NEEDS-ACTION', 'in-progress': 'IN-PROCESS' };
+
+const escapeText = (text) =>
+  String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+const formatTimestamp = (date) => `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+const taskLines = (task, type) => {
+  const due = new Date(task.dueDate);
+  const nextDay = new Date(due.getTime() + 24 * 60 * 60 * 1000);
+
+  const lines = [
+    `UID:${task._id}@primetrade`,
+    `DTSTAMP:${formatTimestamp(task.updatedAt)}`,
+    `SUMMARY:${escapeText(task.title)}`,
+  ];
+
+  if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  if (task.tags.length > 0) {
+    lines.push(`CATEGORIES:${task.tags.map((tag) => escapeText(tag.name)).join(',')}`);
+  }
+  lines.push(`PRIORITY:${PRIORITIES[task.priority]}`);
+
+  if (type === 'todo') {
+    lines.push(`DUE;VALUE=DATE:${formatDay(due)}`, `STATUS:${TODO_STATUSES[task.status]}`);
+  } else {
+    lines.push(
+      `DTSTART;VALUE=DATE:${formatDay(due)}`,
+      `DTEND;VALUE=DATE:${formatDay(nextDay)}`,
+      'TRANSP:TRANSPARENT'
+    );
+  }
+
+  const component = type === 'todo' ? 'VTODO' : 'VEVENT';
+  return [`BEGIN:${component}`, ...lines, `END:${component}`];
+};
+
+// Build a calendar of tasks, whose tags are populated. `type` is "event" or "todo".
+exports.buildCalendar = (tasks, { name, type = 'event' }) =>
+  `${[
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...tasks.flatMap((task) => taskLines(task, type)),
+    'END:VCALENDAR',
+  ]
+    .map(foldLine)
+    .join('\r\n')}\r\n`;
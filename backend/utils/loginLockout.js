@@ -0,0 +1,47 @@
+const { getStore, secondsUntil } = require('./rateLimit');
+
+const SECOND = 1000;
+const HOUR = 60 * 60 * SECOND;
+
+// Failed logins are counted per account and per IP address over an hour.
+// From the threshold on, every further failure locks logins for twice as long
+// as the one before, starting at 30 seconds and stopping at an hour. An IP
+// address gets more room since several people may share it.
+const FAILURE_WINDOW_MS = HOUR;
+const FIRST_LOCK_MS = 30 * SECOND;
+const MAX_LOCK_MS = HOUR;
+const THRESHOLDS = { account: 5, ip: 20 };
+
+const subjects = (email, ip) => [
+  ['account', email],
+  ['ip', ip],
+];
+
+// Seconds until logins for this account or from this IP are allowed again,
+// or 0 if they are allowed now
+exports.lockoutRemaining = async (email, ip) => {
+  const locks = await Promise.all(
+    subjects(email, ip).map(([kind, id]) => getStore().get(`login-lock:${kind}:${id}`))
+  );
+  return Math.max(0, ...locks.filter(Boolean).map((lock) => secondsUntil(lock.resetAt)));
+};
+
+// Count a wrong password or code. Returns the seconds logins are now locked
+// for, or 0 if there are attempts left.
+exports.recordFailure = async (email, ip) => {
+  const locks = await Promise.all(
+    subjects(email, ip).map(async ([kind, id]) => {
+      const { count } = await getStore().increment(`login-fail:${kind}:${id}`, FAILURE_WINDOW_MS);
+      if (count < THRESHOLDS[kind]) return 0;
+
+      const lockMs = Math.min(FIRST_LOCK_MS * 2 ** (count - THRESHOLDS[kind]), MAX_LOCK_MS);
+      const { resetAt } = await getStore().increment(`login-lock:${kind}:${id}`, lockMs);
+      return secondsUntil(resetAt);
+    })
+  );
+  return Math.max(...locks);
+};
+
+// A completed login clears the account's failures. The IP address keeps its
+// count, or an attacker could reset it by signing in to their own account.
+exports.recordSuccess = (email) => getStore().reset(`login-fail:account:${email}`);
@@ -0,0 +1,54 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// MAIL_TRANSPORT picks where outgoing mail goes:
+//   smtp    - send through SMTP_HOST/SMTP_PORT, e.g. a local MailHog or
+//             Mailpit stand-in on port 1025 during development
+//   file    - write each message as an .eml file to MAIL_DIR (default mail/)
+//   console - print each message to the server log (default)
+let transporter = null;
+
+const createTransporter = () => {
+  if (process.env.MAIL_TRANSPORT === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      ...(process.env.SMTP_USER && {
+        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+      }),
+    });
+  }
+
+  if (process.env.MAIL_TRANSPORT === 'file') {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  return nodemailer.createTransport({ jsonTransport: true });
+};
+
+// Send a plain-text email
+exports.sendMail = async ({ to, subject, text }) => {
+  if (!transporter) transporter = createTransporter();
+
+  const info = await transporter.sendMail({
+    from: process.env.MAIL_FROM || 'Task Dashboard <no-reply@localhost>',
+    to,
+    subject,
+    text,
+  });
+
+  if (process.env.MAIL_TRANSPORT === 'file') {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, '..', 'mail');
+    const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(file, info.message);
+    console.log(`📧 Mail to ${to} saved to ${file}`);
+  } else if (process.env.MAIL_TRANSPORT !== 'smtp') {
+    const { to: recipients, subject: title, text: body } = JSON.parse(info.message);
+    console.log(`📧 Mail to ${recipients.map((r) => r.address).join(', ')}: ${title}\n${body}`);
+  }
+
+  return info;
+};
@@ -0,0 +1,8 @@
+// Mentions are stored in comment text as @[Display Name](userId), the
+// format the comment editor inserts when a person is picked
+const MENTION_PATTERN = /@\[[^\]\n]{1,100}\]\(([0-9a-fA-F]{24})\)/g;
+
+// Get the unique user IDs mentioned in a piece of text
+exports.extractMentionIds = (text) => [
+  ...new Set([...text.matchAll(MENTION_PATTERN)].map((match) => match[1])),
+];
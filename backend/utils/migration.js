@@ -0,0 +1,17 @@
+// Guesses shared by the Trello and Todoist importers, which map free-form
+// list, section and label names onto task fields
+
+// Status for a list or section name, e.g. "Doing" → in-progress
+exports.guessStatus = (name) => {
+  if (/\b(done|complete[d]?|finished|shipped|closed)\b/i.test(name)) return 'completed';
+  if (/\b(doing|in[\s-]?progress|wip|review|started|active)\b/i.test(name)) return 'in-progress';
+  return 'todo';
+};
+
+// Priority for a label name, or null when the label looks like a plain tag
+exports.guessPriority = (name) => {
+  if (/\b(high|urgent|critical|important|p1)\b/i.test(name)) return 'high';
+  if (/\b(medium|normal|p2)\b/i.test(name)) return 'medium';
+  if (/\b(low|minor|p3)\b/i.test(name)) return 'low';
+  return null;
+};
@@ -0,0 +1,63 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+
+// Channels that deliver notifications beyond the in-app notification center.
+// Each transport receives the saved notification and its recipient.
+const transports = {
+  email: {
+    send: (notification, recipient) =>
+      sendMail({
+        to: recipient.email,
+        subject: notification.message,
+        text: [
+          `Hi ${recipient.name},`,
+          '',
+          notification.message,
+          ...(process.env.APP_URL ? ['', `Open your dashboard: ${process.env.APP_URL}`] : []),
+        ].join('\n'),
+      }),
+  },
+};
+
+// Add or replace a delivery channel, e.g. for chat or push notifications
+exports.registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Channels to use, from a comma-separated NOTIFICATION_TRANSPORTS list
+const enabledTransports = () =>
+  (process.env.NOTIFICATION_TRANSPORTS || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name) => transports[name]);
+
+// Store notifications for the in-app center and hand each one to the enabled
+// transports. A failing transport is logged without affecting the others.
+exports.notify = async (entries) => {
+  if (entries.length === 0) return [];
+
+  const notifications = await Notification.insertMany(entries);
+  const channels = enabledTransports();
+  if (channels.length === 0) return notifications;
+
+  const recipients = await User.find({
+    _id: { $in: notifications.map((notification) => notification.user) },
+  }).select('name email');
+  const recipientsById = new Map(recipients.map((user) => [user._id.toString(), user]));
+
+  await Promise.all(
+    notifications.flatMap((notification) => {
+      const recipient = recipientsById.get(notification.user.toString());
+      if (!recipient) return [];
+
+      return channels.map((name) =>
+        Promise.resolve(transports[name].send(notification, recipient)).catch((error) => {
+          console.error(`Failed to deliver notification via ${name}:`, error.message);
+        })
+      );
+    })
+  );
+
+  return notifications;
+};
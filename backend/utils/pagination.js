@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Fields whose cursor values must be revived as Date objects
+const DATE_FIELDS = ['createdAt', 'dueDate', 'deletedAt'];
+
+// Encode the position of the last item on a page into an opaque cursor.
+// The sort settings are embedded so a cursor cannot be replayed against a
+// different ordering.
+exports.encodeCursor = (doc, sortBy, sortOrder) => {
+  const value = doc[sortBy];
+  const payload = {
+    s: sortBy,
+    o: sortOrder,
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    id: doc._id.toString(),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor, returning null if it is malformed or was issued for
+// another sort order
+exports.decodeCursor = (cursor, sortBy, sortOrder) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (payload.s !== sortBy || payload.o !== sortOrder) return null;
+    if (!mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+    let value = payload.v;
+    if (value !== null && DATE_FIELDS.includes(sortBy)) {
+      value = new Date(value);
+      if (isNaN(value.getTime())) return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Build the sort object, using _id as a tie-breaker so the order is total
+exports.buildSort = (sortBy, sortOrder) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  return { [sortBy]: direction, _id: direction };
+};
+
+// Build a filter matching every document that comes after the cursor.
+// MongoDB sorts null before any other value, so nulls come first in
+// ascending order and last in descending order.
+exports.buildCursorFilter = (sortBy, sortOrder, { value, id }) => {
+  const asc = sortOrder === 'asc';
+  const idAfter = { _id: asc ? { $gt: id } : { $lt: id } };
+
+  if (value === null) {
+    const sameValue = { [sortBy]: null, ...idAfter };
+    return asc ? { $or: [sameValue, { [sortBy]: { $ne: null } }] } : sameValue;
+  }
+
+  const clauses = [
+    { [sortBy]: asc ? { $gt: value } : { $lt: value } },
+    { [sortBy]: value, ...idAfter },
+  ];
+  if (!asc) clauses.push({ [sortBy]: null });
+
+  return { $or: clauses };
+};
@@ -0,0 +1,180 @@
+const jwt = require('jsonwebtoken');
+const RateLimit = require('../models/RateLimit');
+const { hashToken } = require('./tokens');
+const { isAccessToken } = require('./accessTokens');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+// Past this many counters, the memory store drops the expired ones
+const MEMORY_SWEEP_SIZE = 10000;
+
+// Stores keep counters that reset at the end of their window. Each store has
+//   increment(key, windowMs) - count a hit, returning { count, resetAt }
+//   get(key)                 - the counter, or null if none is running
+//   reset(key)               - drop the counter
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const current = (key) => {
+    const entry = entries.get(key);
+    return entry && entry.resetAt > Date.now() ? entry : null;
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      if (entries.size > MEMORY_SWEEP_SIZE) {
+        entries.forEach((entry, entryKey) => {
+          if (entry.resetAt <= Date.now()) entries.delete(entryKey);
+        });
+      }
+
+      const entry = current(key) || { count: 0, resetAt: new Date(Date.now() + windowMs) };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    get: async (key) => {
+      const entry = current(key);
+      return entry && { ...entry };
+    },
+    reset: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+const createMongoStore = () => {
+  const increment = async (key, windowMs, retried = false) => {
+    const now = new Date();
+    const running = { $gt: ['$resetAt', now] };
+    try {
+      // Starts a new window when there is no counter or it has run out
+      return await RateLimit.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [running, { $add: ['$count', 1] }, 1] },
+              resetAt: { $cond: [running, '$resetAt', new Date(now.getTime() + windowMs)] },
+            },
+          },
+        ],
+        { upsert: true, new: true, lean: true }
+      );
+    } catch (error) {
+      // Two first hits raced to create the counter; the loser counts again
+      if (error.code === 11000 && !retried) return increment(key, windowMs, true);
+      throw error;
+    }
+  };
+
+  return {
+    increment,
+    get: (key) => RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean(),
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    },
+  };
+};
+
+// RATE_LIMIT_STORE picks where counters live:
+//   memory - in this process (default); each server counts on its own
+//   mongo  - in MongoDB, shared by every server and serverless instance
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+let store = null;
+
+// Add a store, e.g. one backed by Redis
+exports.registerStore = (name, create) => {
+  stores[name] = create;
+};
+
+// Switch stores; entry points call this before handling requests
+exports.useStore = (name) => {
+  if (!stores[name]) throw new Error(`Unknown rate limit store: ${name}`);
+  store = stores[name]();
+};
+
+const getStore = () => {
+  if (!store) exports.useStore(process.env.RATE_LIMIT_STORE || 'memory');
+  return store;
+};
+
+exports.getStore = getStore;
+
+// Requests allowed per window for each named budget. Override one with
+// RATE_LIMIT_<NAME>=<requests>/<seconds>, e.g. RATE_LIMIT_API=600/900.
+const BUDGETS = {
+  // Every API request, per signed-in user or per IP address
+  api: { max: 1000, windowMs: 15 * MINUTE },
+  // Unauthenticated account routes such as register and forgot-password, per IP
+  auth: { max: 30, windowMs: 15 * MINUTE },
+  // Imports and exports, per user
+  bulk: { max: 30, windowMs: HOUR },
+};
+
+const budget = (name) => {
+  const override = (process.env[`RATE_LIMIT_${name.toUpperCase()}`] || '').match(/^(\d+)\/(\d+)$/);
+  return override ? { max: Number(override[1]), windowMs: Number(override[2]) * 1000 } : BUDGETS[name];
+};
+
+// Answer a request that has to wait, with the seconds left in Retry-After
+const tooManyRequests = (res, seconds, message = `Too many requests. Try again in ${seconds} seconds.`) => {
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({ message, retryAfter: seconds });
+};
+
+exports.tooManyRequests = tooManyRequests;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date) - Date.now()) / 1000));
+
+// The signed-in user, from a valid access token, or else the IP address.
+// Runs before `protect`, so it only checks the signature. A personal access
+// token gets a budget of its own without a lookup.
+const userOrIp = (req) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    if (isAccessToken(header.slice(7))) return `token:${hashToken(header.slice(7))}`;
+    try {
+      return `user:${jwt.verify(header.slice(7), process.env.JWT_SECRET).id}`;
+    } catch (error) {
+      // Fall back to the IP address
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+exports.userOrIp = userOrIp;
+
+// The signed-in user, for routes behind `protect`
+exports.byUser = (req) => `user:${req.user.id}`;
+
+// Middleware allowing the requests of a named budget and refusing the rest
+// with a 429. Sets the RateLimit-* headers from the IETF draft on every
+// response. `key` picks who the budget applies to.
+exports.rateLimit = (name, { key = (req) => `ip:${req.ip}` } = {}) => {
+  const { max, windowMs } = budget(name);
+
+  return async (req, res, next) => {
+    try {
+      const { count, resetAt } = await getStore().increment(`${name}:${key(req)}`, windowMs);
+      const reset = secondsUntil(resetAt);
+
+      res.set({
+        'RateLimit-Policy': `${max};w=${Math.round(windowMs / 1000)}`,
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(0, max - count)),
+        'RateLimit-Reset': String(reset),
+      });
+
+      if (count > max) return tooManyRequests(res, reset);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+exports.secondsUntil = secondsUntil;
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const { RRule } = require('rrule');
+const { snapshotTask, recordActivity } = require('./activity');
+const { buildReminders } = require('./reminders');
+
+// Searches look this far ahead of where they start
+const SEARCH_YEARS = 50;
+// rrule gives up on a rule after this year. Until then it keeps checking
+// candidate dates even past the end of a search, so a rule whose filters can
+// never match (FREQ=DAILY;BYMONTH=2;BYMONTHDAY=30) would be checked day by
+// day for thousands of years.
+const MAX_YEAR = 9999;
+// The Gregorian calendar repeats every 400 years, weekdays and leap days
+// included, so a series moved by a multiple of it has the same dates moved
+// by the same amount
+const CALENDAR_CYCLE_YEARS = 400;
+
+const addYears = (date, years) => {
+  const result = new Date(date);
+  result.setUTCFullYear(result.getUTCFullYear() + years);
+  return result;
+};
+
+// Parse an RFC 5545 RRULE, with or without its "RRULE:" prefix, into rrule
+// options. The series start always comes from the task, so DTSTART and
+// multi-line rule sets are rejected. Throws an Error describing the problem.
+const parseRule = (rule) => {
+  const value = String(rule).trim().replace(/^RRULE:/i, '');
+
+  if (!value) {
+    throw new Error('Recurrence rule cannot be empty');
+  }
+
+  if (/[\r\n]/.test(value) || /DTSTART/i.test(value)) {
+    throw new Error('Recurrence must be a single RRULE without DTSTART');
+  }
+
+  let options;
+  try {
+    options = RRule.parseString(value);
+  } catch (error) {
+    throw new Error(`Invalid recurrence rule: ${error.message}`);
+  }
+
+  if (options.freq === undefined) {
+    throw new Error('Recurrence rule must include FREQ');
+  }
+
+  // Tasks are due on days, so hourly and finer series make no sense
+  if (options.freq > RRule.DAILY) {
+    throw new Error('Recurrence must repeat daily, weekly, monthly or yearly');
+  }
+
+  return options;
+};
+
+// Find up to `count` dates of the series with these rrule options starting
+// on `start`, within SEARCH_YEARS of `from`. The search is moved as many
+// calendar cycles ahead as fit before MAX_YEAR, so rrule stops at most a
+// cycle after the search ends even for rules that match nothing.
+const findOccurrences = (options, start, from, { count, inclusive }) => {
+  const cycles = Math.max(
+    0,
+    Math.floor((MAX_YEAR - SEARCH_YEARS - new Date(from).getUTCFullYear()) / CALENDAR_CYCLE_YEARS)
+  );
+  const shift = cycles * CALENDAR_CYCLE_YEARS;
+
+  const shifted = new RRule({
+    ...options,
+    dtstart: addYears(start, shift),
+    until: options.until ? addYears(options.until, shift) : null,
+  });
+  const after = addYears(from, shift);
+
+  return shifted
+    .between(after, addYears(after, SEARCH_YEARS), inclusive, (date, index) => index < count)
+    .map((date) => addYears(date, -shift));
+};
+
+// Daily and weekly rules are slow to search when they match nothing, since
+// every day or week is a candidate. The dates they produce are among those of
+// a yearly rule with the same filters, so one that produces none is spotted
+// from that much quicker search. BYSETPOS and the ordinal of a weekday mean
+// something else in a yearly rule, so they are left out; without them the
+// yearly rule only ever matches more.
+const matchesNothingYearly = (rule, start) => {
+  const { freq, interval, count, until, bysetpos, ...filters } = parseRule(rule);
+  if (freq !== RRule.DAILY && freq !== RRule.WEEKLY) return false;
+
+  const dayParts = ['byweekday', 'bymonthday', 'byyearday', 'byweekno', 'byeaster'];
+  if (dayParts.every((part) => filters[part] === undefined)) {
+    // Weekly rules fall back to the start's weekday; daily ones take any day
+    filters.byweekday = freq === RRule.WEEKLY ? [(start.getUTCDay() + 6) % 7] : [0, 1, 2, 3, 4, 5, 6];
+  } else if (filters.byweekday !== undefined) {
+    filters.byweekday = [].concat(filters.byweekday).map((day) => day.weekday ?? day);
+  }
+
+  // A day or week holds at most one candidate per day and time of day, so
+  // positions past that select nothing
+  if (bysetpos !== undefined) {
+    const days = freq === RRule.DAILY ? 1 : filters.byweekday?.length ?? 7;
+    const times = ['byhour', 'byminute', 'bysecond'].reduce(
+      (total, part) => total * (filters[part] === undefined ? 1 : [].concat(filters[part]).length),
+      1
+    );
+    if ([].concat(bysetpos).every((position) => Math.abs(position) > days * times)) return true;
+  }
+
+  const yearly = { ...filters, freq: RRule.YEARLY };
+  return findOccurrences(yearly, start, start, { count: 1, inclusive: true }).length === 0;
+};
+
+// Check that a rule is valid and produces at least one date from today.
+// Throws an Error describing the problem.
+exports.validateRule = (rule) => {
+  const now = new Date();
+  if (
+    matchesNothingYearly(rule, now) ||
+    !findOccurrences(parseRule(rule), now, now, { count: 1, inclusive: true }).length
+  ) {
+    throw new Error('Recurrence rule never produces a date');
+  }
+};
+
+// Reduce a rule to its canonical form, e.g. "FREQ=WEEKLY;BYDAY=MO,WE"
+exports.normalizeRule = (rule) => new RRule(parseRule(rule)).toString().replace(/^RRULE:/, '');
+
+// Describe a rule in plain English, e.g. "every week on Monday, Wednesday"
+exports.describeRule = (rule) => new RRule(parseRule(rule)).toText();
+
+// List the first `count` dates of a series
+exports.previewOccurrences = (rule, start, count) =>
+  findOccurrences(parseRule(rule), start, start, { count, inclusive: true });
+
+// Find the first date of a task's series after the given date, or null once
+// the series has ended through COUNT or UNTIL or is too far out to search
+const nextOccurrence = (recurrence, after) =>
+  findOccurrences(parseRule(recurrence.rule), recurrence.start, after, { count: 1, inclusive: false })[0] ||
+  null;
+
+exports.nextOccurrence = nextOccurrence;
+
+// Create the next occurrence of a recurring task that has just been
+// completed. Each occurrence spawns at most one successor, even if it is
+// reopened and completed again. Returns the new task, or null if none is due.
+exports.spawnNextOccurrence = async (task, actor) => {
+  if (!task.recurrence || !task.dueDate || task.nextOccurrence) return null;
+
+  let dueDate;
+  try {
+    dueDate = nextOccurrence(task.recurrence, task.dueDate);
+  } catch (error) {
+    // A rule saved before hourly and finer series were turned away ends here
+    return null;
+  }
+  if (!dueDate) return null;
+
+  // Claim the successor slot first so concurrent completions cannot both spawn
+  const nextId = new mongoose.Types.ObjectId();
+  const Task = mongoose.model('Task');
+  const claimed = await Task.updateOne(
+    { _id: task._id, nextOccurrence: null },
+    { nextOccurrence: nextId }
+  );
+  if (claimed.modifiedCount === 0) return null;
+  task.nextOccurrence = nextId;
+
+  const next = await Task.create({
+    _id: nextId,
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    dueDate,
+    recurrence: {
+      rule: task.recurrence.rule,
+      start: task.recurrence.start,
+    },
+    reminders: buildReminders(
+      task.reminders.map((reminder) => reminder.offsetMinutes),
+      dueDate
+    ),
+    // Checklists start over on every occurrence
+    checklist: task.checklist.map(({ text, order }) => ({ text, order })),
+    project: task.project,
+    tags: task.tags,
+    user: task.user,
+    workspace: task.workspace,
+    assignee: task.assignee,
+  });
+
+  await recordActivity({
+    task: next,
+    actor,
+    action: 'create',
+    before: null,
+    after: snapshotTask(next),
+  });
+
+  return next;
+};
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { notify } = require('./notifier');
+
+const MINUTE = 60 * 1000;
+
+// Turn reminder offsets (minutes relative to the due date) into scheduled
+// reminders. Reminders that keep both their offset and their time also keep
+// their sent state, so editing a task does not fire them again.
+exports.buildReminders = (offsets, dueDate, existing = []) =>
+  [...new Set(offsets)].map((offsetMinutes) => {
+    const remindAt = new Date(new Date(dueDate).getTime() + offsetMinutes * MINUTE);
+    const previous = existing.find(
+      (reminder) =>
+        reminder.offsetMinutes === offsetMinutes &&
+        reminder.remindAt?.getTime() === remindAt.getTime()
+    );
+    return { offsetMinutes, remindAt, sentAt: previous?.sentAt ?? null };
+  });
+
+const formatDueDate = (date) =>
+  date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  });
+
+// Fire every reminder that has come due on an unfinished task. Each reminder
+// is claimed before notifying, so overlapping runs never send it twice.
+// Returns the number of reminders sent.
+const processDueReminders = async (now = new Date()) => {
+  const Task = mongoose.model('Task');
+  const dueReminder = { remindAt: { $lte: now }, sentAt: null };
+
+  const tasks = await Task.find({
+    status: { $ne: 'completed' },
+    deletedAt: null,
+    reminders: { $elemMatch: dueReminder },
+  }).limit(500);
+
+  let sent = 0;
+  for (const task of tasks) {
+    const reminders = task.reminders.filter(
+      (reminder) => !reminder.sentAt && reminder.remindAt <= now
+    );
+
+    for (const reminder of reminders) {
+      const claimed = await Task.updateOne(
+        { _id: task._id, reminders: { $elemMatch: { _id: reminder._id, sentAt: null } } },
+        { $set: { 'reminders.$.sentAt': now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      await notify([
+        {
+          user: task.assignee || task.user,
+          type: 'reminder',
+          task: task._id,
+          message: `Reminder: "${task.title}" is due on ${formatDueDate(task.dueDate)}`,
+        },
+      ]);
+      sent += 1;
+    }
+  }
+
+  return sent;
+};
+
+exports.processDueReminders = processDueReminders;
+
+// Check for due reminders on a fixed interval for the lifetime of the
+// process. Serverless deployments call processDueReminders from a cron
+// route instead.
+exports.startReminderScheduler = (intervalMs = Number(process.env.REMINDER_INTERVAL_MS) || MINUTE) => {
+  const run = () =>
+    processDueReminders().catch((error) => {
+      console.error('Reminder scheduler failed:', error.message);
+    });
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+  return timer;
+};
@@ -0,0 +1,179 @@
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+
+// Search query syntax. Plain words and "quoted phrases" go to the text index;
+// field:value terms filter on task fields:
+//   status:todo  status:!completed  status:todo,in-progress
+//   priority:high  due:<2026-11-01  due:>=2026-11-01  due:2026-11-01  due:none
+//   tag:urgent  project:"Home stuff"  project:none
+// A ! after the colon negates the term. Unknown field names are searched as text.
+const FIELDS = ['status', 'priority', 'due', 'tag', 'project'];
+const STATUSES = ['todo', 'in-progress', 'completed'];
+const PRIORITIES = ['low', 'medium', 'high'];
+
+exports.SEARCH_FIELDS = FIELDS;
+
+// Errors in the query are the user's to fix, so they carry a 400 status
+const invalid = (message) => Object.assign(new Error(`Invalid search: ${message}`), { status: 400 });
+
+const TOKEN = /(\w+):(!?)(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+
+// Split a query into text terms, phrases and field terms
+exports.parseSearch = (input) => {
+  const parsed = { terms: [], phrases: [], fields: [] };
+
+  for (const match of input.matchAll(TOKEN)) {
+    const [whole, name, negate, quoted, bare, phrase, word] = match;
+
+    if (name && FIELDS.includes(name.toLowerCase())) {
+      parsed.fields.push({
+        field: name.toLowerCase(),
+        negate: Boolean(negate),
+        value: (quoted ?? bare).trim(),
+      });
+    } else if (phrase !== undefined) {
+      if (phrase.trim()) parsed.phrases.push(phrase.trim());
+    } else {
+      parsed.terms.push(word || whole);
+    }
+  }
+
+  return parsed;
+};
+
+// The $text search string for the parsed text terms, or null without any
+exports.textSearch = ({ terms, phrases }) => {
+  const parts = [...terms, ...phrases.map((phrase) => `"${phrase.replace(/"/g, '')}"`)];
+  return parts.length > 0 ? parts.join(' ') : null;
+};
+
+const DUE = /^(<=|>=|<|>)?(\d{4}-\d{2}-\d{2})$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Condition on dueDate for a due: value. Due dates are stored at midnight UTC.
+const dueCondition = (value) => {
+  if (value.toLowerCase() === 'none') return { dueDate: null };
+
+  const match = value.match(DUE);
+  const date = match && new Date(`${match[2]}T00:00:00.000Z`);
+  if (!date || Number.isNaN(date.getTime())) {
+    throw invalid('due must be a date like 2026-11-01, optionally after <, <=, > or >=, or "none"');
+  }
+
+  const nextDay = new Date(date.getTime() + DAY);
+  switch (match[1]) {
+    case '<':
+      return { dueDate: { $lt: date } };
+    case '<=':
+      return { dueDate: { $lt: nextDay } };
+    case '>':
+      return { dueDate: { $gte: nextDay } };
+    case '>=':
+      return { dueDate: { $gte: date } };
+    default:
+      return { dueDate: { $gte: date, $lt: nextDay } };
+  }
+};
+
+// Values from a fixed set, comma-separated to match any of them
+const enumCondition = (field, value, allowed) => {
+  const values = value.toLowerCase().split(',').filter(Boolean);
+  if (values.length === 0 || !values.every((item) => allowed.includes(item))) {
+    throw invalid(`${field} must be ${allowed.slice(0, -1).join(', ')} or ${allowed.slice(-1)}`);
+  }
+  return { [field]: { $in: values } };
+};
+
+// IDs of the user's tags or projects with any of the given names
+const idsByName = async (Model, value, userId) => {
+  const names = value.split(',').map((name) => name.trim()).filter(Boolean);
+  const docs = await Model.find({ user: userId, name: { $in: names } })
+    .collation({ locale: 'en', strength: 2 })
+    .select('_id');
+  return docs.map((doc) => doc._id);
+};
+
+// Turn the parsed field terms into query conditions, to be combined with $and.
+// Throws a 400 error when a value is not understood.
+exports.fieldConditions = async ({ fields }, userId) => {
+  const conditions = [];
+
+  for (const { field, negate, value } of fields) {
+    if (!value) throw invalid(`${field} needs a value after the colon`);
+
+    let condition;
+    if (field === 'status') {
+      condition = enumCondition('status', value, STATUSES);
+    } else if (field === 'priority') {
+      condition = enumCondition('priority', value, PRIORITIES);
+    } else if (field === 'due') {
+      condition = dueCondition(value);
+    } else if (field === 'tag') {
+      condition = { tags: { $in: await idsByName(Tag, value, userId) } };
+    } else if (field === 'project') {
+      condition =
+        value.toLowerCase() === 'none'
+          ? { project: null }
+          : { project: { $in: await idsByName(Project, value, userId) } };
+    }
+
+    conditions.push(negate ? { $nor: [condition] } : condition);
+  }
+
+  return conditions;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split text into segments, marking those that match a search term or phrase,
+// e.g. [{ text: 'Buy ', match: false }, { text: 'milk', match: true }]
+const highlight = (text, pattern) => {
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) segments.push({ text: text.slice(last, match.index), match: false });
+    segments.push({ text: match[0], match: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), match: false });
+  return segments;
+};
+
+const SNIPPET_LENGTH = 160;
+
+// Highlighted title and description snippet for each task, keyed by task ID.
+// Words match by prefix, a rough stand-in for the text index's stemming.
+exports.buildHighlights = (tasks, { terms, phrases }) => {
+  const words = terms.filter((term) => !term.startsWith('-')).map(escapeRegex);
+  const alternatives = [
+    ...phrases.map((phrase) => escapeRegex(phrase).replace(/\s+/g, '\\s+')),
+    ...words.map((word) => `${word}\\w*`),
+  ];
+  if (alternatives.length === 0) return {};
+
+  const pattern = new RegExp(`\\b(?:${alternatives.join('|')})`, 'gi');
+
+  return Object.fromEntries(
+    tasks.map((task) => {
+      const description = task.description || '';
+      const first = description.search(new RegExp(pattern.source, 'i'));
+
+      // Center the snippet on the first match when it would be cut off
+      let start = 0;
+      if (first > SNIPPET_LENGTH / 2) {
+        start = description.lastIndexOf(' ', first - SNIPPET_LENGTH / 4) + 1;
+      }
+      let snippet = description.slice(start, start + SNIPPET_LENGTH);
+      if (start > 0) snippet = `…${snippet}`;
+      if (start + SNIPPET_LENGTH < description.length) snippet = `${snippet}…`;
+
+      return [
+        task._id.toString(),
+        {
+          title: highlight(task.title, pattern),
+          snippet: snippet ? highlight(snippet, pattern) : [],
+        },
+      ];
+    })
+  );
+};
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const { generateToken } = require('../middleware/auth');
+const { createToken, hashToken } = require('./tokens');
+
+const DAY = 24 * 60 * 60 * 1000;
+// A replaced refresh token seen again this soon after rotating is most likely
+// a second tab that refreshed at the same moment, not a stolen token
+const ROTATION_GRACE_MS = 30 * 1000;
+
+// Days a session lasts without being refreshed
+const refreshTokenDays = () => Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const expiry = () => new Date(Date.now() + refreshTokenDays() * DAY);
+
+// Refresh tokens start with their session ID so they can be looked up directly
+const newRefreshToken = (sessionId) => `${sessionId}.${createToken().token}`;
+
+// Where a request came from, for the sessions list. Behind a proxy this
+// relies on the app's trust proxy setting.
+const clientIp = (req) => req.ip || '';
+
+const clientDetails = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 500),
+  ip: clientIp(req),
+});
+
+// Start a session for a user signing in, returning the client's tokens
+exports.startSession = async (user, req) => {
+  const session = new Session({ user: user._id, ...clientDetails(req), expiresAt: expiry() });
+  const refreshToken = newRefreshToken(session._id);
+  session.tokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { token: generateToken(user._id, session._id), refreshToken };
+};
+
+// Exchange a refresh token for a new access token and refresh token. Returns
+// null if the token is unknown, expired or has already been used; reusing an
+// old token ends its session.
+exports.rotateSession = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(sessionId);
+  const now = new Date();
+
+  // Matching on the hash makes the rotation atomic, so a token works only once
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, tokenHash: hash, expiresAt: { $gt: now } },
+    {
+      tokenHash: hashToken(nextToken),
+      previousTokenHash: hash,
+      rotatedAt: now,
+      lastSeenAt: now,
+      expiresAt: expiry(),
+      ...clientDetails(req),
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ _id: sessionId, previousTokenHash: hash }).select('rotatedAt');
+    if (reused && now - reused.rotatedAt > ROTATION_GRACE_MS) {
+      await reused.deleteOne();
+    }
+    return null;
+  }
+
+  return { token: generateToken(session.user, session._id), refreshToken: nextToken };
+};
+
+// End the session a refresh token belongs to
+exports.endSession = async (refreshToken) => {
+  const [sessionId] = String(refreshToken).split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return;
+  await Session.deleteOne({ _id: sessionId, tokenHash: hashToken(refreshToken) });
+};
+
+// End every session of a user, optionally keeping one (usually the current one)
+exports.revokeSessions = (userId, { except = null } = {}) =>
+  Session.deleteMany({ user: userId, ...(except && { _id: { $ne: except } }) });
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Firefox', /Firefox\//],
+  ['Chrome', /Chrome\//],
+  ['Safari', /Safari\//],
+];
+const SYSTEMS = [
+  ['iOS', /iPhone|iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/],
+];
+
+// Short description of a device from its user agent, e.g. "Firefox on Windows"
+exports.describeDevice = (userAgent) => {
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !system) return userAgent ? 'Unknown device' : 'Unknown';
+  if (!browser) return system[0];
+  return system ? `${browser[0]} on ${system[0]}` : browser[0];
+};
@@ -0,0 +1,153 @@
+const Task = require('../models/Task');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const STATUSES = ['todo', 'in-progress', 'completed'];
+const PRIORITIES = ['low', 'medium', 'high'];
+
+// Check that a time zone name is one the runtime (and MongoDB) understands
+exports.isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Today's date as YYYY-MM-DD in a time zone
+const today = (timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(
+    new Date()
+  );
+
+exports.today = today;
+
+// Calendar arithmetic on YYYY-MM-DD strings, which is the same in every zone
+const addDays = (day, days) => new Date(Date.parse(day) + days * DAY).toISOString().slice(0, 10);
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY);
+
+exports.addDays = addDays;
+exports.daysBetween = daysBetween;
+
+// The Monday starting the week of a day
+const weekStart = (day) => addDays(day, -((new Date(day).getUTCDay() + 6) % 7));
+
+// Every period in the range, so days or weeks without activity still show
+const periods = (from, to, interval) => {
+  const step = interval === 'week' ? 7 : 1;
+  const keys = [];
+  for (let day = interval === 'week' ? weekStart(from) : from; day <= to; day = addDays(day, step)) {
+    keys.push(day);
+  }
+  return keys;
+};
+
+// Aggregation expression for the period key (YYYY-MM-DD of its first day) of a date
+const periodKey = (date, interval, timezone) => ({
+  $dateToString: {
+    format: '%Y-%m-%d',
+    date: {
+      $dateTrunc: { date, unit: interval, timezone, ...(interval === 'week' && { startOfWeek: 'monday' }) },
+    },
+    timezone,
+  },
+});
+
+// Start of a YYYY-MM-DD day in a time zone, as an aggregation expression
+const startOf = (day, timezone) => ({ $dateFromString: { dateString: day, timezone } });
+
+// Tasks completed before completedAt existed fall back to their last update
+const completedAt = { $ifNull: ['$completedAt', '$updatedAt'] };
+
+// Current streak of consecutive days with a completion, ending today or
+// yesterday, and the longest streak ever. `days` are distinct YYYY-MM-DD
+// strings in descending order.
+const streaks = (days, todayKey) => {
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && daysBetween(day, days[index - 1]) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  let current = 0;
+  if (days.length > 0 && daysBetween(days[0], todayKey) <= 1) {
+    current = 1;
+    while (current < days.length && daysBetween(days[current], days[current - 1]) === 1) current += 1;
+  }
+
+  return { current, longest };
+};
+
+// Productivity stats for the tasks matching `match`, which must use ObjectIds
+// since aggregation does not cast. Status, priority and overdue counts
+// describe the tasks as they are now; the timeline and average time to
+// complete cover the days from `from` to `to` inclusive in `timezone`.
+exports.buildStats = async (match, { from, to, interval, timezone }) => {
+  const todayKey = today(timezone);
+  const rangeStart = startOf(from, timezone);
+  const rangeEnd = startOf(addDays(to, 1), timezone);
+  const inRange = (date) => ({ $and: [{ $gte: [date, rangeStart] }, { $lt: [date, rangeEnd] }] });
+
+  const [facets] = await Task.aggregate([
+    { $match: { ...match, deletedAt: null } },
+    {
+      $facet: {
+        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        byPriority: [{ $group: { _id: '$priority', count: { $sum: 1 } } }],
+        // Due dates are stored at midnight UTC, so compare them by day
+        overdue: [
+          { $match: { status: { $ne: 'completed' }, dueDate: { $ne: null, $lt: new Date(todayKey) } } },
+          { $count: 'count' },
+        ],
+        created: [
+          { $match: { $expr: inRange('$createdAt') } },
+          { $group: { _id: periodKey('$createdAt', interval, timezone), count: { $sum: 1 } } },
+        ],
+        completed: [
+          { $match: { status: 'completed' } },
+          { $set: { doneAt: completedAt } },
+          { $match: { $expr: inRange('$doneAt') } },
+          {
+            $group: {
+              _id: periodKey('$doneAt', interval, timezone),
+              count: { $sum: 1 },
+              totalMs: { $sum: { $subtract: ['$doneAt', '$createdAt'] } },
+            },
+          },
+        ],
+        completionDays: [
+          { $match: { status: 'completed' } },
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: completedAt, timezone } } } },
+          { $sort: { _id: -1 } },
+        ],
+      },
+    },
+  ]);
+
+  const countBy = (groups, keys) =>
+    Object.fromEntries(keys.map((key) => [key, groups.find((group) => group._id === key)?.count || 0]));
+
+  const keys = periods(from, to, interval);
+  const created = countBy(facets.created, keys);
+  const completed = countBy(facets.completed, keys);
+  const completedCount = facets.completed.reduce((sum, group) => sum + group.count, 0);
+  const completedMs = facets.completed.reduce((sum, group) => sum + group.totalMs, 0);
+
+  return {
+    range: { from, to, interval, timezone },
+    byStatus: countBy(facets.byStatus, STATUSES),
+    byPriority: countBy(facets.byPriority, PRIORITIES),
+    overdue: facets.overdue[0]?.count || 0,
+    timeline: keys.map((period) => ({
+      period,
+      created: created[period],
+      completed: completed[period],
+    })),
+    completedInRange: completedCount,
+    averageCompletionHours:
+      completedCount > 0 ? Math.round((completedMs / completedCount / (60 * 60 * 1000)) * 10) / 10 : null,
+    streak: streaks(facets.completionDays.map((day) => day._id), todayKey),
+  };
+};
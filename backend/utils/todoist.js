@@ -0,0 +1,138 @@
+// Reads one project CSV from a Todoist backup (Settings → Backups, one CSV
+// per project in the zip) into import rows. Sections map to statuses,
+// @labels to tags, and sub-tasks become checklist items of their parent.
+
+const csv = require('./csv');
+const { guessStatus } = require('./migration');
+
+// The CSV uses the priorities as the app shows them: 1 is p1, the highest.
+// p4 is Todoist's default, so it keeps our default priority.
+const PRIORITIES = { 1: 'high', 2: 'medium', 3: 'low' };
+
+// Backup files are named after their project, e.g. "Groceries [2203306141].csv"
+const projectFromFilename = (filename) =>
+  (filename || '')
+    .replace(/\.csv$/i, '')
+    .replace(/\s*\[\d+\]$/, '')
+    .trim();
+
+exports.read = (text, mapping, { filename } = {}) => {
+  const [header, ...lines] = csv.parse(text);
+  const columns = (header || []).map((column) => column.trim().toUpperCase());
+  const cell = (cells, column) => (cells[columns.indexOf(column)] || '').trim();
+
+  if (!columns.includes('TYPE') || !columns.includes('CONTENT')) {
+    throw new Error('The file is not a Todoist backup CSV');
+  }
+
+  const unmapped = [];
+  const note = (count, one, many) => {
+    if (count > 0) unmapped.push(`${count} ${count === 1 ? one : many}`);
+  };
+
+  const project = projectFromFilename(filename);
+  const tasks = [];
+  const sections = [];
+  let section = '';
+  let parent = null;
+  let comments = 0;
+  let wordDates = 0;
+  let assigned = 0;
+  let orphans = 0;
+
+  lines.forEach((cells, index) => {
+    const type = cell(cells, 'TYPE').toLowerCase();
+    const content = cell(cells, 'CONTENT');
+
+    if (type === 'section') {
+      section = content;
+      sections.push(content);
+      parent = null;
+      return;
+    }
+
+    if (type === 'note') {
+      comments += 1;
+      return;
+    }
+
+    if (type !== 'task') return;
+
+    // Sub-tasks, at any depth, join the checklist of their top-level task
+    if (Number(cell(cells, 'INDENT')) > 1) {
+      if (parent) {
+        parent.values.checklist.push({ text: content, done: false });
+      } else {
+        orphans += 1;
+      }
+      return;
+    }
+
+    const tags = [];
+    const title = content
+      .replace(/(^|\s)@(\S+)/g, (match, space, label) => {
+        tags.push(label);
+        return space;
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // Only calendar dates carry over; "every monday" and the like do not
+    const date = cell(cells, 'DATE');
+    const dueDate = (date.match(/^\d{4}-\d{2}-\d{2}/) || [''])[0];
+    if (date && !dueDate) wordDates += 1;
+    if (cell(cells, 'RESPONSIBLE')) assigned += 1;
+
+    parent = {
+      row: index + 2,
+      section,
+      values: {
+        title,
+        description: cell(cells, 'DESCRIPTION'),
+        status: '',
+        priority: PRIORITIES[cell(cells, 'PRIORITY')] || '',
+        dueDate,
+        tags,
+        project,
+        checklist: [],
+      },
+    };
+    tasks.push(parent);
+  });
+
+  // Tasks above the first section use the "(No section)" entry
+  const sectionNames = [
+    ...(tasks.some((task) => !task.section) ? ['(No section)'] : []),
+    ...sections,
+  ];
+  const statuses = Object.fromEntries(
+    sectionNames.map((name) => [name, (mapping?.statuses || {})[name] || guessStatus(name)])
+  );
+
+  note(comments, 'comment was not imported', 'comments were not imported');
+  note(
+    wordDates,
+    'due date written in words, such as a recurring date, was not imported',
+    'due dates written in words, such as recurring dates, were not imported'
+  );
+  note(
+    assigned,
+    'task has an assignee, which was not imported',
+    'tasks have assignees, which were not imported'
+  );
+  note(
+    orphans,
+    'sub-task without a parent task was not imported',
+    'sub-tasks without a parent task were not imported'
+  );
+
+  return {
+    columns: sectionNames,
+    mapping: { statuses },
+    rows: tasks.map(({ row, section: name, values }) => ({
+      row,
+      values: { ...values, status: statuses[name || '(No section)'] },
+    })),
+    unmapped,
+  };
+};
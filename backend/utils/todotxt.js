@@ -0,0 +1,82 @@
+// Conversion between tasks and todo.txt lines (http://todotxt.org). Priority
+// maps to (A)/(B)/(C), the project to a +project, tags to @contexts, and the
+// due date and in-progress status to due: and status: extensions.
+
+const PRIORITY_LETTERS = { high: 'A', medium: 'B', low: 'C' };
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// todo.txt words cannot contain spaces
+const toWord = (name) => name.trim().replace(/\s+/g, '_');
+const fromWord = (word) => word.replace(/_/g, ' ');
+
+// Format a task, with its tags and project populated, as one todo.txt line
+exports.formatTask = (task) => {
+  const parts = [];
+
+  if (task.status === 'completed') {
+    // Completed tasks carry their completion and creation dates and keep
+    // the priority as an extension, as the format recommends
+    parts.push('x', formatDate(task.updatedAt), formatDate(task.createdAt));
+  } else {
+    parts.push(`(${PRIORITY_LETTERS[task.priority]})`, formatDate(task.createdAt));
+  }
+
+  parts.push(task.title.replace(/\s+/g, ' '));
+
+  if (task.project) parts.push(`+${toWord(task.project.name)}`);
+  (task.tags || []).forEach((tag) => parts.push(`@${toWord(tag.name)}`));
+  if (task.dueDate) parts.push(`due:${formatDate(task.dueDate)}`);
+  if (task.status === 'completed') parts.push(`pri:${PRIORITY_LETTERS[task.priority]}`);
+  if (task.status === 'in-progress') parts.push('status:in-progress');
+
+  return parts.join(' ');
+};
+
+// Priority letters past C are all treated as low
+const priorityFromLetter = (letter) =>
+  ({ A: 'high', B: 'medium' })[letter.toUpperCase()] || 'low';
+
+// Parse one todo.txt line into task fields, or null for a blank line
+exports.parseLine = (line) => {
+  let rest = line.trim();
+  if (!rest) return null;
+
+  const task = { status: 'todo', tags: [] };
+
+  const completed = rest.match(/^x\s+/);
+  if (completed) {
+    task.status = 'completed';
+    rest = rest.slice(completed[0].length);
+  }
+
+  const priority = rest.match(/^\(([A-Z])\)\s+/);
+  if (priority) {
+    task.priority = priorityFromLetter(priority[1]);
+    rest = rest.slice(priority[0].length);
+  }
+
+  // Completion and creation dates are not imported
+  rest = rest.replace(/^(\d{4}-\d{2}-\d{2}\s+){1,2}/, '');
+
+  const words = [];
+  rest.split(/\s+/).forEach((word) => {
+    const extension = word.match(/^(due|status|pri):(\S+)$/i);
+
+    if (word.length > 1 && word.startsWith('+')) {
+      task.project = task.project || fromWord(word.slice(1));
+    } else if (word.length > 1 && word.startsWith('@')) {
+      task.tags.push(fromWord(word.slice(1)));
+    } else if (extension) {
+      const [, key, value] = extension;
+      if (key.toLowerCase() === 'due') task.dueDate = value;
+      if (key.toLowerCase() === 'status' && task.status !== 'completed') task.status = value;
+      if (key.toLowerCase() === 'pri') task.priority = priorityFromLetter(value);
+    } else {
+      words.push(word);
+    }
+  });
+
+  task.title = words.join(' ');
+  return task;
+};
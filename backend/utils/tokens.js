@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Secrets handed to users (refresh, password reset links) are stored only as
+// SHA-256 hashes, so a database leak does not give them away
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+exports.hashToken = hashToken;
+
+// A random token and the hash to store for it
+exports.createToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: hashToken(token) };
+};
@@ -0,0 +1,309 @@
+const Task = require('../models/Task');
+const csv = require('./csv');
+const todotxt = require('./todotxt');
+const trello = require('./trello');
+const todoist = require('./todoist');
+
+// Task fields an imported row can fill, in the order CSV exports write them
+const IMPORT_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'tags',
+  'project',
+  'checklist',
+];
+const CSV_COLUMNS = [...IMPORT_FIELDS, 'createdAt'];
+
+// Other column names spreadsheets commonly use for each field
+const COLUMN_ALIASES = {
+  title: ['name', 'task', 'summary'],
+  description: ['notes', 'details', 'content'],
+  status: ['state'],
+  priority: [],
+  dueDate: ['due', 'deadline', 'duedate'],
+  tags: ['labels', 'tag', 'label'],
+  project: ['list'],
+  checklist: ['subtasks', 'checklistitems'],
+};
+
+const STATUS_ALIASES = { done: 'completed', 'to-do': 'todo', open: 'todo' };
+
+exports.IMPORT_FIELDS = IMPORT_FIELDS;
+
+exports.EXPORT_FORMATS = {
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  todotxt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Plain record of a task whose tags and project are populated with their names
+const toRecord = (task) => ({
+  title: task.title,
+  description: task.description || '',
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.dueDate ? formatDay(task.dueDate) : null,
+  tags: task.tags.map((tag) => tag.name),
+  project: task.project ? task.project.name : null,
+  checklist: [...task.checklist]
+    .sort((a, b) => a.order - b.order)
+    .map(({ text, done }) => ({ text, done })),
+  createdAt: task.createdAt.toISOString(),
+});
+
+const formatChecklist = (items) =>
+  items.map((item) => `[${item.done ? 'x' : ' '}] ${item.text}`).join('; ');
+
+// Writers turn a stream of tasks into an export file, piece by piece
+exports.exportWriters = {
+  csv: {
+    start: () => `${csv.formatRow(CSV_COLUMNS)}\r\n`,
+    task: (task) => {
+      const record = toRecord(task);
+      return `${csv.formatRow([
+        ...IMPORT_FIELDS.map((field) => {
+          if (field === 'tags') return record.tags.join('; ');
+          if (field === 'checklist') return formatChecklist(record.checklist);
+          return record[field];
+        }),
+        record.createdAt,
+      ])}\r\n`;
+    },
+    end: () => '',
+  },
+  json: {
+    start: () => `{"exportedAt":"${new Date().toISOString()}","tasks":[`,
+    task: (task, index) => `${index > 0 ? ',' : ''}${JSON.stringify(toRecord(task))}`,
+    end: () => ']}\n',
+  },
+  todotxt: {
+    start: () => '',
+    task: (task) => `${todotxt.formatTask(task)}\n`,
+    end: () => '',
+  },
+};
+
+const normalizeColumn = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Match CSV columns to task fields by name
+const guessMapping = (columns) =>
+  Object.fromEntries(
+    IMPORT_FIELDS.map((field) => {
+      const names = [normalizeColumn(field), ...COLUMN_ALIASES[field]];
+      return [field, columns.find((column) => names.includes(normalizeColumn(column))) || null];
+    })
+  );
+
+const splitList = (value) =>
+  String(value)
+    .split(';')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// "[x] Buy milk; [ ] Call mom" as written by the CSV export
+const parseChecklist = (value) =>
+  splitList(value).map((item) => {
+    const match = item.match(/^\[([ xX]?)\]\s*(.*)$/);
+    return match ? { text: match[2], done: match[1].toLowerCase() === 'x' } : { text: item, done: false };
+  });
+
+// Readers turn an import file into numbered rows of raw field values. A
+// row's values are null when the row is blank.
+const readers = {
+  csv: (text, mapping) => {
+    const [header, ...rows] = csv.parse(text);
+    const columns = (header || []).map((column) => column.trim());
+    if (columns.every((column) => !column)) {
+      throw new Error('The CSV file needs a header row naming its columns');
+    }
+
+    const fieldMapping = { ...guessMapping(columns) };
+    Object.entries(mapping || {}).forEach(([field, column]) => {
+      if (IMPORT_FIELDS.includes(field)) {
+        fieldMapping[field] = columns.includes(column) ? column : null;
+      }
+    });
+
+    return {
+      columns,
+      mapping: fieldMapping,
+      rows: rows.map((cells, index) => {
+        const row = index + 2;
+        if (cells.every((cell) => !cell.trim())) return { row, values: null };
+
+        const cell = (field) => {
+          const position = columns.indexOf(fieldMapping[field]);
+          return position === -1 ? '' : csv.unescapeFormula((cells[position] || '').trim());
+        };
+
+        return {
+          row,
+          values: {
+            title: cell('title'),
+            description: cell('description'),
+            status: cell('status'),
+            priority: cell('priority'),
+            dueDate: cell('dueDate'),
+            tags: splitList(cell('tags')),
+            project: cell('project'),
+            checklist: parseChecklist(cell('checklist')),
+          },
+        };
+      }),
+    };
+  },
+
+  json: (text) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+
+    const items = Array.isArray(data) ? data : data && data.tasks;
+    if (!Array.isArray(items)) {
+      throw new Error('The JSON file must hold an array of tasks or an object with a "tasks" array');
+    }
+
+    return {
+      columns: IMPORT_FIELDS,
+      mapping: null,
+      rows: items.map((item, index) => {
+        const row = index + 1;
+        if (!item || typeof item !== 'object') return { row, values: null };
+
+        const { checklist, tags } = item;
+        return {
+          row,
+          values: {
+            ...Object.fromEntries(
+              ['title', 'description', 'status', 'priority', 'dueDate', 'project'].map((field) => [
+                field,
+                item[field] === null || item[field] === undefined ? '' : String(item[field]).trim(),
+              ])
+            ),
+            tags: Array.isArray(tags) ? tags.map(String) : splitList(tags || ''),
+            checklist: Array.isArray(checklist)
+              ? checklist.map((entry) =>
+                  typeof entry === 'string'
+                    ? { text: entry, done: false }
+                    : { text: String(entry?.text ?? ''), done: Boolean(entry?.done) }
+                )
+              : [],
+          },
+        };
+      }),
+    };
+  },
+
+  todotxt: (text) => ({
+    columns: IMPORT_FIELDS,
+    mapping: null,
+    rows: text
+      .replace(/^\uFEFF/, '')
+      .split(/\r?\n/)
+      .map((line, index) => {
+        const values = todotxt.parseLine(line);
+        return {
+          row: index + 1,
+          values: values && {
+            description: '',
+            priority: '',
+            dueDate: '',
+            project: '',
+            checklist: [],
+            ...values,
+          },
+        };
+      })
+      // A trailing line break is not a blank row
+      .filter((entry, index, entries) => entry.values || index < entries.length - 1),
+  }),
+
+  trello: trello.read,
+  todoist: todoist.read,
+};
+
+exports.IMPORT_FORMATS = Object.keys(readers);
+
+// Read an import file into { columns, mapping, rows, unmapped }, where
+// `unmapped` lists what the format holds that tasks cannot. `options.filename`
+// names the uploaded file. Throws when the file cannot be read as the format.
+exports.readImport = (text, format, mapping, options = {}) => {
+  const file = readers[format](text, mapping, options);
+  return { unmapped: [], ...file };
+};
+
+const parseDueDate = (value) => {
+  if (!value) return null;
+  // Date-only values are midnight UTC, like dates picked in the task form
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00.000Z`) : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Turn a row's raw values into task fields, checked against the Task schema.
+// Tags and projects are returned by name, since they may not exist yet.
+exports.prepareRow = (values, userId) => {
+  const errors = [];
+
+  let status = values.status.toLowerCase().replace(/[\s_]+/g, '-');
+  status = STATUS_ALIASES[status] || status;
+  if (status && !Task.schema.path('status').enumValues.includes(status)) {
+    errors.push('Status must be todo, in-progress or completed');
+  }
+
+  const priority = values.priority.toLowerCase();
+  if (priority && !Task.schema.path('priority').enumValues.includes(priority)) {
+    errors.push('Priority must be low, medium or high');
+  }
+
+  const dueDate = parseDueDate(values.dueDate);
+  if (dueDate === undefined) errors.push('Due date must be a valid date');
+
+  const tagNames = [];
+  values.tags.forEach((name) => {
+    if (!tagNames.some((existing) => existing.toLowerCase() === name.toLowerCase())) {
+      tagNames.push(name);
+    }
+  });
+  if (tagNames.length > 20) errors.push('A task can have at most 20 tags');
+  if (tagNames.some((name) => name.length > 30)) errors.push('Tag name cannot exceed 30 characters');
+
+  const projectName = values.project || null;
+  if (projectName && projectName.length > 100) {
+    errors.push('Project name cannot exceed 100 characters');
+  }
+
+  if (values.checklist.length > 100) errors.push('Checklist cannot have more than 100 items');
+
+  const fields = {
+    title: values.title,
+    description: values.description,
+    ...(status && { status }),
+    ...(priority && { priority }),
+    dueDate: dueDate || null,
+    checklist: values.checklist.map((item, index) => ({ ...item, order: index })),
+  };
+
+  const validation = new Task({ ...fields, user: userId }).validateSync();
+  if (validation) {
+    // Bad statuses and priorities were already reported above
+    errors.push(
+      ...Object.values(validation.errors)
+        .filter((error) => !['status', 'priority'].includes(error.path))
+        .map((error) => error.message)
+    );
+  }
+
+  return { fields, tagNames, projectName, errors };
+};
+
+// Rows with the same title and due date count as the same task
+exports.duplicateKey = (title, dueDate) =>
+  `${title.trim().toLowerCase()}|${dueDate ? formatDay(dueDate) : ''}`;
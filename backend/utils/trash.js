@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { snapshotTask, recordActivity } = require('./activity');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+
+// Days a task stays in the trash before it is deleted for good
+const retentionDays = () => Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+exports.retentionDays = retentionDays;
+
+// When a task moved to the trash at `deletedAt` will be purged
+exports.purgeDate = (deletedAt) => new Date(deletedAt.getTime() + retentionDays() * DAY);
+
+// Move a task to the trash, recording the deletion in its history
+exports.trashTask = async (task, actor) => {
+  const before = snapshotTask(task);
+  task.deletedAt = new Date();
+  await task.save();
+  await recordActivity({ task, actor, action: 'delete', before, after: null });
+};
+
+// Bring a task back from the trash. A project deleted in the meantime is
+// dropped, since the task cannot return to it.
+exports.restoreTask = async (task, actor) => {
+  if (task.project && !(await mongoose.model('Project').exists({ _id: task.project }))) {
+    task.project = null;
+  }
+  task.deletedAt = null;
+  await task.save();
+
+  const snapshot = snapshotTask(task);
+  await recordActivity({ task, actor, action: 'restore', before: snapshot, after: snapshot });
+};
+
+// Permanently delete every task that has outlived the retention period.
+// Returns the number of tasks removed.
+const purgeExpiredTasks = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionDays() * DAY);
+  const result = await mongoose.model('Task').deleteMany({ deletedAt: { $ne: null, $lte: cutoff } });
+  return result.deletedCount;
+};
+
+exports.purgeExpiredTasks = purgeExpiredTasks;
+
+// Purge expired tasks on a fixed interval for the lifetime of the process.
+// Serverless deployments call purgeExpiredTasks from a cron route instead.
+exports.startTrashPurge = (intervalMs = Number(process.env.TRASH_PURGE_INTERVAL_MS) || HOUR) => {
+  const run = () =>
+    purgeExpiredTasks().catch((error) => {
+      console.error('Trash purge failed:', error.message);
+    });
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+  return timer;
+};
@@ -0,0 +1,120 @@
+// Reads a Trello board export (Board menu → Print, export and share →
+// Export as JSON) into import rows. Lists map to statuses, labels to
+// priorities or tags, and the board becomes the project.
+
+const { guessStatus, guessPriority } = require('./migration');
+
+// A label becomes a tag or sets the priority
+const LABEL_TARGETS = ['tag', 'high', 'medium', 'low'];
+
+// Trello labels may have a color but no name
+const labelName = (label) => (label.name || label.color || '').trim();
+
+exports.read = (text, mapping) => {
+  let board;
+  try {
+    board = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!board || !Array.isArray(board.cards) || !Array.isArray(board.lists)) {
+    throw new Error('The file is not a Trello board export');
+  }
+
+  const unmapped = [];
+  const note = (count, one, many) => {
+    if (count > 0) unmapped.push(`${count} ${count === 1 ? one : many}`);
+  };
+
+  const openLists = board.lists.filter((list) => !list.closed);
+  const listsById = new Map(openLists.map((list) => [list.id, list]));
+
+  // Lists and labels map by name, so the user can adjust them and preview again
+  const statuses = Object.fromEntries(
+    openLists.map((list) => [
+      list.name,
+      (mapping?.statuses || {})[list.name] || guessStatus(list.name),
+    ])
+  );
+
+  const labelNames = [...new Set((board.labels || []).map(labelName).filter(Boolean))];
+  const labels = Object.fromEntries(
+    labelNames.map((name) => [
+      name,
+      LABEL_TARGETS.includes((mapping?.labels || {})[name])
+        ? mapping.labels[name]
+        : guessPriority(name) || 'tag',
+    ])
+  );
+
+  const checklistsByCard = new Map();
+  (board.checklists || []).forEach((checklist) => {
+    const items = [...(checklist.checkItems || [])]
+      .sort((a, b) => a.pos - b.pos)
+      .map((item) => ({ text: item.name.trim(), done: item.state === 'complete' }));
+    checklistsByCard.set(checklist.idCard, [
+      ...(checklistsByCard.get(checklist.idCard) || []),
+      ...items,
+    ]);
+  });
+
+  const cards = board.cards.filter((card) => !card.closed && listsById.has(card.idList));
+  note(
+    board.cards.length - cards.length,
+    'archived card was not imported',
+    'archived cards were not imported'
+  );
+
+  const rows = cards.map((card, index) => {
+    const cardLabels = (card.labels || []).map(labelName).filter(Boolean);
+    const priorities = cardLabels
+      .map((name) => labels[name])
+      .filter((target) => target && target !== 'tag');
+
+    return {
+      row: index + 1,
+      values: {
+        title: (card.name || '').trim(),
+        description: (card.desc || '').trim(),
+        status: card.dueComplete ? 'completed' : statuses[listsById.get(card.idList).name],
+        // The highest priority label wins when a card has several
+        priority: ['high', 'medium', 'low'].find((priority) => priorities.includes(priority)) || '',
+        dueDate: card.due ? card.due.slice(0, 10) : '',
+        tags: cardLabels.filter((name) => (labels[name] || 'tag') === 'tag'),
+        project: (board.name || '').trim(),
+        checklist: checklistsByCard.get(card.id) || [],
+      },
+    };
+  });
+
+  const comments = (board.actions || []).filter((action) => action.type === 'commentCard');
+  note(comments.length, 'comment was not imported', 'comments were not imported');
+  note(
+    cards.filter((card) => (card.idMembers || []).length > 0).length,
+    'card has members, which were not imported as assignees',
+    'cards have members, which were not imported as assignees'
+  );
+  note(
+    cards.filter((card) => (card.badges?.attachments || card.attachments?.length || 0) > 0).length,
+    'card has attachments, which were not imported',
+    'cards have attachments, which were not imported'
+  );
+  note(
+    cards.filter((card) => (card.customFieldItems || []).length > 0).length,
+    'card has custom field values, which were not imported',
+    'cards have custom field values, which were not imported'
+  );
+  note(
+    cards.filter((card) => card.start).length,
+    'card has a start date, which was not imported',
+    'cards have start dates, which were not imported'
+  );
+
+  return {
+    columns: Object.keys(statuses),
+    mapping: { statuses, labels },
+    rows,
+    unmapped,
+  };
+};
@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { hashToken } = require('./tokens');
+
+const ISSUER = 'Task Dashboard';
+const RECOVERY_CODE_COUNT = 10;
+// Time between the password and the code step of a login
+const CHALLENGE_EXPIRE = '5m';
+
+// Accept the codes just before and after the current one too, for clock drift
+authenticator.options = { window: 1 };
+
+// A new secret and the QR code an authenticator app scans to add it
+exports.createSecret = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, ISSUER, secret);
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Time step a code belongs to, or null if it is wrong for the secret
+const codeStep = (secret, code) => {
+  const delta = authenticator.checkDelta(code, secret);
+  return delta === null ? null : Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+};
+
+exports.isValidCode = (secret, code) => codeStep(secret, code) !== null;
+
+// Recovery codes look like 4f1c0-9ab3e; they are compared without the dash
+// and regardless of case
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+// A fresh set of recovery codes to show the user once, and their hashes to store
+exports.generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))) };
+};
+
+// Check a code from the user's authenticator app, or one of their recovery
+// codes, and use it up. Returns 'totp' or 'recovery' for an accepted code and
+// null otherwise. `user` needs twoFactor.secret selected.
+exports.redeemCode = async (user, code) => {
+  const value = String(code || '').trim();
+
+  if (/^\d{6}$/.test(value)) {
+    const step = codeStep(user.twoFactor.secret, value);
+    if (step === null) return null;
+    // Only succeeds for a later step than the last code, so a code seen over
+    // someone's shoulder can't be replayed
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return modifiedCount ? 'totp' : null;
+  }
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, 'twoFactor.recoveryCodes': hashToken(normalizeRecoveryCode(value)) },
+    { $pull: { 'twoFactor.recoveryCodes': hashToken(normalizeRecoveryCode(value)) } }
+  );
+  return modifiedCount ? 'recovery' : null;
+};
+
+// Short-lived token proving the password step of a login. It names no
+// session, so it can't be used as an access token.
+exports.createChallenge = (user) =>
+  jwt.sign({ id: user._id, purpose: '2fa' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRE });
+
+// ID of the user a challenge token was issued to, or null if it is invalid or expired
+exports.verifyChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,243 @@
+import { useState, useEffect } from 'react'
+import api from '../utils/api'
+
+const SCOPES = [
+  { value: 'tasks:read', label: 'Read tasks, tags and projects' },
+  { value: 'tasks:write', label: 'Change tasks, tags and projects' },
+  { value: 'profile:read', label: 'Read your profile' },
+]
+
+const EXPIRY_OPTIONS = [
+  { value: '7', label: 'Expires in 7 days' },
+  { value: '30', label: 'Expires in 30 days' },
+  { value: '90', label: 'Expires in 90 days' },
+  { value: '365', label: 'Expires in 1 year' },
+  { value: '', label: 'Never expires' },
+]
+
+const emptyForm = { name: '', scopes: ['tasks:read'], expiresInDays: '30' }
+
+const describeToken = (token) => {
+  const expired = token.expiresAt && new Date(token.expiresAt) <= Date.now()
+  const expiry = token.expiresAt
+    ? `${expired ? 'Expired' : 'Expires'} ${new Date(token.expiresAt).toLocaleDateString()}`
+    : 'Never expires'
+  const lastUsed = token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleDateString()}` : 'never used'
+  return `${expiry} · ${lastUsed}`
+}
+
+// Personal access tokens for scripts, which use them in place of a password.
+// A new token is shown once; the server only keeps its hash.
+const AccessTokens = () => {
+  const [tokens, setTokens] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [form, setForm] = useState(null)
+  const [created, setCreated] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    api
+      .get('/profile/tokens')
+      .then((response) => setTokens(response.data.tokens))
+      .catch(() => setError('Failed to load your access tokens'))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const toggleScope = (scope) => {
+    setForm((prev) => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope) ? prev.scopes.filter((s) => s !== scope) : [...prev.scopes, scope],
+    }))
+    setError('')
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+
+    if (form.scopes.length === 0) {
+      setError('Choose at least one scope')
+      return
+    }
+
+    setBusy(true)
+    setError('')
+    try {
+      const response = await api.post('/profile/tokens', {
+        name: form.name,
+        scopes: form.scopes,
+        expiresInDays: form.expiresInDays ? Number(form.expiresInDays) : null,
+      })
+      setTokens((prev) => [response.data.accessToken, ...prev])
+      setCreated(response.data.token)
+      setForm(null)
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to create the token')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) return
+
+    setBusy(true)
+    setError('')
+    try {
+      await api.delete(`/profile/tokens/${token.id}`)
+      setTokens((prev) => prev.filter((item) => item.id !== token.id))
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to revoke the token')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(created)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (err) {
+      setError('Copy failed. Select the token and copy it instead.')
+    }
+  }
+
+  if (loading) return null
+
+  return (
+    <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+      <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1">Access tokens</p>
+
+      {error && <p className="mb-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {created && (
+        <div className="space-y-2 mb-3">
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Copy this token now. It won't be shown again.
+          </p>
+          <input
+            type="text"
+            readOnly
+            value={created}
+            onFocus={(e) => e.target.select()}
+            className="input text-xs font-mono"
+            aria-label="New access token"
+          />
+          <div className="flex gap-2">
+            <button onClick={handleCopy} className="flex-1 btn-secondary text-sm">
+              {copied ? 'Copied!' : 'Copy'}
+            </button>
+            <button onClick={() => setCreated(null)} className="flex-1 btn-primary text-sm">
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {tokens.length > 0 && (
+        <ul className="space-y-2 mb-3">
+          {tokens.map((token) => (
+            <li key={token.id} className="flex items-start justify-between gap-2 text-sm">
+              <div className="min-w-0">
+                <p className="text-gray-900 dark:text-gray-100 truncate">
+                  {token.name}
+                  <span className="ml-2 font-mono text-xs text-gray-500 dark:text-gray-400">{token.prefix}…</span>
+                </p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">{token.scopes.join(', ')}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">{describeToken(token)}</p>
+              </div>
+              <button
+                onClick={() => handleRevoke(token)}
+                disabled={busy}
+                className="shrink-0 text-xs text-red-600 hover:text-red-700 dark:text-red-400 disabled:opacity-50"
+                aria-label={`Revoke ${token.name}`}
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {form ? (
+        <form onSubmit={handleCreate} className="space-y-2">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => {
+              setForm((prev) => ({ ...prev, name: e.target.value }))
+              setError('')
+            }}
+            className="input text-sm"
+            placeholder="Token name, e.g. Backup script"
+            aria-label="Token name"
+            maxLength={100}
+            required
+          />
+          <fieldset className="space-y-1">
+            <legend className="text-xs text-gray-500 dark:text-gray-400">Scopes</legend>
+            {SCOPES.map((scope) => (
+              <label key={scope.value} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={form.scopes.includes(scope.value)}
+                  onChange={() => toggleScope(scope.value)}
+                  className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                {scope.label}
+              </label>
+            ))}
+          </fieldset>
+          <select
+            value={form.expiresInDays}
+            onChange={(e) => setForm((prev) => ({ ...prev, expiresInDays: e.target.value }))}
+            className="input text-sm"
+            aria-label="Expiration"
+          >
+            {EXPIRY_OPTIONS.map((option) => (
+              <option key={option.label} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <div className="flex gap-2">
+            <button type="submit" disabled={busy} className="flex-1 btn-primary text-sm disabled:opacity-50">
+              {busy ? 'Creating...' : 'Create token'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setForm(null)
+                setError('')
+              }}
+              className="flex-1 btn-secondary text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="space-y-2">
+          {tokens.length === 0 && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Let scripts use the API as you, without your password.
+            </p>
+          )}
+          <button
+            onClick={() => {
+              setForm(emptyForm)
+              setCreated(null)
+            }}
+            className="w-full btn-secondary text-sm"
+          >
+            New token
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AccessTokens
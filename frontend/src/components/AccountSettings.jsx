@@ -0,0 +1,203 @@
+import { useState } from 'react'
+import { useAuth } from '../context/AuthContext'
+import api from '../utils/api'
+
+const emptyPasswords = { currentPassword: '', newPassword: '', confirmPassword: '' }
+
+// Changing the password, downloading a copy of the account's data and
+// deleting the account. Both changes ask for the current password again.
+const AccountSettings = () => {
+  const { logout } = useAuth()
+  const [mode, setMode] = useState(null)
+  const [passwords, setPasswords] = useState(emptyPasswords)
+  const [deletePassword, setDeletePassword] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  const open = (next) => {
+    setMode(next)
+    setPasswords(emptyPasswords)
+    setDeletePassword('')
+    setError('')
+    setSuccess('')
+  }
+
+  const handlePasswordChange = (e) => {
+    const { name, value } = e.target
+    setPasswords((prev) => ({ ...prev, [name]: value }))
+    setError('')
+  }
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault()
+
+    if (passwords.newPassword.length < 6) {
+      setError('New password must be at least 6 characters')
+      return
+    }
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setBusy(true)
+    setError('')
+    try {
+      const response = await api.put('/profile/password', {
+        currentPassword: passwords.currentPassword,
+        newPassword: passwords.newPassword,
+      })
+      setMode(null)
+      setSuccess(response.data.message)
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Failed to change password')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleExport = async () => {
+    setBusy(true)
+    setError('')
+    try {
+      const response = await api.get('/profile/export', { responseType: 'blob' })
+      const filename =
+        response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || 'account-export.zip'
+
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError('Export failed. Please try again.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleDelete = async (e) => {
+    e.preventDefault()
+
+    setBusy(true)
+    setError('')
+    try {
+      await api.delete('/profile', { data: { password: deletePassword } })
+      logout()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete your account')
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+      <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1">Account</p>
+
+      {success && <p className="mb-2 text-sm text-green-600 dark:text-green-400" role="status">{success}</p>}
+      {error && <p className="mb-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {mode === 'password' && (
+        <form onSubmit={handleChangePassword} className="space-y-2 mb-3">
+          <input
+            name="currentPassword"
+            type="password"
+            autoComplete="current-password"
+            value={passwords.currentPassword}
+            onChange={handlePasswordChange}
+            className="input text-sm"
+            placeholder="Current password"
+            aria-label="Current password"
+            required
+          />
+          <input
+            name="newPassword"
+            type="password"
+            autoComplete="new-password"
+            value={passwords.newPassword}
+            onChange={handlePasswordChange}
+            className="input text-sm"
+            placeholder="New password"
+            aria-label="New password"
+            required
+          />
+          <input
+            name="confirmPassword"
+            type="password"
+            autoComplete="new-password"
+            value={passwords.confirmPassword}
+            onChange={handlePasswordChange}
+            className="input text-sm"
+            placeholder="Confirm new password"
+            aria-label="Confirm new password"
+            required
+          />
+          <p className="text-xs text-gray-500 dark:text-gray-400">Your other devices will be signed out.</p>
+          <div className="flex gap-2">
+            <button type="submit" disabled={busy} className="flex-1 btn-primary text-sm disabled:opacity-50">
+              {busy ? 'Saving...' : 'Change password'}
+            </button>
+            <button type="button" onClick={() => open(null)} className="flex-1 btn-secondary text-sm">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode === 'delete' && (
+        <form onSubmit={handleDelete} className="space-y-2 mb-3">
+          <p className="text-sm text-red-600 dark:text-red-400">
+            This deletes your account, your personal tasks, tags and projects, and the workspaces you own. It
+            cannot be undone.
+          </p>
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={deletePassword}
+            onChange={(e) => {
+              setDeletePassword(e.target.value)
+              setError('')
+            }}
+            className="input text-sm"
+            placeholder="Enter your password to confirm"
+            aria-label="Password"
+            required
+          />
+          <div className="flex gap-2">
+            <button
+              type="submit"
+              disabled={busy}
+              className="flex-1 btn-danger text-sm disabled:opacity-50"
+            >
+              {busy ? 'Deleting...' : 'Delete account'}
+            </button>
+            <button type="button" onClick={() => open(null)} className="flex-1 btn-secondary text-sm">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {!mode && (
+        <div className="space-y-2">
+          <button onClick={() => open('password')} className="w-full btn-secondary text-sm">
+            Change password
+          </button>
+          <button onClick={handleExport} disabled={busy} className="w-full btn-secondary text-sm disabled:opacity-50">
+            {busy ? 'Preparing download...' : 'Download my data'}
+          </button>
+          <button
+            onClick={() => open('delete')}
+            className="w-full text-sm text-red-600 hover:text-red-700 dark:text-red-400"
+          >
+            Delete account
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AccountSettings
@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react'
+import api from '../utils/api'
+import { describeRecurrence } from '../utils/recurrence'
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  recurrence: 'Repeat',
+  project: 'Project',
+  assignee: 'Assignee',
+  tags: 'Tags',
+  checklist: 'Checklist',
+}
+
+const ACTION_LABELS = {
+  create: 'created the task',
+  update: 'updated the task',
+  status_change: 'changed the status',
+  delete: 'moved the task to the trash',
+  restore: 'restored the task from the trash',
+  revert: 'reverted the task to an earlier version',
+}
+
+// `version` changes whenever the task is saved, so the history reloads after edits
+const ActivityTimeline = ({ taskId, version, canEdit, lookups, onReverted }) => {
+  const [activity, setActivity] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchActivity()
+  }, [taskId, version])
+
+  const fetchActivity = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get(`/tasks/${taskId}/activity`)
+      setActivity(response.data.activity)
+    } catch (error) {
+      console.error('Error fetching activity:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRevert = async (entry) => {
+    if (!window.confirm('Revert the task to this version? The revert itself is kept in the history.')) {
+      return
+    }
+    setError('')
+
+    try {
+      const response = await api.post(`/tasks/${taskId}/activity/${entry._id}/revert`)
+      onReverted(response.data.task)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to revert task. Please try again.')
+    }
+  }
+
+  // Render a recorded value in human terms, resolving IDs where we can
+  const formatValue = (field, value) => {
+    if (value === null || value === '') return 'none'
+
+    switch (field) {
+      case 'dueDate':
+        return new Date(value).toLocaleDateString('en-US', {
+          year: 'numeric',
+          month: 'short',
+          day: 'numeric',
+        })
+      case 'recurrence':
+        return describeRecurrence(value.rule)
+      case 'status':
+        return value.replace('-', ' ')
+      case 'project':
+        return lookups.projectsById[value]?.name || 'a project'
+      case 'assignee':
+        return lookups.membersById[value]?.name || 'someone'
+      case 'tags':
+        return value.map((tagId) => lookups.tagsById[tagId]?.name || 'a tag').join(', ')
+      case 'checklist':
+        return `${value.filter((item) => item.done).length}/${value.length} done`
+      case 'description':
+        return value.length > 80 ? `${value.slice(0, 80)}…` : value
+      default:
+        return String(value)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600
+         dark:border-primary-400"></div>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+         text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {activity.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No history yet.</p>
+      ) : (
+        <ol className="relative border-l border-gray-200 dark:border-gray-700 ml-2 space-y-5">
+          {activity.map((entry, index) => (
+            <li key={entry._id} className="ml-4">
+              <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border-2 border-white
+               dark:border-gray-800 bg-primary-500" />
+              <div className="flex items-start justify-between gap-2">
+                <p className="text-sm text-gray-900 dark:text-gray-100">
+                  <span className="font-medium">{entry.actor?.name || 'Someone'}</span>{' '}
+                  {ACTION_LABELS[entry.action]}
+                </p>
+                {/* The newest entry is the current version, so there is nothing to revert to */}
+                {canEdit && index > 0 && entry.action !== 'delete' && (
+                  <button
+                    onClick={() => handleRevert(entry)}
+                    className="shrink-0 text-xs text-primary-600 hover:text-primary-500 dark:text-primary-400"
+                  >
+                    Revert to this version
+                  </button>
+                )}
+              </div>
+              <time className="block text-xs text-gray-500 dark:text-gray-400 mb-1">
+                {new Date(entry.createdAt).toLocaleString('en-US', {
+                  month: 'short',
+                  day: 'numeric',
+                  year: 'numeric',
+                  hour: 'numeric',
+                  minute: '2-digit',
+                })}
+              </time>
+              {entry.action !== 'create' && entry.changes.length > 0 && (
+                <ul className="space-y-0.5 text-xs text-gray-600 dark:text-gray-400">
+                  {entry.changes.map((change) => (
+                    <li key={change.field}>
+                      <span className="font-medium">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                      <span className="line-through">{formatValue(change.field, change.before)}</span>
+                      {' → '}
+                      <span>{formatValue(change.field, change.after)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+export default ActivityTimeline
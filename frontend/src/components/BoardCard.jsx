@@ -0,0 +1,130 @@
+import { useSortable } from '@dnd-kit/sortable'
+import { CSS } from '@dnd-kit/utilities'
+import TagChip from './TagChip'
+
+const PRIORITY_COLORS = {
+  high: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+  medium: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  low: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+}
+
+// Compact task card for the board. The grip is the drag handle, so the title
+// stays a plain button for opening the task; with the grip focused, space
+// picks the card up, the arrow keys move it and space drops it.
+const BoardCard = (props) => {
+  const { attributes, listeners, setNodeRef, transform, transition, isDragging } = useSortable({
+    id: props.task._id,
+    disabled: !props.canEdit,
+  })
+
+  return (
+    <CardContent
+      {...props}
+      cardRef={setNodeRef}
+      style={{ transform: CSS.Transform.toString(transform), transition }}
+      handleProps={{ ...attributes, ...listeners }}
+      dimmed={isDragging}
+    />
+  )
+}
+
+// Copy of a card that follows the pointer while it is dragged
+export const BoardCardPreview = (props) => <CardContent {...props} overlay />
+
+const CardContent = ({
+  task,
+  tagsById,
+  membersById,
+  canEdit,
+  onOpen,
+  onEdit,
+  onDelete,
+  cardRef,
+  style,
+  handleProps,
+  dimmed = false,
+  overlay = false,
+}) => {
+  const taskTags = (task.tags || []).map((tagId) => tagsById[tagId]).filter(Boolean)
+  const assignee = task.assignee && membersById[task.assignee]
+  const checklist = task.checklist || []
+  const isOverdue = task.dueDate && new Date(task.dueDate) < new Date() && task.status !== 'completed'
+
+  return (
+    <div
+      ref={cardRef}
+      style={style}
+      className={`rounded-lg bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 p-3
+       shadow-sm ${dimmed ? 'opacity-40' : ''} ${overlay ? 'shadow-lg ring-2 ring-primary-500' : ''}`}
+    >
+      <div className="flex items-start gap-2">
+        {canEdit && (
+          <button
+            {...handleProps}
+            className="mt-0.5 cursor-grab touch-none text-gray-400 hover:text-gray-600 dark:hover:text-gray-300
+             focus:outline-none focus:ring-2 focus:ring-primary-500 rounded"
+            aria-label={`Move "${task.title}"`}
+          >
+            <svg className="w-4 h-4" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+              <path d="M7 4a1 1 0 11-2 0 1 1 0 012 0zm0 6a1 1 0 11-2 0 1 1 0 012 0zm-1 7a1 1 0 100-2 1 1 0 000 2zm9-13a1 1 0 11-2 0 1 1 0 012 0zm-1 7a1 1 0 100-2 1 1 0 000 2zm1 5a1 1 0 11-2 0 1 1 0 012 0z" />
+            </svg>
+          </button>
+        )}
+        <div className="flex-1 min-w-0">
+          <button
+            onClick={() => onOpen?.(task)}
+            className="text-left text-sm font-medium text-gray-900 dark:text-gray-100 hover:text-primary-600
+             dark:hover:text-primary-400 break-words"
+            title="Open task details"
+          >
+            {task.title}
+          </button>
+
+          <div className="flex flex-wrap items-center gap-1.5 mt-2">
+            <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${PRIORITY_COLORS[task.priority]}`}>
+              {task.priority}
+            </span>
+            {taskTags.map((tag) => (
+              <TagChip key={tag._id} tag={tag} />
+            ))}
+          </div>
+
+          {(task.dueDate || checklist.length > 0 || assignee) && (
+            <div className="flex items-center gap-3 mt-2 text-xs text-gray-500 dark:text-gray-400">
+              {task.dueDate && (
+                <span className={isOverdue ? 'text-red-600 dark:text-red-400 font-medium' : ''}>
+                  {new Date(task.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                </span>
+              )}
+              {checklist.length > 0 && (
+                <span>
+                  {checklist.filter((item) => item.done).length}/{checklist.length}
+                </span>
+              )}
+              {assignee && <span className="truncate">{assignee.name}</span>}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {canEdit && !overlay && (
+        <div className="flex justify-end gap-3 mt-2 text-xs">
+          <button
+            onClick={() => onEdit(task)}
+            className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+          >
+            Edit
+          </button>
+          <button
+            onClick={() => onDelete(task._id)}
+            className="text-red-600 hover:text-red-700 dark:text-red-400"
+          >
+            Delete
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BoardCard
@@ -0,0 +1,31 @@
+// Horizontal bars showing how tasks split across a set of values, such as
+// statuses. `items` are { label, value, color } with a Tailwind color class.
+const BreakdownChart = ({ title, items }) => {
+  const total = items.reduce((sum, item) => sum + item.value, 0)
+
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-3">{title}</h3>
+      <ul className="space-y-3">
+        {items.map((item) => {
+          const percent = total > 0 ? Math.round((item.value / total) * 100) : 0
+          return (
+            <li key={item.label}>
+              <div className="flex justify-between text-sm text-gray-700 dark:text-gray-300 mb-1">
+                <span>{item.label}</span>
+                <span>
+                  {item.value} <span className="text-gray-400 dark:text-gray-500">({percent}%)</span>
+                </span>
+              </div>
+              <div className="h-2 rounded-full bg-gray-100 dark:bg-gray-700 overflow-hidden">
+                <div className={`h-full rounded-full ${item.color}`} style={{ width: `${percent}%` }} />
+              </div>
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
+
+export default BreakdownChart
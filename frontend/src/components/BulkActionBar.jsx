@@ -0,0 +1,129 @@
+import { useState } from 'react'
+
+const BulkActionBar = ({ count, tags, onAction, onClear }) => {
+  const [dueDate, setDueDate] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const run = async (action, value) => {
+    setBusy(true)
+    setError('')
+    try {
+      const result = await onAction(action, value)
+      if (result?.failed > 0) {
+        const reasons = [
+          ...new Set(result.results.filter((item) => !item.success).map((item) => item.message)),
+        ]
+        setError(
+          `${result.failed} task${result.failed === 1 ? '' : 's'} could not be changed: ${reasons.join(', ')}`
+        )
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Bulk action failed. Please try again.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  // Each select fires its action as soon as an option is picked
+  const handleSelect = (action) => (e) => {
+    const { value } = e.target
+    e.target.value = ''
+    if (value) run(action, action === 'addTags' ? [value] : value)
+  }
+
+  return (
+    <div
+      className="fixed bottom-6 left-1/2 -translate-x-1/2 z-30 w-[calc(100%-2rem)] max-w-4xl rounded-lg
+       bg-white dark:bg-gray-800 shadow-xl border border-gray-200 dark:border-gray-700 px-4 py-3"
+      role="toolbar"
+      aria-label="Bulk actions"
+    >
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm font-medium text-gray-900 dark:text-gray-100 mr-2">
+          {count} selected
+        </span>
+
+        <select
+          defaultValue=""
+          onChange={handleSelect('status')}
+          disabled={busy}
+          className="input py-1.5 w-auto"
+          aria-label="Set status"
+        >
+          <option value="">Set status…</option>
+          <option value="todo">Todo</option>
+          <option value="in-progress">In Progress</option>
+          <option value="completed">Completed</option>
+        </select>
+
+        <select
+          defaultValue=""
+          onChange={handleSelect('priority')}
+          disabled={busy}
+          className="input py-1.5 w-auto"
+          aria-label="Set priority"
+        >
+          <option value="">Set priority…</option>
+          <option value="low">Low</option>
+          <option value="medium">Medium</option>
+          <option value="high">High</option>
+        </select>
+
+        {tags.length > 0 && (
+          <select
+            defaultValue=""
+            onChange={handleSelect('addTags')}
+            disabled={busy}
+            className="input py-1.5 w-auto"
+            aria-label="Add tag"
+          >
+            <option value="">Add tag…</option>
+            {tags.map((tag) => (
+              <option key={tag._id} value={tag._id}>
+                {tag.name}
+              </option>
+            ))}
+          </select>
+        )}
+
+        <div className="flex items-center gap-1">
+          <input
+            type="date"
+            value={dueDate}
+            onChange={(e) => setDueDate(e.target.value)}
+            disabled={busy}
+            className="input py-1.5 w-auto"
+            aria-label="Due date"
+          />
+          <button
+            onClick={() => run('dueDate', dueDate || null)}
+            disabled={busy}
+            className="btn-secondary px-3 py-1.5 text-sm disabled:opacity-50"
+          >
+            {dueDate ? 'Set due date' : 'Clear due date'}
+          </button>
+        </div>
+
+        <button
+          onClick={() => run('delete')}
+          disabled={busy}
+          className="btn-danger px-3 py-1.5 text-sm disabled:opacity-50"
+        >
+          Delete
+        </button>
+
+        <button
+          onClick={onClear}
+          className="ml-auto text-sm text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+        >
+          Clear selection
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  )
+}
+
+export default BulkActionBar
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react'
+import api from '../utils/api'
+
+// Lets the user subscribe to their due dates from a calendar app. The URL
+// carries a secret token, so rotating it cuts off every old subscription.
+const CalendarFeed = () => {
+  const [path, setPath] = useState(null)
+  const [type, setType] = useState('event')
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    api
+      .get('/profile/calendar-feed')
+      .then((response) => setPath(response.data.path))
+      .catch(() => setError('Failed to load your calendar feed'))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const url = path && `${window.location.origin}${path}${type === 'todo' ? '?type=todo' : ''}`
+
+  const handleCreate = async () => {
+    if (path && !window.confirm('Rotate the feed URL? Calendars using the current URL will stop updating.')) {
+      return
+    }
+
+    setBusy(true)
+    setError('')
+    try {
+      const response = await api.post('/profile/calendar-feed')
+      setPath(response.data.path)
+      setCopied(false)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create the feed URL')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleTurnOff = async () => {
+    setBusy(true)
+    setError('')
+    try {
+      await api.delete('/profile/calendar-feed')
+      setPath(null)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to turn off the feed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(url)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (err) {
+      setError('Copy failed. Select the URL and copy it instead.')
+    }
+  }
+
+  if (loading) return null
+
+  return (
+    <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+      <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1">Calendar feed</p>
+
+      {error && <p className="mb-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {path ? (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Subscribe to this URL to see incomplete tasks with due dates in your calendar app. Keep it
+            private; anyone with it can read your tasks.
+          </p>
+          <input
+            type="text"
+            readOnly
+            value={url}
+            onFocus={(e) => e.target.select()}
+            className="input text-xs"
+            aria-label="Calendar feed URL"
+          />
+          <select
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            className="input py-1.5 text-sm"
+            aria-label="Show tasks as"
+          >
+            <option value="event">Show tasks as all-day events</option>
+            <option value="todo">Show tasks as to-dos</option>
+          </select>
+          <div className="flex gap-2">
+            <button onClick={handleCopy} className="flex-1 btn-secondary text-sm">
+              {copied ? 'Copied!' : 'Copy'}
+            </button>
+            <button onClick={handleCreate} disabled={busy} className="flex-1 btn-secondary text-sm disabled:opacity-50">
+              Rotate
+            </button>
+          </div>
+          <button
+            onClick={handleTurnOff}
+            disabled={busy}
+            className="w-full text-sm text-red-600 hover:text-red-700 dark:text-red-400 disabled:opacity-50"
+          >
+            Turn off feed
+          </button>
+        </div>
+      ) : (
+        <button onClick={handleCreate} disabled={busy} className="w-full btn-secondary disabled:opacity-50">
+          Create feed URL
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default CalendarFeed
@@ -0,0 +1,116 @@
+import { useState } from 'react'
+
+const ChecklistEditor = ({ items, onChange, error }) => {
+  const [newItemText, setNewItemText] = useState('')
+
+  const handleAdd = () => {
+    const text = newItemText.trim()
+    if (!text) return
+    onChange([...items, { text, done: false }])
+    setNewItemText('')
+  }
+
+  const handleNewItemKeyDown = (e) => {
+    // Enter adds an item instead of submitting the whole task form
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      handleAdd()
+    }
+  }
+
+  const updateItem = (index, changes) => {
+    onChange(items.map((item, i) => (i === index ? { ...item, ...changes } : item)))
+  }
+
+  const removeItem = (index) => {
+    onChange(items.filter((_, i) => i !== index))
+  }
+
+  const moveItem = (index, offset) => {
+    const target = index + offset
+    if (target < 0 || target >= items.length) return
+    const reordered = [...items]
+    ;[reordered[index], reordered[target]] = [reordered[target], reordered[index]]
+    onChange(reordered)
+  }
+
+  const doneCount = items.filter((item) => item.done).length
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <span className="label">Checklist</span>
+        {items.length > 0 && (
+          <span className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+            {doneCount}/{items.length} done
+          </span>
+        )}
+      </div>
+
+      {items.length > 0 && (
+        <ul className="space-y-2 mb-2">
+          {items.map((item, index) => (
+            <li key={item._id || index} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={item.done}
+                onChange={(e) => updateItem(index, { done: e.target.checked })}
+                className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                aria-label={`Mark "${item.text}" as done`}
+              />
+              <input
+                type="text"
+                value={item.text}
+                onChange={(e) => updateItem(index, { text: e.target.value })}
+                className={`input py-1 ${item.done ? 'line-through text-gray-400 dark:text-gray-500' : ''}`}
+              />
+              <button
+                type="button"
+                onClick={() => moveItem(index, -1)}
+                disabled={index === 0}
+                className="px-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-30"
+                aria-label="Move item up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => moveItem(index, 1)}
+                disabled={index === items.length - 1}
+                className="px-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 disabled:opacity-30"
+                aria-label="Move item down"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => removeItem(index)}
+                className="px-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                aria-label="Remove item"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={newItemText}
+          onChange={(e) => setNewItemText(e.target.value)}
+          onKeyDown={handleNewItemKeyDown}
+          className="input"
+          placeholder="Add a checklist item"
+        />
+        <button type="button" onClick={handleAdd} className="btn-secondary">
+          Add
+        </button>
+      </div>
+      {error && <p className="mt-1 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  )
+}
+
+export default ChecklistEditor
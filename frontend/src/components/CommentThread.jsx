@@ -0,0 +1,259 @@
+import { useState, useEffect } from 'react'
+import api from '../utils/api'
+import { parseMentions } from '../utils/mentions'
+import MentionInput from './MentionInput'
+
+const formatTimestamp = (dateString) =>
+  new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
+
+const CommentBody = ({ text }) => (
+  <p className="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap break-words">
+    {parseMentions(text).map((part, index) =>
+      part.type === 'mention' ? (
+        <span key={index} className="font-medium text-primary-600 dark:text-primary-400">
+          @{part.name}
+        </span>
+      ) : (
+        <span key={index}>{part.value}</span>
+      )
+    )}
+  </p>
+)
+
+const CommentThread = ({ taskId, members, currentUserId }) => {
+  const [comments, setComments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [draft, setDraft] = useState('')
+  const [replyTo, setReplyTo] = useState(null)
+  const [replyDraft, setReplyDraft] = useState('')
+  const [editingId, setEditingId] = useState(null)
+  const [editDraft, setEditDraft] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    fetchComments()
+  }, [taskId])
+
+  const fetchComments = async () => {
+    try {
+      setLoading(true)
+      const response = await api.get(`/tasks/${taskId}/comments`)
+      setComments(response.data.comments)
+    } catch (error) {
+      console.error('Error fetching comments:', error)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handlePost = async (text, parent = null) => {
+    if (!text.trim()) return false
+    setError('')
+
+    try {
+      const response = await api.post(`/tasks/${taskId}/comments`, { body: text, parent })
+      setComments((prev) => [...prev, response.data.comment])
+      return true
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to post comment. Please try again.')
+      return false
+    }
+  }
+
+  const handleComment = async () => {
+    if (await handlePost(draft)) setDraft('')
+  }
+
+  const handleReply = async (parentId) => {
+    if (await handlePost(replyDraft, parentId)) setReplyTo(null)
+  }
+
+  const handleSaveEdit = async (commentId) => {
+    if (!editDraft.trim()) return
+    setError('')
+
+    try {
+      const response = await api.put(`/tasks/${taskId}/comments/${commentId}`, { body: editDraft })
+      setComments((prev) => prev.map((c) => (c._id === commentId ? response.data.comment : c)))
+      setEditingId(null)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update comment. Please try again.')
+    }
+  }
+
+  const handleDelete = async (comment) => {
+    const hasReplies = comments.some((c) => c.parent === comment._id)
+    const prompt = hasReplies
+      ? 'Delete this comment and all of its replies?'
+      : 'Delete this comment?'
+    if (!window.confirm(prompt)) return
+
+    try {
+      await api.delete(`/tasks/${taskId}/comments/${comment._id}`)
+      setComments((prev) => prev.filter((c) => c._id !== comment._id && c.parent !== comment._id))
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to delete comment. Please try again.')
+    }
+  }
+
+  const topLevel = comments.filter((comment) => !comment.parent)
+  const repliesTo = (commentId) => comments.filter((comment) => comment.parent === commentId)
+
+  const renderComment = (comment) => {
+    const isAuthor = comment.author?._id === currentUserId
+
+    return (
+      <div key={comment._id} className="flex gap-3">
+        <div className="inline-flex items-center justify-center w-8 h-8 shrink-0 rounded-full bg-primary-100
+         dark:bg-primary-900 text-primary-600 dark:text-primary-300 text-sm font-bold">
+          {comment.author?.name?.charAt(0).toUpperCase() || '?'}
+        </div>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-baseline gap-2 mb-1">
+            <span className="text-sm font-medium text-gray-900 dark:text-gray-100">
+              {comment.author?.name || 'Deleted user'}
+            </span>
+            <span className="text-xs text-gray-500 dark:text-gray-400">
+              {formatTimestamp(comment.createdAt)}
+              {comment.editedAt && ' (edited)'}
+            </span>
+          </div>
+
+          {editingId === comment._id ? (
+            <div className="space-y-2">
+              <MentionInput
+                value={editDraft}
+                onChange={setEditDraft}
+                members={members}
+                onSubmit={() => handleSaveEdit(comment._id)}
+                autoFocus
+              />
+              <div className="flex gap-2">
+                <button onClick={() => handleSaveEdit(comment._id)} className="btn-primary px-3 py-1 text-sm">
+                  Save
+                </button>
+                <button onClick={() => setEditingId(null)} className="btn-secondary px-3 py-1 text-sm">
+                  Cancel
+                </button>
+              </div>
+            </div>
+          ) : (
+            <CommentBody text={comment.body} />
+          )}
+
+          {editingId !== comment._id && (
+            <div className="flex gap-3 mt-1 text-xs">
+              <button
+                onClick={() => {
+                  setReplyTo(comment.parent || comment._id)
+                  setReplyDraft('')
+                }}
+                className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+              >
+                Reply
+              </button>
+              {isAuthor && (
+                <>
+                  <button
+                    onClick={() => {
+                      setEditingId(comment._id)
+                      setEditDraft(comment.body)
+                    }}
+                    className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(comment)}
+                    className="text-red-600 hover:text-red-500 dark:text-red-400"
+                  >
+                    Delete
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+         text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600
+           dark:border-primary-400"></div>
+        </div>
+      ) : (
+        <div className="space-y-4 mb-4">
+          {topLevel.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No comments yet.</p>
+          )}
+          {topLevel.map((comment) => (
+            <div key={comment._id} className="space-y-3">
+              {renderComment(comment)}
+              <div className="ml-11 space-y-3">
+                {repliesTo(comment._id).map(renderComment)}
+                {replyTo === comment._id && (
+                  <div className="space-y-2">
+                    <MentionInput
+                      value={replyDraft}
+                      onChange={setReplyDraft}
+                      members={members}
+                      placeholder="Write a reply..."
+                      onSubmit={() => handleReply(comment._id)}
+                      autoFocus
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => handleReply(comment._id)}
+                        className="btn-primary px-3 py-1 text-sm"
+                      >
+                        Reply
+                      </button>
+                      <button onClick={() => setReplyTo(null)} className="btn-secondary px-3 py-1 text-sm">
+                        Cancel
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <MentionInput
+          value={draft}
+          onChange={setDraft}
+          members={members}
+          placeholder="Add a comment... Type @ to mention someone"
+          onSubmit={handleComment}
+        />
+        <button
+          onClick={handleComment}
+          disabled={!draft.trim()}
+          className="btn-primary px-3 py-1 text-sm disabled:opacity-50"
+        >
+          Comment
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default CommentThread
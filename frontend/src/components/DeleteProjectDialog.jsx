@@ -0,0 +1,99 @@
+import { useState } from 'react'
+
+const DeleteProjectDialog = ({ project, projects, onConfirm, onCancel }) => {
+  const [taskAction, setTaskAction] = useState('move')
+  const [moveTo, setMoveTo] = useState('')
+  const [error, setError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const otherProjects = projects.filter((p) => p._id !== project._id && !p.archived)
+
+  const handleConfirm = async () => {
+    setIsSubmitting(true)
+    setError('')
+    try {
+      await onConfirm(project, taskAction, moveTo)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to delete project. Please try again.')
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 px-4" role="dialog" aria-modal="true">
+      <div className="card w-full max-w-md">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
+          Delete “{project.name}”?
+        </h3>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          {project.taskCount
+            ? `This project has ${project.taskCount} task${project.taskCount > 1 ? 's' : ''}. What should happen to them?`
+            : 'This project has no tasks.'}
+        </p>
+
+        {error && (
+          <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+           text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        {project.taskCount > 0 && (
+          <div className="space-y-3 mb-4">
+            <label className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="radio"
+                name="taskAction"
+                value="move"
+                checked={taskAction === 'move'}
+                onChange={() => setTaskAction('move')}
+                className="mt-1"
+              />
+              <span className="flex-1">
+                Move tasks to
+                <select
+                  value={moveTo}
+                  onChange={(e) => setMoveTo(e.target.value)}
+                  disabled={taskAction !== 'move'}
+                  className="input mt-1 text-sm"
+                >
+                  <option value="">No project</option>
+                  {otherProjects.map((p) => (
+                    <option key={p._id} value={p._id}>
+                      {p.name}
+                    </option>
+                  ))}
+                </select>
+              </span>
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="radio"
+                name="taskAction"
+                value="delete"
+                checked={taskAction === 'delete'}
+                onChange={() => setTaskAction('delete')}
+              />
+              Move the tasks to the trash
+            </label>
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <button
+            onClick={handleConfirm}
+            disabled={isSubmitting}
+            className="flex-1 btn-danger disabled:opacity-50"
+          >
+            {isSubmitting ? 'Deleting...' : 'Delete Project'}
+          </button>
+          <button onClick={onCancel} className="flex-1 btn-secondary">
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DeleteProjectDialog
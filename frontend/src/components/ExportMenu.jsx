@@ -0,0 +1,64 @@
+import { useState } from 'react'
+import api from '../utils/api'
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'todotxt', label: 'todo.txt' },
+]
+
+// Downloads the tasks matching the current filters. `params` holds the
+// list's filter query string.
+const ExportMenu = ({ params }) => {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleExport = async (e) => {
+    const format = e.target.value
+    e.target.value = ''
+    if (!format) return
+
+    setBusy(true)
+    setError('')
+    try {
+      const response = await api.get(`/tasks/export?${params}&format=${format}`, {
+        responseType: 'blob',
+      })
+      const filename =
+        response.headers['content-disposition']?.match(/filename="(.+)"/)?.[1] || `tasks.${format}`
+
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError('Export failed. Please try again.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div>
+      <select
+        defaultValue=""
+        onChange={handleExport}
+        disabled={busy}
+        className="input py-1.5 w-auto"
+        aria-label="Export tasks"
+      >
+        <option value="">{busy ? 'Exporting…' : 'Export…'}</option>
+        {FORMATS.map((format) => (
+          <option key={format.value} value={format.value}>
+            {format.label}
+          </option>
+        ))}
+      </select>
+      {error && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  )
+}
+
+export default ExportMenu
@@ -0,0 +1,20 @@
+// Text split into search-match segments by the API, with matches marked.
+// Falls back to the plain text when the segments no longer spell it, e.g.
+// after the task was edited.
+const Highlight = ({ segments, text }) => {
+  if (!segments || segments.map((segment) => segment.text).join('') !== text) {
+    return text
+  }
+
+  return segments.map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-yellow-200 dark:bg-yellow-600/40 text-inherit rounded-sm">
+        {segment.text}
+      </mark>
+    ) : (
+      segment.text
+    )
+  )
+}
+
+export default Highlight
@@ -0,0 +1,106 @@
+const OUTCOME_STYLES = {
+  create: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  skipped: 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300',
+  invalid: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+}
+
+const formatDate = (dateString) =>
+  dateString
+    ? new Date(dateString).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        timeZone: 'UTC',
+      })
+    : ''
+
+// Summary, row preview and problems of an import, before or after it runs.
+// `report` is the response of POST /tasks/import.
+const ImportReport = ({ report, imported }) => (
+  <>
+    <p className="text-sm text-gray-700 dark:text-gray-300 mb-3">
+      {imported
+        ? `${report.created} task${report.created === 1 ? '' : 's'} imported`
+        : `${report.toCreate} of ${report.total} rows will be imported`}
+      {report.skipped.length > 0 && `, ${report.skipped.length} skipped`}
+      {report.invalid.length > 0 && `, ${report.invalid.length} invalid`}.
+    </p>
+
+    {report.unmapped.length > 0 && (
+      <div className="mb-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-800
+       text-amber-800 dark:text-amber-300 px-4 py-2 rounded-lg text-sm">
+        <p className="font-medium">Not carried over</p>
+        <ul className="list-disc pl-5">
+          {report.unmapped.map((message) => (
+            <li key={message}>{message}</li>
+          ))}
+        </ul>
+      </div>
+    )}
+
+    {!imported && report.preview.length > 0 && (
+      <div className="overflow-x-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 dark:text-gray-400">
+              <th className="py-1 pr-3">Row</th>
+              <th className="py-1 pr-3">Outcome</th>
+              <th className="py-1 pr-3">Title</th>
+              <th className="py-1 pr-3">Status</th>
+              <th className="py-1 pr-3">Priority</th>
+              <th className="py-1 pr-3">Due</th>
+              <th className="py-1">Tags</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {report.preview.map((entry) => (
+              <tr key={entry.row} className="text-gray-900 dark:text-gray-100 align-top">
+                <td className="py-1 pr-3">{entry.row}</td>
+                <td className="py-1 pr-3">
+                  <span className={`px-2 py-0.5 rounded text-xs font-medium ${OUTCOME_STYLES[entry.outcome]}`}>
+                    {entry.outcome}
+                  </span>
+                </td>
+                <td className="py-1 pr-3">
+                  {entry.task?.title}
+                  {(entry.errors || (entry.reason && [entry.reason]))?.map((message) => (
+                    <p key={message} className="text-xs text-gray-500 dark:text-gray-400">
+                      {message}
+                    </p>
+                  ))}
+                </td>
+                <td className="py-1 pr-3">{entry.task?.status || ''}</td>
+                <td className="py-1 pr-3">{entry.task?.priority || ''}</td>
+                <td className="py-1 pr-3">{formatDate(entry.task?.dueDate)}</td>
+                <td className="py-1">{entry.task?.tags.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {report.total > report.preview.length && (
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Showing the first {report.preview.length} of {report.total} rows.
+          </p>
+        )}
+      </div>
+    )}
+
+    {(imported || report.total > report.preview.length) &&
+      (report.invalid.length > 0 || report.skipped.length > 0) && (
+        <ul className="mb-4 space-y-1 text-xs text-gray-600 dark:text-gray-400 max-h-40 overflow-y-auto">
+          {report.invalid.map((entry) => (
+            <li key={`invalid-${entry.row}`}>
+              Row {entry.row} is invalid: {entry.errors.join(', ')}
+            </li>
+          ))}
+          {report.skipped.map((entry) => (
+            <li key={`skipped-${entry.row}`}>
+              Row {entry.row} skipped: {entry.reason}
+            </li>
+          ))}
+        </ul>
+      )}
+  </>
+)
+
+export default ImportReport
@@ -0,0 +1,189 @@
+import { useState } from 'react'
+import api from '../utils/api'
+import ImportReport from './ImportReport'
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'json', label: 'JSON' },
+  { value: 'todotxt', label: 'todo.txt' },
+]
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  dueDate: 'Due date',
+  tags: 'Tags',
+  project: 'Project',
+  checklist: 'Checklist',
+}
+
+const detectFormat = (filename) => {
+  const extension = filename.split('.').pop().toLowerCase()
+  if (extension === 'json') return 'json'
+  if (extension === 'txt' || extension === 'todo') return 'todotxt'
+  return 'csv'
+}
+
+// Three steps: pick a file, check the dry-run preview (and, for CSV, which
+// column feeds each field), then import and show the report
+const ImportWizard = ({ workspace, onImported, onClose }) => {
+  const [file, setFile] = useState(null)
+  const [text, setText] = useState('')
+  const [format, setFormat] = useState('csv')
+  const [mapping, setMapping] = useState(null)
+  const [report, setReport] = useState(null)
+  const [imported, setImported] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const runImport = async ({ dryRun, content = text, fileFormat = format, fieldMapping = mapping }) => {
+    const params = new URLSearchParams({ format: fileFormat, dryRun })
+    if (workspace) params.append('workspace', workspace)
+    if (fieldMapping && fileFormat === 'csv') params.append('mapping', JSON.stringify(fieldMapping))
+
+    setBusy(true)
+    setError('')
+    try {
+      const response = await api.post(`/tasks/import?${params.toString()}`, content, {
+        headers: { 'Content-Type': 'text/plain' },
+      })
+      setReport(response.data)
+      setMapping(response.data.mapping)
+      if (!dryRun) {
+        setImported(true)
+        onImported()
+      }
+    } catch (err) {
+      setReport(null)
+      setError(err.response?.data?.message || 'Import failed. Please try again.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0]
+    if (!chosen) return
+
+    const content = await chosen.text()
+    const fileFormat = detectFormat(chosen.name)
+    setFile(chosen)
+    setText(content)
+    setFormat(fileFormat)
+    setMapping(null)
+    runImport({ dryRun: true, content, fileFormat, fieldMapping: null })
+  }
+
+  const handleFormatChange = (value) => {
+    setFormat(value)
+    setMapping(null)
+    runImport({ dryRun: true, fileFormat: value, fieldMapping: null })
+  }
+
+  const handleMappingChange = (field, column) => {
+    const fieldMapping = { ...mapping, [field]: column || null }
+    setMapping(fieldMapping)
+    runImport({ dryRun: true, fieldMapping })
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 px-4" role="dialog" aria-modal="true">
+      <div className="card w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">Import tasks</h3>
+
+        {error && (
+          <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+           text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        {!imported && (
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+            <div className="sm:col-span-2">
+              <label htmlFor="importFile" className="label">
+                File
+              </label>
+              <input
+                id="importFile"
+                type="file"
+                accept=".csv,.json,.txt,.todo"
+                onChange={handleFileChange}
+                disabled={busy}
+                className="block w-full text-sm text-gray-700 dark:text-gray-300"
+              />
+            </div>
+            <div>
+              <label htmlFor="importFormat" className="label">
+                Format
+              </label>
+              <select
+                id="importFormat"
+                value={format}
+                onChange={(e) => handleFormatChange(e.target.value)}
+                disabled={busy || !file}
+                className="input"
+              >
+                {FORMATS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+
+        {report && !imported && format === 'csv' && mapping && (
+          <div className="mb-4">
+            <h4 className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">Columns</h4>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+              {Object.keys(FIELD_LABELS).map((field) => (
+                <div key={field}>
+                  <label htmlFor={`mapping-${field}`} className="text-xs text-gray-600 dark:text-gray-400">
+                    {FIELD_LABELS[field]}
+                  </label>
+                  <select
+                    id={`mapping-${field}`}
+                    value={mapping[field] || ''}
+                    onChange={(e) => handleMappingChange(field, e.target.value)}
+                    disabled={busy}
+                    className="input py-1.5 text-sm"
+                  >
+                    <option value="">Don't import</option>
+                    {report.columns.map((column) => (
+                      <option key={column} value={column}>
+                        {column}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {report && <ImportReport report={report} imported={imported} />}
+
+        <div className="flex gap-3">
+          {!imported && (
+            <button
+              onClick={() => runImport({ dryRun: false })}
+              disabled={busy || !report || report.toCreate === 0}
+              className="flex-1 btn-primary disabled:opacity-50"
+            >
+              {busy ? 'Working...' : `Import ${report ? report.toCreate : ''} tasks`}
+            </button>
+          )}
+          <button onClick={onClose} className="flex-1 btn-secondary">
+            {imported ? 'Done' : 'Cancel'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ImportWizard
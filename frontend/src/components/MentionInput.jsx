@@ -0,0 +1,113 @@
+import { useState, useRef } from 'react'
+import { formatMention } from '../utils/mentions'
+
+// Text typed right after an "@" that has not been turned into a mention yet
+const getMentionQuery = (text, caret) => {
+  const match = /(^|\s)@([^\s@[]*)$/.exec(text.slice(0, caret))
+  return match ? { query: match[2], start: caret - match[2].length - 1 } : null
+}
+
+const MentionInput = ({ value, onChange, members, placeholder, onSubmit, autoFocus }) => {
+  const [mention, setMention] = useState(null)
+  const [activeIndex, setActiveIndex] = useState(0)
+  const textareaRef = useRef(null)
+
+  const suggestions = mention
+    ? members
+        .filter((member) => member.name.toLowerCase().includes(mention.query.toLowerCase()))
+        .slice(0, 6)
+    : []
+
+  const handleChange = (e) => {
+    onChange(e.target.value)
+    setMention(getMentionQuery(e.target.value, e.target.selectionStart))
+    setActiveIndex(0)
+  }
+
+  const insertMention = (member) => {
+    const caret = textareaRef.current.selectionStart
+    const token = `${formatMention(member)} `
+    const next = value.slice(0, mention.start) + token + value.slice(caret)
+    onChange(next)
+    setMention(null)
+
+    // Put the caret right after the inserted mention
+    const position = mention.start + token.length
+    requestAnimationFrame(() => {
+      textareaRef.current.focus()
+      textareaRef.current.setSelectionRange(position, position)
+    })
+  }
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length > 0) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        setActiveIndex((prev) => (prev + step + suggestions.length) % suggestions.length)
+        return
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault()
+        insertMention(suggestions[activeIndex])
+        return
+      }
+      if (e.key === 'Escape') {
+        setMention(null)
+        return
+      }
+    }
+
+    // Ctrl/Cmd+Enter posts the comment
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && onSubmit) {
+      e.preventDefault()
+      onSubmit()
+    }
+  }
+
+  return (
+    <div className="relative">
+      <textarea
+        ref={textareaRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setMention(null)}
+        rows={3}
+        className="input text-sm"
+        placeholder={placeholder}
+        autoFocus={autoFocus}
+      />
+      {suggestions.length > 0 && (
+        <ul
+          className="absolute z-20 left-0 bottom-full mb-1 w-64 bg-white dark:bg-gray-800 border border-gray-200
+           dark:border-gray-700 rounded-lg shadow-lg py-1"
+          role="listbox"
+        >
+          {suggestions.map((member, index) => (
+            <li
+              key={member._id}
+              role="option"
+              aria-selected={index === activeIndex}
+              // mousedown fires before the textarea blurs and closes the list
+              onMouseDown={(e) => {
+                e.preventDefault()
+                insertMention(member)
+              }}
+              className={`px-3 py-1.5 text-sm cursor-pointer ${
+                index === activeIndex
+                  ? 'bg-primary-50 text-primary-700 dark:bg-primary-900/30 dark:text-primary-300'
+                  : 'text-gray-700 dark:text-gray-300'
+              }`}
+            >
+              <span className="font-medium">{member.name}</span>
+              <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{member.email}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default MentionInput
@@ -0,0 +1,194 @@
+import { useState } from 'react'
+import api from '../utils/api'
+import ImportReport from './ImportReport'
+
+const SOURCES = {
+  trello: {
+    label: 'Trello',
+    accept: '.json',
+    help: 'In Trello, open the board menu and choose Print, export and share → Export as JSON.',
+    groups: 'Lists',
+  },
+  todoist: {
+    label: 'Todoist',
+    accept: '.csv',
+    help:
+      'In Todoist, download a backup from Settings → Backups and unzip it. Each project is a ' +
+      'CSV file; import them one at a time.',
+    groups: 'Sections',
+  },
+}
+
+const STATUS_OPTIONS = [
+  { value: 'todo', label: 'Todo' },
+  { value: 'in-progress', label: 'In Progress' },
+  { value: 'completed', label: 'Completed' },
+]
+
+const LABEL_OPTIONS = [
+  { value: 'tag', label: 'Tag' },
+  { value: 'high', label: 'High priority' },
+  { value: 'medium', label: 'Medium priority' },
+  { value: 'low', label: 'Low priority' },
+]
+
+// Imports a Trello board or a Todoist project. The dry run shows how lists,
+// sections and labels map onto tasks, and those mappings can be changed
+// before importing.
+const MigrateDialog = ({ workspace, onImported, onClose }) => {
+  const [source, setSource] = useState('trello')
+  const [file, setFile] = useState(null)
+  const [text, setText] = useState('')
+  const [mapping, setMapping] = useState(null)
+  const [report, setReport] = useState(null)
+  const [imported, setImported] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const runImport = async ({ dryRun, content = text, chosen = file, from = source, fieldMapping = mapping }) => {
+    const params = new URLSearchParams({ format: from, dryRun, filename: chosen.name })
+    if (workspace) params.append('workspace', workspace)
+    if (fieldMapping) params.append('mapping', JSON.stringify(fieldMapping))
+
+    setBusy(true)
+    setError('')
+    try {
+      const response = await api.post(`/tasks/import?${params.toString()}`, content, {
+        headers: { 'Content-Type': 'text/plain' },
+      })
+      setReport(response.data)
+      setMapping(response.data.mapping)
+      if (!dryRun) {
+        setImported(true)
+        onImported()
+      }
+    } catch (err) {
+      setReport(null)
+      setError(err.response?.data?.message || 'Import failed. Please try again.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleSourceChange = (value) => {
+    setSource(value)
+    setFile(null)
+    setText('')
+    setMapping(null)
+    setReport(null)
+    setError('')
+  }
+
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0]
+    if (!chosen) return
+
+    const content = await chosen.text()
+    setFile(chosen)
+    setText(content)
+    setMapping(null)
+    runImport({ dryRun: true, content, chosen, fieldMapping: null })
+  }
+
+  const handleMappingChange = (group, name, value) => {
+    const fieldMapping = { ...mapping, [group]: { ...mapping[group], [name]: value } }
+    setMapping(fieldMapping)
+    runImport({ dryRun: true, fieldMapping })
+  }
+
+  const renderMapping = (group, title, options) =>
+    Object.keys(mapping?.[group] || {}).length > 0 && (
+      <div className="mb-4">
+        <h4 className="text-sm font-medium text-gray-900 dark:text-gray-100 mb-2">{title}</h4>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+          {Object.entries(mapping[group]).map(([name, value]) => (
+            <label key={name} className="flex items-center justify-between gap-3 text-sm text-gray-700 dark:text-gray-300">
+              <span className="truncate">{name}</span>
+              <select
+                value={value}
+                onChange={(e) => handleMappingChange(group, name, e.target.value)}
+                disabled={busy}
+                className="input py-1.5 w-40 text-sm"
+              >
+                {options.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      </div>
+    )
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 px-4" role="dialog" aria-modal="true">
+      <div className="card w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
+          Migrate from {SOURCES[source].label}
+        </h3>
+
+        {error && (
+          <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+           text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+
+        {!imported && (
+          <>
+            <div className="flex gap-2 mb-3">
+              {Object.entries(SOURCES).map(([value, { label }]) => (
+                <button
+                  key={value}
+                  onClick={() => handleSourceChange(value)}
+                  disabled={busy}
+                  className={source === value ? 'btn-primary' : 'btn-secondary'}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">{SOURCES[source].help}</p>
+            <input
+              key={source}
+              type="file"
+              accept={SOURCES[source].accept}
+              onChange={handleFileChange}
+              disabled={busy}
+              aria-label={`${SOURCES[source].label} export file`}
+              className="block w-full text-sm text-gray-700 dark:text-gray-300 mb-4"
+            />
+
+            {report && (
+              <>
+                {renderMapping('statuses', `${SOURCES[source].groups} become`, STATUS_OPTIONS)}
+                {renderMapping('labels', 'Labels become', LABEL_OPTIONS)}
+              </>
+            )}
+          </>
+        )}
+
+        {report && <ImportReport report={report} imported={imported} />}
+
+        <div className="flex gap-3">
+          {!imported && (
+            <button
+              onClick={() => runImport({ dryRun: false })}
+              disabled={busy || !report || report.toCreate === 0}
+              className="flex-1 btn-primary disabled:opacity-50"
+            >
+              {busy ? 'Working...' : `Import ${report ? report.toCreate : ''} tasks`}
+            </button>
+          )}
+          <button onClick={onClose} className="flex-1 btn-secondary">
+            {imported ? 'Done' : 'Cancel'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default MigrateDialog
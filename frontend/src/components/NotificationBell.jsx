@@ -0,0 +1,175 @@
+import { useState, useEffect, useRef } from 'react'
+import api from '../utils/api'
+
+const POLL_INTERVAL = 60 * 1000
+
+const formatTime = (dateString) =>
+  new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
+
+const NotificationBell = ({ onOpenTask }) => {
+  const [notifications, setNotifications] = useState([])
+  const [unreadCount, setUnreadCount] = useState(0)
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  const fetchNotifications = async () => {
+    try {
+      const response = await api.get('/notifications', { params: { limit: 20 } })
+      setNotifications(response.data.notifications)
+      setUnreadCount(response.data.unreadCount)
+    } catch (error) {
+      console.error('Error fetching notifications:', error)
+    }
+  }
+
+  // Poll so reminders fired by the server show up without a reload
+  useEffect(() => {
+    fetchNotifications()
+    const timer = setInterval(fetchNotifications, POLL_INTERVAL)
+    return () => clearInterval(timer)
+  }, [])
+
+  useEffect(() => {
+    if (!open) return
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false)
+      }
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false)
+    }
+
+    document.addEventListener('mousedown', handleClickOutside)
+    document.addEventListener('keydown', handleKeyDown)
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside)
+      document.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [open])
+
+  const handleToggle = () => {
+    if (!open) fetchNotifications()
+    setOpen((prev) => !prev)
+  }
+
+  const handleSelect = async (notification) => {
+    if (!notification.read) {
+      try {
+        await api.patch(`/notifications/${notification._id}/read`)
+        setNotifications((prev) =>
+          prev.map((item) => (item._id === notification._id ? { ...item, read: true } : item))
+        )
+        setUnreadCount((prev) => Math.max(0, prev - 1))
+      } catch (error) {
+        console.error('Error marking notification as read:', error)
+      }
+    }
+
+    if (notification.task) {
+      setOpen(false)
+      onOpenTask(notification.task._id)
+    }
+  }
+
+  const handleMarkAllRead = async () => {
+    try {
+      await api.patch('/notifications/read-all')
+      setNotifications((prev) => prev.map((item) => ({ ...item, read: true })))
+      setUnreadCount(0)
+    } catch (error) {
+      console.error('Error marking notifications as read:', error)
+    }
+  }
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={handleToggle}
+        className="relative p-2 rounded-lg text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+        aria-expanded={open}
+      >
+        <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+          <path
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            strokeWidth={2}
+            d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+          />
+        </svg>
+        {unreadCount > 0 && (
+          <span
+            className="absolute -top-1 -right-1 inline-flex items-center justify-center h-5 min-w-[1.25rem] px-1
+             rounded-full bg-red-600 text-white text-xs font-bold"
+          >
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          className="absolute right-0 mt-2 w-80 z-40 rounded-lg bg-white dark:bg-gray-800 shadow-lg
+           border border-gray-200 dark:border-gray-700"
+        >
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200 dark:border-gray-700">
+            <h2 className="text-sm font-semibold text-gray-900 dark:text-gray-100">Notifications</h2>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="text-xs text-primary-600 hover:text-primary-700 dark:text-primary-400"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500 dark:text-gray-400">
+              You&apos;re all caught up.
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+              {notifications.map((notification) => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => handleSelect(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 dark:hover:bg-gray-700/50 ${
+                      notification.read ? '' : 'bg-primary-50 dark:bg-primary-900/20'
+                    }`}
+                  >
+                    <span className="flex items-start gap-2">
+                      <span
+                        className={`mt-1.5 h-2 w-2 shrink-0 rounded-full ${
+                          notification.read ? 'bg-transparent' : 'bg-primary-600 dark:bg-primary-400'
+                        }`}
+                        aria-hidden="true"
+                      />
+                      <span>
+                        <span className="block text-sm text-gray-800 dark:text-gray-200">
+                          {notification.message}
+                        </span>
+                        <span className="block text-xs text-gray-500 dark:text-gray-400 mt-0.5">
+                          {formatTime(notification.createdAt)}
+                        </span>
+                      </span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NotificationBell
@@ -1,6 +1,11 @@
 import { useState, useEffect } from 'react'
 import { useAuth } from '../context/AuthContext'
 import api from '../utils/api'
+import CalendarFeed from './CalendarFeed'
+import SessionList from './SessionList'
+import AccountSettings from './AccountSettings'
+import TwoFactorSettings from './TwoFactorSettings'
+import AccessTokens from './AccessTokens'
 
 const ProfileCard = () => {
   const { user, updateUser } = useAuth()
@@ -37,7 +42,7 @@ const ProfileCard = () => {
     try {
       const response = await api.put('/profile', formData)
       updateUser(response.data.user)
-      setSuccess('Profile updated successfully!')
+      setSuccess(response.data.message)
       setIsEditing(false)
       setTimeout(() => setSuccess(''), 3000)
     } catch (error) {
@@ -49,6 +54,29 @@ const ProfileCard = () => {
     }
   }
 
+  const handleResendVerification = async () => {
+    setError('')
+    try {
+      const response = await api.post('/auth/resend-verification')
+      setSuccess(response.data.message)
+      setTimeout(() => setSuccess(''), 3000)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to send the email. Please try again.')
+    }
+  }
+
+  const handleCancelEmailChange = async () => {
+    setError('')
+    try {
+      const response = await api.delete('/profile/pending-email')
+      updateUser({ ...user, pendingEmail: undefined })
+      setSuccess(response.data.message)
+      setTimeout(() => setSuccess(''), 3000)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to cancel the email change. Please try again.')
+    }
+  }
+
   const handleCancel = () => {
     setFormData({
       name: user?.name || '',
@@ -63,7 +91,7 @@ const ProfileCard = () => {
   }
 
   return (
-    <div className="card sticky top-4">
+    <div className="card">
       <div className="text-center mb-4">
         <div className="inline-flex items-center justify-center w-20 h-20 rounded-full 
         bg-primary-100 dark:bg-primary-900 text-primary-600 dark:text-primary-300 text-2xl font-bold mb-2">
@@ -80,6 +108,13 @@ const ProfileCard = () => {
         </div>
       )}
 
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+         text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
       {!isEditing ? (
         <div className="space-y-2">
           <div>
@@ -88,7 +123,34 @@ const ProfileCard = () => {
           </div>
           <div>
             <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1">Email</p>
-            <p className="text-sm text-gray-900 dark:text-gray-100">{user.email}</p>
+            <p className="text-sm text-gray-900 dark:text-gray-100">
+              {user.email}
+              {user.emailVerified === false && (
+                <span className="ml-2 text-xs text-yellow-700 dark:text-yellow-400">Unverified</span>
+              )}
+            </p>
+            {user.pendingEmail && (
+              <div className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                <p>
+                  Changing to <span className="font-medium">{user.pendingEmail}</span> once you open the link sent
+                  there.
+                </p>
+                <div className="flex gap-3 mt-1">
+                  <button
+                    onClick={handleResendVerification}
+                    className="text-primary-600 hover:text-primary-700 dark:text-primary-400"
+                  >
+                    Resend link
+                  </button>
+                  <button
+                    onClick={handleCancelEmailChange}
+                    className="text-red-600 hover:text-red-700 dark:text-red-400"
+                  >
+                    Cancel change
+                  </button>
+                </div>
+              </div>
+            )}
           </div>
           <button
             onClick={() => setIsEditing(true)}
@@ -96,16 +158,14 @@ const ProfileCard = () => {
           >
             Edit Profile
           </button>
+          <CalendarFeed />
+          <SessionList />
+          <TwoFactorSettings />
+          <AccessTokens />
+          <AccountSettings />
         </div>
       ) : (
         <form onSubmit={handleSubmit} className="space-y-4">
-          {error && (
-            <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
-             text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm">
-              {error}
-            </div>
-          )}
-
           <div>
             <label htmlFor="profile-name" className="label">
               Name
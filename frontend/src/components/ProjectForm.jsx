@@ -0,0 +1,83 @@
+import { useState } from 'react'
+
+const ProjectForm = ({ project, onSubmit, onCancel }) => {
+  const [formData, setFormData] = useState({
+    name: project?.name || '',
+    description: project?.description || '',
+    color: project?.color || '#0284c7',
+  })
+  const [error, setError] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData((prev) => ({ ...prev, [name]: value }))
+    setError('')
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!formData.name.trim()) {
+      setError('Project name is required')
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      await onSubmit(formData)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to save project. Please try again.')
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2 mb-3">
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+      <div className="flex items-center gap-2">
+        <input
+          type="color"
+          name="color"
+          value={formData.color}
+          onChange={handleChange}
+          className="h-8 w-8 cursor-pointer rounded border-0 bg-transparent p-0"
+          aria-label="Project color"
+        />
+        <input
+          type="text"
+          name="name"
+          value={formData.name}
+          onChange={handleChange}
+          maxLength={100}
+          className="input py-1 text-sm"
+          placeholder="Project name"
+          autoFocus
+        />
+      </div>
+      <textarea
+        name="description"
+        value={formData.description}
+        onChange={handleChange}
+        maxLength={500}
+        rows={2}
+        className="input py-1 text-sm"
+        placeholder="Description (optional)"
+      />
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="flex-1 btn-primary px-3 py-1 text-sm disabled:opacity-50"
+        >
+          {project ? 'Save' : 'Create'}
+        </button>
+        <button type="button" onClick={onCancel} className="flex-1 btn-secondary px-3 py-1 text-sm">
+          Cancel
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default ProjectForm
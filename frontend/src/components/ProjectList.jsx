@@ -0,0 +1,188 @@
+import { useState } from 'react'
+import api from '../utils/api'
+import ProjectForm from './ProjectForm'
+import DeleteProjectDialog from './DeleteProjectDialog'
+
+const ProjectList = ({
+  projects,
+  selected,
+  trashOpen,
+  onSelect,
+  onOpenTrash,
+  onProjectsChange,
+  onProjectDeleted,
+}) => {
+  const [showForm, setShowForm] = useState(false)
+  const [editingProject, setEditingProject] = useState(null)
+  const [deletingProject, setDeletingProject] = useState(null)
+  const [showArchived, setShowArchived] = useState(false)
+
+  const activeProjects = projects.filter((project) => !project.archived)
+  const archivedProjects = projects.filter((project) => project.archived)
+
+  const handleSubmit = async (formData) => {
+    if (editingProject) {
+      await api.put(`/projects/${editingProject._id}`, formData)
+    } else {
+      const response = await api.post('/projects', formData)
+      onSelect(response.data.project._id)
+    }
+    setShowForm(false)
+    setEditingProject(null)
+    onProjectsChange()
+  }
+
+  const handleArchive = async (project) => {
+    try {
+      await api.put(`/projects/${project._id}`, { archived: !project.archived })
+      // An archived project leaves the navigation, so stop scoping to it
+      if (!project.archived && selected === project._id) onSelect('')
+      onProjectsChange()
+    } catch (error) {
+      console.error('Error archiving project:', error)
+      alert('Failed to update project. Please try again.')
+    }
+  }
+
+  const handleDelete = async (project, taskAction, moveTo) => {
+    const params = new URLSearchParams({ taskAction })
+    if (taskAction === 'move' && moveTo) params.append('moveTo', moveTo)
+
+    await api.delete(`/projects/${project._id}?${params.toString()}`)
+    setDeletingProject(null)
+    onProjectDeleted(project._id)
+  }
+
+  const navItemClass = (active) =>
+    `w-full flex items-center gap-2 px-3 py-2 rounded-lg text-sm text-left transition-colors ${
+      active
+        ? 'bg-primary-50 text-primary-700 dark:bg-primary-900/30 dark:text-primary-300 font-medium'
+        : 'text-gray-700 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700'
+    }`
+
+  const renderProject = (project) => (
+    <li key={project._id} className="group flex items-center">
+      <button onClick={() => onSelect(project._id)} className={navItemClass(selected === project._id)}>
+        <span className="h-3 w-3 rounded-full shrink-0" style={{ backgroundColor: project.color }} />
+        <span className="flex-1 truncate" title={project.description || project.name}>
+          {project.name}
+        </span>
+        <span className="text-xs text-gray-400">{project.taskCount}</span>
+      </button>
+      <div className="hidden group-hover:flex group-focus-within:flex items-center ml-1 text-xs">
+        <button
+          onClick={() => {
+            setEditingProject(project)
+            setShowForm(true)
+          }}
+          className="px-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          aria-label={`Edit ${project.name}`}
+          title="Edit"
+        >
+          ✎
+        </button>
+        <button
+          onClick={() => handleArchive(project)}
+          className="px-1 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+          aria-label={`${project.archived ? 'Unarchive' : 'Archive'} ${project.name}`}
+          title={project.archived ? 'Unarchive' : 'Archive'}
+        >
+          {project.archived ? '↺' : '⌂'}
+        </button>
+        <button
+          onClick={() => setDeletingProject(project)}
+          className="px-1 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+          aria-label={`Delete ${project.name}`}
+          title="Delete"
+        >
+          ✕
+        </button>
+      </div>
+    </li>
+  )
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">Projects</h3>
+        {!showForm && (
+          <button
+            onClick={() => {
+              setEditingProject(null)
+              setShowForm(true)
+            }}
+            className="text-sm font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400"
+          >
+            + New
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <ProjectForm
+          key={editingProject?._id || 'new'}
+          project={editingProject}
+          onSubmit={handleSubmit}
+          onCancel={() => {
+            setShowForm(false)
+            setEditingProject(null)
+          }}
+        />
+      )}
+
+      <nav aria-label="Projects">
+        <ul className="space-y-1">
+          <li>
+            <button onClick={() => onSelect('')} className={navItemClass(selected === '')}>
+              All tasks
+            </button>
+          </li>
+          <li>
+            <button onClick={() => onSelect('none')} className={navItemClass(selected === 'none')}>
+              No project
+            </button>
+          </li>
+          {activeProjects.map(renderProject)}
+        </ul>
+
+        {archivedProjects.length > 0 && (
+          <div className="mt-3">
+            <button
+              onClick={() => setShowArchived((prev) => !prev)}
+              className="text-xs text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+              aria-expanded={showArchived}
+            >
+              {showArchived ? '▾' : '▸'} Archived ({archivedProjects.length})
+            </button>
+            {showArchived && <ul className="space-y-1 mt-1 opacity-75">{archivedProjects.map(renderProject)}</ul>}
+          </div>
+        )}
+
+        <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-700">
+          <button onClick={onOpenTrash} className={navItemClass(trashOpen)}>
+            <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+              />
+            </svg>
+            Trash
+          </button>
+        </div>
+      </nav>
+
+      {deletingProject && (
+        <DeleteProjectDialog
+          project={deletingProject}
+          projects={projects}
+          onConfirm={handleDelete}
+          onCancel={() => setDeletingProject(null)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default ProjectList
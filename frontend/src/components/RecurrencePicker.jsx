@@ -0,0 +1,216 @@
+import { useState, useEffect } from 'react'
+import api from '../utils/api'
+import { WEEKDAYS, ORDINALS, buildRecurrence } from '../utils/recurrence'
+
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' }
+
+// Preview dates are calendar days stored at UTC midnight
+const formatPreviewDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC',
+  })
+
+const RecurrencePicker = ({ value, dueDate, onChange, error }) => {
+  const [preview, setPreview] = useState(null)
+  const [previewError, setPreviewError] = useState('')
+
+  const rule = buildRecurrence(value)
+
+  // Ask the server for the next few dates once the rule stops changing
+  useEffect(() => {
+    setPreview(null)
+    setPreviewError('')
+    if (!rule) return
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get('/tasks/recurrence/preview', {
+          params: { rule, start: dueDate || undefined, count: 5 },
+        })
+        if (!cancelled) setPreview(response.data)
+      } catch (err) {
+        if (!cancelled) {
+          setPreviewError(
+            err.response?.data?.errors?.[0]?.msg ||
+              err.response?.data?.message ||
+              'Could not preview this schedule'
+          )
+        }
+      }
+    }, 300)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [rule, dueDate])
+
+  const update = (changes) => onChange({ ...value, ...changes })
+
+  const toggleWeekday = (code) => {
+    update({
+      weekdays: value.weekdays.includes(code)
+        ? value.weekdays.filter((day) => day !== code)
+        : [...value.weekdays, code],
+    })
+  }
+
+  const unit = UNITS[value.frequency]
+
+  return (
+    <div>
+      <label htmlFor="recurrence-frequency" className="label">
+        Repeat
+      </label>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          id="recurrence-frequency"
+          value={value.frequency}
+          onChange={(e) => update({ frequency: e.target.value })}
+          className="input w-auto"
+        >
+          <option value="none">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+          <option value="custom">Custom (RRULE)</option>
+        </select>
+
+        {unit && (
+          <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            every
+            <input
+              type="number"
+              min={1}
+              max={99}
+              value={value.interval}
+              onChange={(e) => update({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              className="input w-20"
+            />
+            {value.interval > 1 ? `${unit}s` : unit}
+          </label>
+        )}
+      </div>
+
+      {value.frequency === 'weekly' && (
+        <div className="flex flex-wrap gap-1 mt-2" role="group" aria-label="Repeat on">
+          {WEEKDAYS.map((day) => {
+            const selected = value.weekdays.includes(day.code)
+            return (
+              <button
+                key={day.code}
+                type="button"
+                onClick={() => toggleWeekday(day.code)}
+                aria-pressed={selected}
+                className={`px-2 py-1 text-xs font-medium rounded-full border ${
+                  selected
+                    ? 'bg-primary-600 border-primary-600 text-white'
+                    : 'border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300'
+                }`}
+              >
+                {day.label}
+              </button>
+            )
+          })}
+        </div>
+      )}
+
+      {value.frequency === 'monthly' && (
+        <div className="space-y-2 mt-2 text-sm text-gray-700 dark:text-gray-300">
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="monthlyMode"
+              checked={value.monthlyMode === 'day'}
+              onChange={() => update({ monthlyMode: 'day' })}
+            />
+            on day
+            <input
+              type="number"
+              min={1}
+              max={31}
+              value={value.monthDay}
+              onChange={(e) =>
+                update({
+                  monthlyMode: 'day',
+                  monthDay: Math.min(31, Math.max(1, parseInt(e.target.value, 10) || 1)),
+                })
+              }
+              className="input w-20"
+            />
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              name="monthlyMode"
+              checked={value.monthlyMode === 'weekday'}
+              onChange={() => update({ monthlyMode: 'weekday' })}
+            />
+            on the
+            <select
+              value={value.ordinal}
+              onChange={(e) => update({ monthlyMode: 'weekday', ordinal: Number(e.target.value) })}
+              className="input w-auto"
+              aria-label="Week of the month"
+            >
+              {ORDINALS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={value.weekday}
+              onChange={(e) => update({ monthlyMode: 'weekday', weekday: e.target.value })}
+              className="input w-auto"
+              aria-label="Day of the week"
+            >
+              {WEEKDAYS.map((day) => (
+                <option key={day.code} value={day.code}>
+                  {day.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {value.frequency === 'custom' && (
+        <input
+          type="text"
+          value={value.custom}
+          onChange={(e) => update({ custom: e.target.value })}
+          className="input mt-2 font-mono text-sm"
+          placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH"
+          aria-label="RRULE"
+        />
+      )}
+
+      {rule && (
+        <div className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          {previewError ? (
+            <p className="text-red-600 dark:text-red-400">{previewError}</p>
+          ) : preview ? (
+            <>
+              <p className="first-letter:uppercase">{preview.description}</p>
+              <p>
+                Next: {preview.occurrences.map(formatPreviewDate).join(' · ') || 'no more dates'}
+              </p>
+            </>
+          ) : (
+            <p>Loading preview…</p>
+          )}
+          {!dueDate && <p>The series starts from the due date, so set one to save.</p>}
+        </div>
+      )}
+      {error && <p className="mt-1 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  )
+}
+
+export default RecurrencePicker
@@ -0,0 +1,156 @@
+import { useState } from 'react'
+
+const MAX_REMINDERS = 5
+const DAY_MINUTES = 24 * 60
+
+const PRESETS = [
+  { label: 'At 9:00 AM on the due date', daysBefore: 0, time: '09:00' },
+  { label: '1 day before at 9:00 AM', daysBefore: 1, time: '09:00' },
+  { label: '2 days before at 9:00 AM', daysBefore: 2, time: '09:00' },
+  { label: '1 week before at 9:00 AM', daysBefore: 7, time: '09:00' },
+]
+
+// Due dates are calendar days stored at UTC midnight, while reminder times
+// are picked in local time. Offsets are minutes from that UTC midnight.
+const dueDateParts = (dueDate) => dueDate.split('-').map(Number)
+
+const toOffset = (dueDate, daysBefore, time) => {
+  const [year, month, day] = dueDateParts(dueDate)
+  const [hours, minutes] = time.split(':').map(Number)
+  const local = new Date(year, month - 1, day - daysBefore, hours, minutes)
+  return Math.round((local.getTime() - Date.UTC(year, month - 1, day)) / 60000)
+}
+
+// Describe an offset as, e.g., "1 day before at 9:00 AM"
+const describeOffset = (dueDate, offset) => {
+  const [year, month, day] = dueDateParts(dueDate)
+  const remindAt = new Date(Date.UTC(year, month - 1, day) + offset * 60000)
+  const remindDay = new Date(remindAt.getFullYear(), remindAt.getMonth(), remindAt.getDate())
+  const daysBefore = Math.round((new Date(year, month - 1, day) - remindDay) / (DAY_MINUTES * 60000))
+
+  const time = remindAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+  if (daysBefore === 0) return `On the due date at ${time}`
+  const count = Math.abs(daysBefore)
+  const days = `${count} day${count === 1 ? '' : 's'}`
+  return `${days} ${daysBefore > 0 ? 'before' : 'after'} at ${time}`
+}
+
+const ReminderPicker = ({ value, dueDate, onChange, error }) => {
+  const [showCustom, setShowCustom] = useState(false)
+  const [custom, setCustom] = useState({ daysBefore: 1, time: '09:00' })
+
+  const addReminder = (daysBefore, time) => {
+    const offset = toOffset(dueDate, daysBefore, time)
+    if (!value.includes(offset)) {
+      onChange([...value, offset].sort((a, b) => a - b))
+    }
+  }
+
+  const handlePresetChange = (e) => {
+    const choice = e.target.value
+    e.target.value = ''
+    if (choice === 'custom') {
+      setShowCustom(true)
+    } else if (choice !== '') {
+      const preset = PRESETS[Number(choice)]
+      addReminder(preset.daysBefore, preset.time)
+    }
+  }
+
+  const handleAddCustom = () => {
+    addReminder(custom.daysBefore, custom.time)
+    setShowCustom(false)
+  }
+
+  return (
+    <div>
+      <span className="label">Reminders</span>
+
+      {!dueDate ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          Set a due date to schedule reminders.
+        </p>
+      ) : (
+        <>
+          {value.length > 0 && (
+            <ul className="space-y-1 mb-2">
+              {value.map((offset) => (
+                <li
+                  key={offset}
+                  className="flex items-center justify-between text-sm text-gray-700 dark:text-gray-300"
+                >
+                  {describeOffset(dueDate, offset)}
+                  <button
+                    type="button"
+                    onClick={() => onChange(value.filter((item) => item !== offset))}
+                    className="px-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                    aria-label="Remove reminder"
+                  >
+                    ✕
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {value.length < MAX_REMINDERS && (
+            <select
+              defaultValue=""
+              onChange={handlePresetChange}
+              className="input"
+              aria-label="Add reminder"
+            >
+              <option value="">Add a reminder…</option>
+              {PRESETS.map((preset, index) => (
+                <option key={preset.label} value={index}>
+                  {preset.label}
+                </option>
+              ))}
+              <option value="custom">Custom…</option>
+            </select>
+          )}
+
+          {showCustom && (
+            <div className="flex flex-wrap items-center gap-2 mt-2 text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="number"
+                min={0}
+                max={30}
+                value={custom.daysBefore}
+                onChange={(e) =>
+                  setCustom((prev) => ({
+                    ...prev,
+                    daysBefore: Math.min(30, Math.max(0, parseInt(e.target.value, 10) || 0)),
+                  }))
+                }
+                className="input w-20"
+                aria-label="Days before the due date"
+              />
+              days before at
+              <input
+                type="time"
+                value={custom.time}
+                onChange={(e) => setCustom((prev) => ({ ...prev, time: e.target.value || '09:00' }))}
+                className="input w-32"
+                aria-label="Reminder time"
+              />
+              <button type="button" onClick={handleAddCustom} className="btn-secondary">
+                Add
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowCustom(false)}
+                className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+              >
+                Cancel
+              </button>
+            </div>
+          )}
+        </>
+      )}
+      {error && <p className="mt-1 text-sm text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  )
+}
+
+export default ReminderPicker
@@ -0,0 +1,158 @@
+import { useState, useEffect, useRef } from 'react'
+
+const DEBOUNCE_MS = 300
+
+const FIELDS = [
+  { name: 'status', hint: 'todo, in-progress, completed' },
+  { name: 'priority', hint: 'low, medium, high' },
+  { name: 'due', hint: '<2026-11-01, >=2026-11-01, none' },
+  { name: 'tag', hint: 'tag name' },
+  { name: 'project', hint: 'project name or none' },
+]
+
+// Names with spaces need quotes in the query syntax
+const quote = (name) => (/\s/.test(name) ? `"${name}"` : name)
+
+const today = () => new Date().toISOString().slice(0, 10)
+
+// The word being typed at the end of the query, which suggestions complete
+const currentToken = (text) => {
+  const match = text.match(/(\w+:!?"[^"]*|\S+)$/)
+  return match ? match[0] : ''
+}
+
+// Search input that reports changes after typing pauses and suggests the
+// field:value syntax understood by the API
+const SearchBox = ({ value, onChange, tags, projects, error }) => {
+  const [input, setInput] = useState(value)
+  const [open, setOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(0)
+  // Last value sent up, so our own changes coming back do not reset the input
+  const sentRef = useRef(value)
+
+  useEffect(() => {
+    if (value !== sentRef.current) {
+      sentRef.current = value
+      setInput(value)
+    }
+  }, [value])
+
+  useEffect(() => {
+    if (input === sentRef.current) return
+    const timer = setTimeout(() => {
+      sentRef.current = input
+      onChange(input)
+    }, DEBOUNCE_MS)
+    return () => clearTimeout(timer)
+  }, [input])
+
+  const token = currentToken(input)
+  const fieldMatch = token.match(/^(\w+):(!?)"?(.*)$/)
+
+  let suggestions = []
+  if (fieldMatch) {
+    const [, field, negate, partial] = fieldMatch
+    const values = {
+      status: ['todo', 'in-progress', 'completed'],
+      priority: ['high', 'medium', 'low'],
+      due: [`<${today()}`, `>=${today()}`, 'none'],
+      tag: tags.map((tag) => quote(tag.name)),
+      project: ['none', ...projects.map((project) => quote(project.name))],
+    }[field.toLowerCase()]
+
+    suggestions = (values || [])
+      .filter((option) => option.replace(/"/g, '').toLowerCase().startsWith(partial.toLowerCase()))
+      .map((option) => ({ label: option, text: `${field}:${negate}${option} ` }))
+  } else if (token) {
+    suggestions = FIELDS.filter((field) => field.name.startsWith(token.toLowerCase())).map((field) => ({
+      label: `${field.name}:`,
+      hint: field.hint,
+      text: `${field.name}:`,
+    }))
+  }
+  suggestions = suggestions.slice(0, 8)
+
+  const showSuggestions = open && suggestions.length > 0
+
+  const accept = (suggestion) => {
+    setInput(input.slice(0, input.length - token.length) + suggestion.text)
+    setActiveIndex(0)
+  }
+
+  const handleKeyDown = (e) => {
+    if (!showSuggestions) return
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActiveIndex((index) => (index + 1) % suggestions.length)
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActiveIndex((index) => (index - 1 + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault()
+      accept(suggestions[Math.min(activeIndex, suggestions.length - 1)])
+    } else if (e.key === 'Escape') {
+      setOpen(false)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <input
+        type="text"
+        placeholder='Search tasks, e.g. priority:high due:<2026-11-01 "exact phrase"'
+        value={input}
+        onChange={(e) => {
+          setInput(e.target.value)
+          setOpen(true)
+          setActiveIndex(0)
+        }}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        className={`input ${error ? 'border-red-500' : ''}`}
+        role="combobox"
+        aria-expanded={showSuggestions}
+        aria-controls="search-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={showSuggestions ? `search-suggestion-${activeIndex}` : undefined}
+        aria-label="Search tasks"
+      />
+      {showSuggestions && (
+        <ul
+          id="search-suggestions"
+          role="listbox"
+          className="absolute z-20 mt-1 w-full rounded-lg bg-white dark:bg-gray-800 shadow-lg border
+           border-gray-200 dark:border-gray-700 py-1"
+        >
+          {suggestions.map((suggestion, index) => (
+            <li
+              key={suggestion.text}
+              id={`search-suggestion-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the input, which would otherwise blur and close the list
+              onMouseDown={(e) => {
+                e.preventDefault()
+                accept(suggestion)
+              }}
+              className={`flex justify-between gap-4 px-3 py-1.5 text-sm cursor-pointer ${
+                index === activeIndex
+                  ? 'bg-primary-50 dark:bg-primary-900/30 text-primary-700 dark:text-primary-300'
+                  : 'text-gray-700 dark:text-gray-300'
+              }`}
+            >
+              <span className="font-mono">{suggestion.label}</span>
+              {suggestion.hint && (
+                <span className="text-xs text-gray-400 dark:text-gray-500 truncate">{suggestion.hint}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="mt-1 text-xs text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  )
+}
+
+export default SearchBox
@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../context/AuthContext'
+import api from '../utils/api'
+
+const formatLastSeen = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date)) / 60000)
+  if (minutes < 5) return 'Active now'
+  if (minutes < 60) return `${minutes} min ago`
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)} h ago`
+  return new Date(date).toLocaleDateString()
+}
+
+// The devices signed in to the account. Signing one out ends its session, so
+// it has to log in again once its access token expires.
+const SessionList = () => {
+  const { logout } = useAuth()
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    api
+      .get('/auth/sessions')
+      .then((response) => setSessions(response.data.sessions))
+      .catch(() => setError('Failed to load your sessions'))
+      .finally(() => setLoading(false))
+  }, [])
+
+  const handleRevoke = async (session) => {
+    setBusy(true)
+    setError('')
+    try {
+      await api.delete(`/auth/sessions/${session.id}`)
+      setSessions((prev) => prev.filter((item) => item.id !== session.id))
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to sign out the session')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return
+
+    setBusy(true)
+    setError('')
+    try {
+      await api.post('/auth/logout-all')
+      logout()
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to sign out everywhere')
+      setBusy(false)
+    }
+  }
+
+  if (loading) return null
+
+  return (
+    <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+      <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1">Sessions</p>
+
+      {error && <p className="mb-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      <ul className="space-y-2 mb-3">
+        {sessions.map((session) => (
+          <li key={session.id} className="flex items-start justify-between gap-2 text-sm">
+            <div className="min-w-0">
+              <p className="text-gray-900 dark:text-gray-100 truncate" title={session.userAgent}>
+                {session.device}
+                {session.current && (
+                  <span className="ml-2 text-xs text-green-600 dark:text-green-400">This device</span>
+                )}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {session.ip || 'Unknown IP'} · {session.current ? 'Active now' : formatLastSeen(session.lastSeenAt)}
+              </p>
+            </div>
+            {!session.current && (
+              <button
+                onClick={() => handleRevoke(session)}
+                disabled={busy}
+                className="shrink-0 text-xs text-red-600 hover:text-red-700 dark:text-red-400 disabled:opacity-50"
+                aria-label={`Sign out ${session.device}`}
+              >
+                Sign out
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <button
+        onClick={handleSignOutEverywhere}
+        disabled={busy}
+        className="w-full btn-secondary text-sm disabled:opacity-50"
+      >
+        Sign out everywhere
+      </button>
+    </div>
+  )
+}
+
+export default SessionList
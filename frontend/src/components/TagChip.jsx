@@ -0,0 +1,23 @@
+const TagChip = ({ tag, onRemove }) => {
+  return (
+    <span
+      className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-full"
+      // Tint the background with the tag color so any color stays readable
+      style={{ backgroundColor: `${tag.color}26`, color: tag.color }}
+    >
+      {tag.name}
+      {onRemove && (
+        <button
+          type="button"
+          onClick={() => onRemove(tag._id)}
+          className="hover:opacity-70"
+          aria-label={`Remove tag ${tag.name}`}
+        >
+          ✕
+        </button>
+      )}
+    </span>
+  )
+}
+
+export default TagChip
@@ -0,0 +1,98 @@
+import { useState, useEffect, useRef } from 'react'
+import TagChip from './TagChip'
+
+const TagFilter = ({ tags, selected, mode, onChange, onModeChange }) => {
+  const [open, setOpen] = useState(false)
+  const containerRef = useRef(null)
+
+  useEffect(() => {
+    // Close the dropdown when clicking anywhere else
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false)
+      }
+    }
+    document.addEventListener('mousedown', handleClickOutside)
+    return () => document.removeEventListener('mousedown', handleClickOutside)
+  }, [])
+
+  const toggleTag = (tagId) => {
+    onChange(
+      selected.includes(tagId) ? selected.filter((id) => id !== tagId) : [...selected, tagId]
+    )
+  }
+
+  const selectedTags = tags.filter((tag) => selected.includes(tag._id))
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen((prev) => !prev)}
+        className="input text-left truncate"
+        aria-haspopup="listbox"
+        aria-expanded={open}
+      >
+        {selectedTags.length === 0
+          ? 'All Tags'
+          : `${selectedTags.length} tag${selectedTags.length > 1 ? 's' : ''} (${mode})`}
+      </button>
+
+      {open && (
+        <div className="absolute z-20 mt-1 w-64 right-0 bg-white dark:bg-gray-800 border border-gray-200
+         dark:border-gray-700 rounded-lg shadow-lg p-3">
+          {tags.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No tags yet.</p>
+          ) : (
+            <>
+              <div className="flex gap-1 mb-3" role="radiogroup" aria-label="Tag match mode">
+                {['any', 'all'].map((value) => (
+                  <button
+                    key={value}
+                    type="button"
+                    role="radio"
+                    aria-checked={mode === value}
+                    onClick={() => onModeChange(value)}
+                    className={`flex-1 px-2 py-1 text-xs rounded-md font-medium ${
+                      mode === value
+                        ? 'bg-primary-600 text-white'
+                        : 'bg-gray-100 text-gray-700 dark:bg-gray-700 dark:text-gray-300'
+                    }`}
+                  >
+                    Match {value}
+                  </button>
+                ))}
+              </div>
+              <ul className="max-h-60 overflow-y-auto space-y-1" role="listbox" aria-multiselectable="true">
+                {tags.map((tag) => (
+                  <li key={tag._id}>
+                    <label className="flex items-center gap-2 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(tag._id)}
+                        onChange={() => toggleTag(tag._id)}
+                        className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      <TagChip tag={tag} />
+                    </label>
+                  </li>
+                ))}
+              </ul>
+              {selected.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => onChange([])}
+                  className="mt-3 text-xs text-primary-600 hover:text-primary-500 dark:text-primary-400"
+                >
+                  Clear selection
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TagFilter
@@ -0,0 +1,148 @@
+import { useState } from 'react'
+import api from '../utils/api'
+import TagChip from './TagChip'
+
+const DEFAULT_TAG_COLOR = '#0284c7'
+
+const TagManager = ({ tags, onTagsChange, onTagDeleted }) => {
+  const [newTag, setNewTag] = useState({ name: '', color: DEFAULT_TAG_COLOR })
+  const [editingId, setEditingId] = useState(null)
+  const [editName, setEditName] = useState('')
+  const [error, setError] = useState('')
+
+  const sortByName = (list) =>
+    [...list].sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }))
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!newTag.name.trim()) return
+    setError('')
+
+    try {
+      const response = await api.post('/tags', newTag)
+      onTagsChange(sortByName([...tags, response.data.tag]))
+      setNewTag({ name: '', color: DEFAULT_TAG_COLOR })
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create tag. Please try again.')
+    }
+  }
+
+  const handleUpdate = async (tagId, changes) => {
+    setError('')
+    try {
+      const response = await api.put(`/tags/${tagId}`, changes)
+      onTagsChange(sortByName(tags.map((tag) => (tag._id === tagId ? response.data.tag : tag))))
+      setEditingId(null)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update tag. Please try again.')
+    }
+  }
+
+  const handleDelete = async (tag) => {
+    if (!window.confirm(`Delete the tag "${tag.name}"? It will be removed from all tasks.`)) {
+      return
+    }
+    setError('')
+
+    try {
+      await api.delete(`/tags/${tag._id}`)
+      onTagsChange(tags.filter((t) => t._id !== tag._id))
+      onTagDeleted(tag._id)
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to delete tag. Please try again.')
+    }
+  }
+
+  return (
+    <div className="card">
+      <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-3">Tags</h3>
+
+      {error && (
+        <div className="mb-3 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+         text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm">
+          {error}
+        </div>
+      )}
+
+      {tags.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {tags.map((tag) => (
+            <li key={tag._id} className="flex items-center gap-2">
+              <input
+                type="color"
+                defaultValue={tag.color}
+                // Save once the picker closes rather than on every intermediate color
+                onBlur={(e) => e.target.value !== tag.color && handleUpdate(tag._id, { color: e.target.value })}
+                className="h-6 w-6 cursor-pointer rounded border-0 bg-transparent p-0"
+                aria-label={`Color of tag ${tag.name}`}
+              />
+              {editingId === tag._id ? (
+                <form
+                  className="flex-1"
+                  onSubmit={(e) => {
+                    e.preventDefault()
+                    handleUpdate(tag._id, { name: editName })
+                  }}
+                >
+                  <input
+                    type="text"
+                    value={editName}
+                    onChange={(e) => setEditName(e.target.value)}
+                    onBlur={() => setEditingId(null)}
+                    onKeyDown={(e) => e.key === 'Escape' && setEditingId(null)}
+                    maxLength={30}
+                    className="input py-1 text-sm"
+                    autoFocus
+                  />
+                </form>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setEditingId(tag._id)
+                    setEditName(tag.name)
+                  }}
+                  className="flex-1 text-left"
+                  title="Rename tag"
+                >
+                  <TagChip tag={tag} />
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => handleDelete(tag)}
+                className="px-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                aria-label={`Delete tag ${tag.name}`}
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="flex items-center gap-2">
+        <input
+          type="color"
+          value={newTag.color}
+          onChange={(e) => setNewTag((prev) => ({ ...prev, color: e.target.value }))}
+          className="h-8 w-8 cursor-pointer rounded border-0 bg-transparent p-0"
+          aria-label="New tag color"
+        />
+        <input
+          type="text"
+          value={newTag.name}
+          onChange={(e) => setNewTag((prev) => ({ ...prev, name: e.target.value }))}
+          maxLength={30}
+          className="input py-1 text-sm"
+          placeholder="New tag"
+        />
+        <button type="submit" className="btn-secondary px-3 py-1 text-sm">
+          Add
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default TagManager
@@ -0,0 +1,400 @@
+import { useState, useEffect, useRef } from 'react'
+import {
+  DndContext,
+  DragOverlay,
+  KeyboardSensor,
+  PointerSensor,
+  closestCorners,
+  useDroppable,
+  useSensor,
+  useSensors,
+} from '@dnd-kit/core'
+import {
+  SortableContext,
+  arrayMove,
+  sortableKeyboardCoordinates,
+  verticalListSortingStrategy,
+} from '@dnd-kit/sortable'
+import api from '../utils/api'
+import BoardCard, { BoardCardPreview } from './BoardCard'
+
+const COLUMNS = [
+  { status: 'todo', title: 'Todo' },
+  { status: 'in-progress', title: 'In Progress' },
+  { status: 'completed', title: 'Completed' },
+]
+
+const PAGE_SIZE = 20
+// Gap left after the last card when a task is dropped at the end of a column
+const POSITION_STEP = 1000
+
+const emptyColumns = () =>
+  Object.fromEntries(COLUMNS.map(({ status }) => [status, { tasks: [], nextCursor: null, hasMore: false }]))
+
+const columnTitle = (status) => COLUMNS.find((column) => column.status === status)?.title
+
+// Tasks from before the board have no position yet. The API gives them one
+// from their creation time when a card is first moved, so use the same here.
+const positionOf = (task) => task.position ?? new Date(task.createdAt).getTime()
+
+// Position for a card dropped between two others. At the end of a column
+// with unloaded cards below, stay just below the last loaded card. The API
+// renumbers a column once its cards get closer than 1 apart, so that is as
+// close as this goes.
+const positionBetween = (before, after, moreBelow) => {
+  if (before && after) return (positionOf(before) + positionOf(after)) / 2
+  if (before) return positionOf(before) + (moreBelow ? 1 : POSITION_STEP)
+  if (after) return positionOf(after) - POSITION_STEP
+  return Date.now()
+}
+
+// Take a task out of whichever column holds it and insert it into another
+const placeTask = (columns, task, status, index) => {
+  const next = Object.fromEntries(
+    Object.entries(columns).map(([key, column]) => [
+      key,
+      { ...column, tasks: column.tasks.filter((item) => item._id !== task._id) },
+    ])
+  )
+  const tasks = [...next[status].tasks]
+  tasks.splice(Math.min(index, tasks.length), 0, task)
+  next[status] = { ...next[status], tasks }
+  return next
+}
+
+const BoardColumn = ({ status, title, column, count, loadingMore, onLoadMore, children }) => {
+  const { setNodeRef, isOver } = useDroppable({ id: status })
+
+  return (
+    <section
+      aria-labelledby={`board-column-${status}`}
+      className="flex flex-col rounded-lg bg-gray-100 dark:bg-gray-900/60 p-3 min-w-0"
+    >
+      <header className="flex items-center justify-between mb-3">
+        <h3 id={`board-column-${status}`} className="text-sm font-semibold text-gray-700 dark:text-gray-300">
+          {title}
+        </h3>
+        <span
+          className="px-2 py-0.5 text-xs font-medium rounded-full bg-white dark:bg-gray-800 text-gray-600
+           dark:text-gray-400"
+          aria-label={`${count} tasks`}
+        >
+          {count}
+        </span>
+      </header>
+
+      <SortableContext id={status} items={column.tasks.map((task) => task._id)} strategy={verticalListSortingStrategy}>
+        <div
+          ref={setNodeRef}
+          className={`flex-1 space-y-2 min-h-[6rem] rounded-lg transition-colors ${
+            isOver ? 'bg-primary-50 dark:bg-primary-900/20' : ''
+          }`}
+        >
+          {children}
+          {column.tasks.length === 0 && (
+            <p className="py-6 text-center text-xs text-gray-400 dark:text-gray-500">No tasks</p>
+          )}
+        </div>
+      </SortableContext>
+
+      {column.hasMore && (
+        <button
+          onClick={onLoadMore}
+          disabled={loadingMore}
+          className="mt-3 text-sm text-primary-600 hover:text-primary-700 dark:text-primary-400 disabled:opacity-50"
+        >
+          {loadingMore ? 'Loading...' : 'Load more'}
+        </button>
+      )}
+    </section>
+  )
+}
+
+// Kanban board with a column per status. Moving a card saves its new status
+// and position right away and puts it back if the API refuses the change.
+const TaskBoard = ({ params, refreshKey, tagsById, membersById, canEdit, onOpen, onEdit, onDelete }) => {
+  const [columns, setColumns] = useState(emptyColumns)
+  const [counts, setCounts] = useState({})
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(null)
+  const [activeId, setActiveId] = useState(null)
+  const [error, setError] = useState('')
+  const requestIdRef = useRef(0)
+  // Where the dragged card started, to tell whether it moved and to undo it
+  const dragStartRef = useRef(null)
+
+  const sensors = useSensors(
+    // A short distance keeps clicks on the handle from starting a drag
+    useSensor(PointerSensor, { activationConstraint: { distance: 5 } }),
+    useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
+  )
+
+  const columnParams = (status, cursor) => {
+    const query = new URLSearchParams(params)
+    query.append('status', status)
+    query.append('sortBy', 'position')
+    query.append('sortOrder', 'asc')
+    query.append('limit', PAGE_SIZE)
+    if (cursor) query.append('cursor', cursor)
+    return query.toString()
+  }
+
+  useEffect(() => {
+    const requestId = ++requestIdRef.current
+    setError('')
+
+    // Cards already shown stay put while a refresh loads
+    Promise.all([
+      ...COLUMNS.map(({ status }) => api.get(`/tasks?${columnParams(status)}`)),
+      api.get(`/tasks/counts?${params}`),
+    ])
+      .then((responses) => {
+        if (requestId !== requestIdRef.current) return
+        const countsResponse = responses.pop()
+        setColumns(
+          Object.fromEntries(
+            COLUMNS.map(({ status }, index) => {
+              const { tasks, nextCursor, hasMore } = responses[index].data
+              return [status, { tasks, nextCursor, hasMore }]
+            })
+          )
+        )
+        setCounts(countsResponse.data.counts)
+      })
+      .catch((err) => {
+        if (requestId !== requestIdRef.current) return
+        console.error('Error fetching board:', err)
+        setError(err.response?.data?.message || 'Failed to load the board')
+      })
+      .finally(() => {
+        if (requestId === requestIdRef.current) setLoading(false)
+      })
+  }, [params, refreshKey])
+
+  const loadMore = async (status) => {
+    const requestId = requestIdRef.current
+    setLoadingMore(status)
+    try {
+      const response = await api.get(`/tasks?${columnParams(status, columns[status].nextCursor)}`)
+      if (requestId !== requestIdRef.current) return
+      setColumns((prev) => {
+        // Skip cards already shown, e.g. ones moved into the column since it loaded
+        const seen = new Set(prev[status].tasks.map((task) => task._id))
+        return {
+          ...prev,
+          [status]: {
+            tasks: [...prev[status].tasks, ...response.data.tasks.filter((task) => !seen.has(task._id))],
+            nextCursor: response.data.nextCursor,
+            hasMore: response.data.hasMore,
+          },
+        }
+      })
+    } catch (err) {
+      console.error('Error loading more tasks:', err)
+    } finally {
+      setLoadingMore(null)
+    }
+  }
+
+  // Start a column over from its first page, e.g. after the API renumbered
+  // its cards and the positions shown are stale
+  const reloadColumn = async (status) => {
+    const requestId = requestIdRef.current
+    try {
+      const response = await api.get(`/tasks?${columnParams(status)}`)
+      if (requestId !== requestIdRef.current) return
+      const { tasks, nextCursor, hasMore } = response.data
+      setColumns((prev) => ({ ...prev, [status]: { tasks, nextCursor, hasMore } }))
+    } catch (err) {
+      console.error('Error reloading tasks:', err)
+    }
+  }
+
+  // Status of the column holding a card, or of the column itself
+  const findStatus = (id) => {
+    if (columns[id]) return id
+    return COLUMNS.find(({ status }) => columns[status].tasks.some((task) => task._id === id))?.status
+  }
+
+  const findTask = (id) => {
+    const status = findStatus(id)
+    return status && columns[status].tasks.find((task) => task._id === id)
+  }
+
+  const handleDragStart = ({ active }) => {
+    const status = findStatus(active.id)
+    dragStartRef.current = {
+      task: findTask(active.id),
+      status,
+      index: columns[status].tasks.findIndex((task) => task._id === active.id),
+    }
+    setActiveId(active.id)
+    setError('')
+  }
+
+  // Move the card into the column it is dragged over, so the others make room
+  const handleDragOver = ({ active, over }) => {
+    if (!over) return
+    const from = findStatus(active.id)
+    const to = findStatus(over.id)
+    if (!from || !to || from === to) return
+
+    const overIndex = columns[to].tasks.findIndex((task) => task._id === over.id)
+    setColumns((prev) =>
+      placeTask(prev, findTask(active.id), to, overIndex === -1 ? prev[to].tasks.length : overIndex)
+    )
+  }
+
+  const handleDragCancel = () => {
+    const start = dragStartRef.current
+    setActiveId(null)
+    setColumns((prev) => placeTask(prev, start.task, start.status, start.index))
+  }
+
+  const handleDragEnd = async ({ active, over }) => {
+    const start = dragStartRef.current
+    setActiveId(null)
+    if (!over) {
+      handleDragCancel()
+      return
+    }
+
+    const status = findStatus(active.id)
+    const list = columns[status].tasks
+    const fromIndex = list.findIndex((task) => task._id === active.id)
+    const overIndex = over.id === status ? list.length - 1 : list.findIndex((task) => task._id === over.id)
+    const ordered = overIndex === -1 ? list : arrayMove(list, fromIndex, overIndex)
+    const index = ordered.findIndex((task) => task._id === active.id)
+
+    if (status === start.status && index === start.index) {
+      setColumns((prev) => placeTask(prev, start.task, start.status, start.index))
+      return
+    }
+
+    const position = positionBetween(ordered[index - 1], ordered[index + 1], columns[status].hasMore)
+    const statusChanged = status !== start.status
+    const adjustCounts = (direction) => {
+      if (!statusChanged) return
+      setCounts((prev) => ({
+        ...prev,
+        [start.status]: (prev[start.status] ?? 0) - direction,
+        [status]: (prev[status] ?? 0) + direction,
+      }))
+    }
+
+    setColumns((prev) => placeTask(prev, { ...start.task, status, position }, status, index))
+    adjustCounts(1)
+
+    try {
+      const response = await api.put(`/tasks/${active.id}`, {
+        position,
+        ...(statusChanged && { status }),
+      })
+      const { task: updatedTask, nextTask, renumbered } = response.data
+      setColumns((prev) => {
+        let next = {
+          ...prev,
+          [status]: {
+            ...prev[status],
+            tasks: prev[status].tasks.map((task) => (task._id === updatedTask._id ? updatedTask : task)),
+          },
+        }
+        // Completing a recurring task schedules its next occurrence, which
+        // joins the bottom of its column if that is fully loaded
+        if (nextTask && !next[nextTask.status].hasMore) {
+          next = placeTask(next, nextTask, nextTask.status, next[nextTask.status].tasks.length)
+        }
+        return next
+      })
+      if (nextTask) {
+        setCounts((prev) => ({ ...prev, [nextTask.status]: (prev[nextTask.status] ?? 0) + 1 }))
+      }
+      if (renumbered) reloadColumn(status)
+    } catch (err) {
+      setColumns((prev) => placeTask(prev, start.task, start.status, start.index))
+      adjustCounts(-1)
+      setError(err.response?.data?.message || `Could not move "${start.task.title}". It is back where it was.`)
+    }
+  }
+
+  // Screen reader updates while a card is moved with the keyboard or pointer
+  const describeSpot = (id) => {
+    const status = findStatus(id)
+    if (!status) return ''
+    const index = columns[status].tasks.findIndex((task) => task._id === id)
+    return index === -1
+      ? `the ${columnTitle(status)} column`
+      : `position ${index + 1} of ${columns[status].tasks.length} in ${columnTitle(status)}`
+  }
+  const titleOf = (id) => findTask(id)?.title || dragStartRef.current?.task.title || 'task'
+
+  const accessibility = {
+    screenReaderInstructions: {
+      draggable:
+        'To move a task, press space or enter to pick it up. Use the arrow keys to move it within ' +
+        'and between columns, then press space or enter to drop it, or escape to cancel.',
+    },
+    announcements: {
+      onDragStart: ({ active }) => `Picked up ${titleOf(active.id)}, ${describeSpot(active.id)}.`,
+      onDragOver: ({ active, over }) =>
+        over ? `${titleOf(active.id)} is over ${describeSpot(over.id)}.` : `${titleOf(active.id)} is not over a column.`,
+      onDragEnd: ({ active, over }) =>
+        over ? `Dropped ${titleOf(active.id)} at ${describeSpot(active.id)}.` : `Dropped ${titleOf(active.id)}.`,
+      onDragCancel: ({ active }) => `Moving ${titleOf(active.id)} was cancelled.`,
+    },
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    )
+  }
+
+  const activeTask = activeId && findTask(activeId)
+  const cardProps = { tagsById, membersById, canEdit, onOpen, onEdit, onDelete }
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+         text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm" role="alert">
+          {error}
+        </div>
+      )}
+
+      <DndContext
+        sensors={sensors}
+        collisionDetection={closestCorners}
+        accessibility={accessibility}
+        onDragStart={handleDragStart}
+        onDragOver={handleDragOver}
+        onDragEnd={handleDragEnd}
+        onDragCancel={handleDragCancel}
+      >
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {COLUMNS.map(({ status, title }) => (
+            <BoardColumn
+              key={status}
+              status={status}
+              title={title}
+              column={columns[status]}
+              count={counts[status] ?? columns[status].tasks.length}
+              loadingMore={loadingMore === status}
+              onLoadMore={() => loadMore(status)}
+            >
+              {columns[status].tasks.map((task) => (
+                <BoardCard key={task._id} task={task} {...cardProps} />
+              ))}
+            </BoardColumn>
+          ))}
+        </div>
+
+        <DragOverlay>{activeTask && <BoardCardPreview task={activeTask} {...cardProps} />}</DragOverlay>
+      </DndContext>
+    </div>
+  )
+}
+
+export default TaskBoard
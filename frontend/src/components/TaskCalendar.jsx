@@ -0,0 +1,389 @@
+import { useState, useEffect, useRef } from 'react'
+import {
+  DndContext,
+  DragOverlay,
+  KeyboardSensor,
+  PointerSensor,
+  useDraggable,
+  useDroppable,
+  useSensor,
+  useSensors,
+} from '@dnd-kit/core'
+import api from '../utils/api'
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+// Tasks shown in a month cell before the rest collapse into "+N more"
+const MONTH_CELL_LIMIT = 3
+const PAGE_SIZE = 100
+
+// Calendar days are keyed YYYY-MM-DD. Due dates are stored at midnight UTC,
+// so a task's day is the date part of its due date.
+const dayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+const taskDay = (task) => task.dueDate.slice(0, 10)
+const parseKey = (key) => new Date(`${key}T00:00:00`)
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+const startOfWeek = (date) => addDays(date, -date.getDay())
+
+// Days shown for a view: whole weeks covering the month, or the week of the date
+const visibleDays = (view, date) => {
+  const first = view === 'month' ? startOfWeek(new Date(date.getFullYear(), date.getMonth(), 1)) : startOfWeek(date)
+  const last =
+    view === 'month'
+      ? addDays(startOfWeek(new Date(date.getFullYear(), date.getMonth() + 1, 0)), 6)
+      : addDays(first, 6)
+
+  const days = []
+  for (let day = first; day <= last; day = addDays(day, 1)) days.push(day)
+  return days
+}
+
+const describeDay = (key) =>
+  parseKey(key).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })
+
+const ARROW_STEPS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }
+
+// Arrow keys move a dragged task a whole day (or week) at a time
+const dayCoordinates = (event, { currentCoordinates, context: { collisionRect, droppableRects } }) => {
+  const step = ARROW_STEPS[event.code]
+  if (!step || !collisionRect) return undefined
+  event.preventDefault()
+
+  const centerX = collisionRect.left + collisionRect.width / 2
+  const centerY = collisionRect.top + collisionRect.height / 2
+  const cells = [...droppableRects.values()]
+  const cell =
+    cells.find(
+      (rect) => centerX >= rect.left && centerX <= rect.right && centerY >= rect.top && centerY <= rect.bottom
+    ) || cells[0]
+  if (!cell) return undefined
+
+  return {
+    x: currentCoordinates.x + step[0] * cell.width,
+    y: currentCoordinates.y + step[1] * cell.height,
+  }
+}
+
+const chipClasses = (task, today) => {
+  if (task.status === 'completed') {
+    return 'bg-gray-100 text-gray-400 line-through dark:bg-gray-700/50 dark:text-gray-500'
+  }
+  if (taskDay(task) < today) {
+    return 'bg-red-100 text-red-800 ring-1 ring-red-300 dark:bg-red-900/30 dark:text-red-300 dark:ring-red-800'
+  }
+  return 'bg-primary-50 text-primary-800 dark:bg-primary-900/30 dark:text-primary-200'
+}
+
+// Task on a calendar day. Enter opens it; space picks it up so the arrow
+// keys can move it to another day.
+const TaskChip = ({ task, today, canEdit, onOpen }) => {
+  const { attributes, listeners, setNodeRef, isDragging } = useDraggable({ id: task._id, disabled: !canEdit })
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !isDragging) {
+      onOpen(task)
+    } else {
+      listeners?.onKeyDown?.(e)
+    }
+  }
+
+  return (
+    <div
+      ref={setNodeRef}
+      {...attributes}
+      {...listeners}
+      onKeyDown={handleKeyDown}
+      onClick={(e) => {
+        e.stopPropagation()
+        onOpen(task)
+      }}
+      title={task.title}
+      aria-label={`${task.title}${taskDay(task) < today && task.status !== 'completed' ? ', overdue' : ''}`}
+      className={`truncate rounded px-1.5 py-0.5 text-xs font-medium cursor-pointer focus:outline-none
+       focus:ring-2 focus:ring-primary-500 ${chipClasses(task, today)} ${isDragging ? 'opacity-40' : ''}`}
+    >
+      {task.title}
+    </div>
+  )
+}
+
+const DayCell = ({ dayKey: key, label, tall, muted, today, canEdit, onCreate, children }) => {
+  const { setNodeRef, isOver } = useDroppable({ id: key, disabled: !canEdit })
+  const isToday = key === today
+
+  return (
+    <div
+      ref={setNodeRef}
+      // Clicking the empty part of a day starts a task due that day
+      onClick={(e) => canEdit && e.target === e.currentTarget && onCreate(key)}
+      className={`flex flex-col gap-1 p-1.5 border-b border-r border-gray-200 dark:border-gray-700 min-w-0 ${
+        tall ? 'min-h-[16rem]' : 'min-h-[6.5rem]'
+      } ${muted ? 'bg-gray-50 dark:bg-gray-900/40' : 'bg-white dark:bg-gray-800'} ${
+        isOver ? 'bg-primary-50 dark:bg-primary-900/20' : ''
+      } ${canEdit ? 'cursor-pointer' : ''}`}
+    >
+      <button
+        onClick={() => canEdit && onCreate(key)}
+        disabled={!canEdit}
+        className={`self-start text-xs font-medium rounded-full w-6 h-6 flex items-center justify-center ${
+          isToday
+            ? 'bg-primary-600 text-white'
+            : muted
+              ? 'text-gray-400 dark:text-gray-500'
+              : 'text-gray-700 dark:text-gray-300'
+        } ${canEdit ? 'hover:ring-2 hover:ring-primary-300' : 'cursor-default'}`}
+        aria-label={canEdit ? `Add a task due ${describeDay(key)}` : describeDay(key)}
+      >
+        {label}
+      </button>
+      {children}
+    </div>
+  )
+}
+
+// Month and week calendar of tasks by due date. Dragging a task to another
+// day reschedules it, and the change is undone if the API refuses it.
+const TaskCalendar = ({ params, refreshKey, canEdit, onOpen, onCreate }) => {
+  const [view, setView] = useState('month')
+  const [current, setCurrent] = useState(() => new Date())
+  const [tasks, setTasks] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [activeId, setActiveId] = useState(null)
+  const [error, setError] = useState('')
+  const requestIdRef = useRef(0)
+
+  const sensors = useSensors(
+    // A short distance keeps clicks on a task from starting a drag
+    useSensor(PointerSensor, { activationConstraint: { distance: 5 } }),
+    useSensor(KeyboardSensor, {
+      coordinateGetter: dayCoordinates,
+      // Enter opens a task, so only space picks one up
+      keyboardCodes: { start: ['Space'], cancel: ['Escape'], end: ['Space', 'Enter'] },
+    })
+  )
+
+  const days = visibleDays(view, current)
+  const from = dayKey(days[0])
+  const to = dayKey(days[days.length - 1])
+  const today = dayKey(new Date())
+
+  useEffect(() => {
+    const requestId = ++requestIdRef.current
+    setError('')
+
+    // Only the tasks due in the visible range, a page at a time
+    const loadRange = async () => {
+      const loaded = []
+      let cursor = null
+      do {
+        const query = new URLSearchParams(params)
+        query.append('dueFrom', from)
+        query.append('dueTo', to)
+        query.append('sortBy', 'dueDate')
+        query.append('sortOrder', 'asc')
+        query.append('limit', PAGE_SIZE)
+        if (cursor) query.append('cursor', cursor)
+
+        const response = await api.get(`/tasks?${query.toString()}`)
+        loaded.push(...response.data.tasks)
+        cursor = response.data.hasMore ? response.data.nextCursor : null
+      } while (cursor && requestId === requestIdRef.current)
+      return loaded
+    }
+
+    loadRange()
+      .then((loaded) => {
+        if (requestId === requestIdRef.current) setTasks(loaded)
+      })
+      .catch((err) => {
+        if (requestId !== requestIdRef.current) return
+        console.error('Error fetching calendar:', err)
+        setError(err.response?.data?.message || 'Failed to load the calendar')
+      })
+      .finally(() => {
+        if (requestId === requestIdRef.current) setLoading(false)
+      })
+  }, [params, refreshKey, from, to])
+
+  const tasksByDay = {}
+  for (const task of tasks) {
+    const key = taskDay(task)
+    if (!tasksByDay[key]) tasksByDay[key] = []
+    tasksByDay[key].push(task)
+  }
+
+  const move = (amount) => {
+    setCurrent((date) =>
+      view === 'month' ? new Date(date.getFullYear(), date.getMonth() + amount, 1) : addDays(date, amount * 7)
+    )
+  }
+
+  const handleDragEnd = async ({ active, over }) => {
+    setActiveId(null)
+    const task = tasks.find((item) => item._id === active.id)
+    if (!over || !task || over.id === taskDay(task)) return
+
+    const dueDate = over.id
+    setError('')
+    setTasks((prev) =>
+      prev.map((item) => (item._id === task._id ? { ...item, dueDate: `${dueDate}T00:00:00.000Z` } : item))
+    )
+
+    try {
+      const response = await api.put(`/tasks/${task._id}`, { dueDate })
+      setTasks((prev) => prev.map((item) => (item._id === task._id ? response.data.task : item)))
+    } catch (err) {
+      setTasks((prev) => prev.map((item) => (item._id === task._id ? task : item)))
+      setError(err.response?.data?.message || `Could not reschedule "${task.title}". It is back on its old day.`)
+    }
+  }
+
+  const titleOf = (id) => tasks.find((task) => task._id === id)?.title || 'task'
+
+  const accessibility = {
+    screenReaderInstructions: {
+      draggable:
+        'To reschedule a task, press space to pick it up. Use the arrow keys to move it between ' +
+        'days, then press space to drop it, or escape to cancel. Press enter to open the task.',
+    },
+    announcements: {
+      onDragStart: ({ active }) => `Picked up ${titleOf(active.id)}.`,
+      onDragOver: ({ active, over }) =>
+        over ? `${titleOf(active.id)} is over ${describeDay(over.id)}.` : `${titleOf(active.id)} is not over a day.`,
+      onDragEnd: ({ active, over }) =>
+        over ? `Moved ${titleOf(active.id)} to ${describeDay(over.id)}.` : `Dropped ${titleOf(active.id)}.`,
+      onDragCancel: ({ active }) => `Rescheduling ${titleOf(active.id)} was cancelled.`,
+    },
+  }
+
+  const heading =
+    view === 'month'
+      ? current.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+      : `${days[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${days[6].toLocaleDateString(
+          'en-US',
+          { month: 'short', day: 'numeric', year: 'numeric' }
+        )}`
+
+  const activeTask = activeId && tasks.find((task) => task._id === activeId)
+
+  return (
+    <div className="card">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="flex items-center gap-2">
+          <button onClick={() => move(-1)} className="btn-secondary px-3" aria-label={`Previous ${view}`}>
+            ‹
+          </button>
+          <button onClick={() => setCurrent(new Date())} className="btn-secondary">
+            Today
+          </button>
+          <button onClick={() => move(1)} className="btn-secondary px-3" aria-label={`Next ${view}`}>
+            ›
+          </button>
+          <h3 className="ml-2 text-lg font-semibold text-gray-900 dark:text-gray-100" aria-live="polite">
+            {heading}
+          </h3>
+        </div>
+        <div className="inline-flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden">
+          {['month', 'week'].map((option) => (
+            <button
+              key={option}
+              onClick={() => setView(option)}
+              aria-pressed={view === option}
+              className={`px-3 py-1.5 text-sm font-medium capitalize ${
+                view === option
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+              }`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+         text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm" role="alert">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center items-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <DndContext
+          sensors={sensors}
+          accessibility={accessibility}
+          onDragStart={({ active }) => setActiveId(active.id)}
+          onDragEnd={handleDragEnd}
+          onDragCancel={() => setActiveId(null)}
+        >
+          <div className="grid grid-cols-7 border-t border-l border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+            {WEEKDAYS.map((weekday) => (
+              <div
+                key={weekday}
+                className="px-1.5 py-1 text-xs font-medium text-gray-500 dark:text-gray-400 bg-gray-50
+                 dark:bg-gray-900/40 border-b border-r border-gray-200 dark:border-gray-700"
+              >
+                {weekday}
+              </div>
+            ))}
+            {days.map((day) => {
+              const key = dayKey(day)
+              const dayTasks = tasksByDay[key] || []
+              const shown = view === 'month' ? dayTasks.slice(0, MONTH_CELL_LIMIT) : dayTasks
+              const hidden = dayTasks.length - shown.length
+
+              return (
+                <DayCell
+                  key={key}
+                  dayKey={key}
+                  label={day.getDate()}
+                  tall={view === 'week'}
+                  muted={view === 'month' && day.getMonth() !== current.getMonth()}
+                  today={today}
+                  canEdit={canEdit}
+                  onCreate={onCreate}
+                >
+                  {shown.map((task) => (
+                    <TaskChip key={task._id} task={task} today={today} canEdit={canEdit} onOpen={onOpen} />
+                  ))}
+                  {hidden > 0 && (
+                    <button
+                      onClick={() => {
+                        setView('week')
+                        setCurrent(day)
+                      }}
+                      className="self-start text-xs text-gray-500 hover:text-gray-700 dark:text-gray-400
+                       dark:hover:text-gray-200"
+                    >
+                      +{hidden} more
+                    </button>
+                  )}
+                </DayCell>
+              )
+            })}
+          </div>
+
+          <DragOverlay>
+            {activeTask && (
+              <div
+                className={`truncate rounded px-1.5 py-0.5 text-xs font-medium shadow-lg ${chipClasses(
+                  activeTask,
+                  today
+                )}`}
+              >
+                {activeTask.title}
+              </div>
+            )}
+          </DragOverlay>
+        </DndContext>
+      )}
+    </div>
+  )
+}
+
+export default TaskCalendar
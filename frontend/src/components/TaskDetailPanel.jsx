@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react'
+import CommentThread from './CommentThread'
+import ActivityTimeline from './ActivityTimeline'
+
+const TaskDetailPanel = ({ task, members, currentUserId, canEdit, lookups, onTaskUpdated, onClose }) => {
+  const [tab, setTab] = useState('comments')
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    document.addEventListener('keydown', handleKeyDown)
+    return () => document.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end" role="dialog" aria-modal="true" aria-labelledby="task-detail-title">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <aside className="relative w-full max-w-xl h-full overflow-y-auto bg-white dark:bg-gray-800 shadow-xl p-6">
+        <div className="flex items-start justify-between gap-4 mb-4">
+          <h2 id="task-detail-title" className="text-xl font-semibold text-gray-900 dark:text-gray-100 break-words">
+            {task.title}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+            aria-label="Close"
+          >
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <dl className="grid grid-cols-2 gap-3 mb-4 text-sm">
+          <div>
+            <dt className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide">Status</dt>
+            <dd className="text-gray-900 dark:text-gray-100 capitalize">{task.status.replace('-', ' ')}</dd>
+          </div>
+          <div>
+            <dt className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide">Priority</dt>
+            <dd className="text-gray-900 dark:text-gray-100 capitalize">{task.priority}</dd>
+          </div>
+          {task.dueDate && (
+            <div>
+              <dt className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide">Due</dt>
+              <dd className="text-gray-900 dark:text-gray-100">
+                {new Date(task.dueDate).toLocaleDateString('en-US', {
+                  year: 'numeric',
+                  month: 'short',
+                  day: 'numeric',
+                })}
+              </dd>
+            </div>
+          )}
+        </dl>
+
+        {task.description && (
+          <p className="text-sm text-gray-600 dark:text-gray-400 whitespace-pre-wrap mb-6">{task.description}</p>
+        )}
+
+        <div className="border-t border-gray-200 dark:border-gray-700 pt-4">
+          <div className="flex gap-4 mb-4" role="tablist">
+            {[
+              ['comments', 'Comments'],
+              ['activity', 'Activity'],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                role="tab"
+                aria-selected={tab === value}
+                onClick={() => setTab(value)}
+                className={`pb-1 text-sm font-medium border-b-2 ${
+                  tab === value
+                    ? 'border-primary-600 text-primary-600 dark:border-primary-400 dark:text-primary-400'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {tab === 'comments' ? (
+            <CommentThread taskId={task._id} members={members} currentUserId={currentUserId} />
+          ) : (
+            <ActivityTimeline
+              taskId={task._id}
+              version={task.updatedAt}
+              canEdit={canEdit}
+              lookups={lookups}
+              onReverted={onTaskUpdated}
+            />
+          )}
+        </div>
+      </aside>
+    </div>
+  )
+}
+
+export default TaskDetailPanel
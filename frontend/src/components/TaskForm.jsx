@@ -1,12 +1,32 @@
 import { useState, useEffect } from 'react'
+import ChecklistEditor from './ChecklistEditor'
+import TagChip from './TagChip'
+import RecurrencePicker from './RecurrencePicker'
+import ReminderPicker from './ReminderPicker'
+import { emptyRecurrence, parseRecurrence, buildRecurrence } from '../utils/recurrence'
 
-const TaskForm = ({ task, onSubmit, onCancel }) => {
+const TaskForm = ({
+  task,
+  tags,
+  projects,
+  members,
+  defaultProject = '',
+  defaultDueDate = '',
+  onSubmit,
+  onCancel,
+}) => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     status: 'todo',
     priority: 'medium',
-    dueDate: '',
+    dueDate: defaultDueDate,
+    recurrence: emptyRecurrence,
+    reminders: [],
+    project: defaultProject,
+    assignee: '',
+    tags: [],
+    checklist: [],
   })
   const [errors, setErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
@@ -21,6 +41,12 @@ const TaskForm = ({ task, onSubmit, onCancel }) => {
         dueDate: task.dueDate
           ? new Date(task.dueDate).toISOString().split('T')[0]
           : '',
+        recurrence: parseRecurrence(task.recurrence?.rule),
+        reminders: (task.reminders || []).map((reminder) => reminder.offsetMinutes),
+        project: task.project || '',
+        assignee: task.assignee || '',
+        tags: task.tags || [],
+        checklist: (task.checklist || []).map(({ _id, text, done }) => ({ _id, text, done })),
       })
     }
   }, [task])
@@ -33,6 +59,33 @@ const TaskForm = ({ task, onSubmit, onCancel }) => {
     }
   }
 
+  const toggleTag = (tagId) => {
+    setFormData((prev) => ({
+      ...prev,
+      tags: prev.tags.includes(tagId)
+        ? prev.tags.filter((id) => id !== tagId)
+        : [...prev.tags, tagId],
+    }))
+  }
+
+  const handleRecurrenceChange = (recurrence) => {
+    setFormData((prev) => ({ ...prev, recurrence }))
+    if (errors.recurrence) {
+      setErrors((prev) => ({ ...prev, recurrence: '' }))
+    }
+  }
+
+  const handleRemindersChange = (reminders) => {
+    setFormData((prev) => ({ ...prev, reminders }))
+  }
+
+  const handleChecklistChange = (checklist) => {
+    setFormData((prev) => ({ ...prev, checklist }))
+    if (errors.checklist) {
+      setErrors((prev) => ({ ...prev, checklist: '' }))
+    }
+  }
+
   const validate = () => {
     const newErrors = {}
 
@@ -46,6 +99,16 @@ const TaskForm = ({ task, onSubmit, onCancel }) => {
       newErrors.description = 'Description cannot exceed 1000 characters'
     }
 
+    if (buildRecurrence(formData.recurrence) && !formData.dueDate) {
+      newErrors.recurrence = 'Recurring tasks need a due date'
+    }
+
+    if (formData.checklist.some((item) => item.text.trim().length > 200)) {
+      newErrors.checklist = 'Checklist items cannot exceed 200 characters'
+    } else if (formData.checklist.length > 100) {
+      newErrors.checklist = 'A task cannot have more than 100 checklist items'
+    }
+
     setErrors(newErrors)
     return Object.keys(newErrors).length === 0
   }
@@ -62,6 +125,17 @@ const TaskForm = ({ task, onSubmit, onCancel }) => {
       const submitData = {
         ...formData,
         dueDate: formData.dueDate || null,
+        recurrence: buildRecurrence(formData.recurrence),
+        // Reminders are scheduled from the due date, so they go when it does
+        reminders: formData.dueDate
+          ? formData.reminders.map((offsetMinutes) => ({ offsetMinutes }))
+          : [],
+        project: formData.project || null,
+        assignee: formData.assignee || null,
+        // Drop tags that were deleted while the form was open
+        tags: formData.tags.filter((tagId) => tags.some((tag) => tag._id === tagId)),
+        // Items whose text was cleared are dropped
+        checklist: formData.checklist.filter((item) => item.text.trim()),
       }
 
       if (task) {
@@ -75,7 +149,13 @@ const TaskForm = ({ task, onSubmit, onCancel }) => {
         description: '',
         status: 'todo',
         priority: 'medium',
-        dueDate: '',
+        dueDate: defaultDueDate,
+        recurrence: emptyRecurrence,
+    reminders: [],
+        project: defaultProject,
+        assignee: '',
+        tags: [],
+        checklist: [],
       })
     } catch (error) {
       const errorMessage =
@@ -207,6 +287,93 @@ const TaskForm = ({ task, onSubmit, onCancel }) => {
           </div>
         </div>
 
+        <RecurrencePicker
+          value={formData.recurrence}
+          dueDate={formData.dueDate}
+          onChange={handleRecurrenceChange}
+          error={errors.recurrence}
+        />
+
+        <ReminderPicker
+          value={formData.reminders}
+          dueDate={formData.dueDate}
+          onChange={handleRemindersChange}
+        />
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div>
+            <label htmlFor="project" className="label">
+              Project
+            </label>
+            <select
+              id="project"
+              name="project"
+              value={formData.project}
+              onChange={handleChange}
+              className="input"
+            >
+              <option value="">No project</option>
+              {projects
+                .filter((project) => !project.archived || project._id === formData.project)
+                .map((project) => (
+                  <option key={project._id} value={project._id}>
+                    {project.name}
+                  </option>
+                ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="assignee" className="label">
+              Assignee
+            </label>
+            <select
+              id="assignee"
+              name="assignee"
+              value={formData.assignee}
+              onChange={handleChange}
+              className="input"
+            >
+              <option value="">Unassigned</option>
+              {members.map((member) => (
+                <option key={member._id} value={member._id}>
+                  {member.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {tags.length > 0 && (
+          <div>
+            <span className="label">Tags</span>
+            <div className="flex flex-wrap gap-2">
+              {tags.map((tag) => {
+                const selected = formData.tags.includes(tag._id)
+                return (
+                  <button
+                    key={tag._id}
+                    type="button"
+                    onClick={() => toggleTag(tag._id)}
+                    aria-pressed={selected}
+                    className={`rounded-full ${
+                      selected ? 'ring-2 ring-primary-500 ring-offset-1 dark:ring-offset-gray-800' : 'opacity-60'
+                    }`}
+                  >
+                    <TagChip tag={tag} />
+                  </button>
+                )
+              })}
+            </div>
+          </div>
+        )}
+
+        <ChecklistEditor
+          items={formData.checklist}
+          onChange={handleChecklistChange}
+          error={errors.checklist}
+        />
+
         <div className="flex gap-3 pt-4">
           <button
             type="submit"
@@ -1,4 +1,29 @@
-const TaskItem = ({ task, onEdit, onDelete }) => {
+import { useState } from 'react'
+import TagChip from './TagChip'
+import Highlight from './Highlight'
+import { describeRecurrence } from '../utils/recurrence'
+
+const TaskItem = ({
+  task,
+  tagsById,
+  membersById,
+  canEdit = true,
+  onOpen,
+  onEdit,
+  onDelete,
+  onToggleChecklistItem,
+  selected = false,
+  onSelect,
+  highlight,
+}) => {
+  const [showChecklist, setShowChecklist] = useState(false)
+
+  // A search snippet is only shown while it still matches the description
+  const snippetText = highlight?.snippet.map((segment) => segment.text).join('') || ''
+  const showSnippet =
+    highlight?.snippet.some((segment) => segment.match) &&
+    task.description?.includes(snippetText.replace(/^…|…$/g, ''))
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'completed':
@@ -31,14 +56,42 @@ const TaskItem = ({ task, onEdit, onDelete }) => {
     })
   }
 
+  // Tags deleted elsewhere may linger until the task is refetched
+  const taskTags = (task.tags || []).map((tagId) => tagsById[tagId]).filter(Boolean)
+  const assignee = task.assignee && membersById[task.assignee]
+  const checklist = task.checklist || []
+  const checklistDone = checklist.filter((item) => item.done).length
+
   const isOverdue = task.dueDate && new Date(task.dueDate) < new Date() && task.status !== 'completed'
 
   return (
-    <div className="card hover:shadow-lg dark:hover:shadow-gray-900/50 transition-shadow duration-200">
+    <div
+      className={`card hover:shadow-lg dark:hover:shadow-gray-900/50 transition-shadow duration-200 ${
+        selected ? 'ring-2 ring-primary-500' : ''
+      }`}
+    >
       <div className="flex items-start justify-between">
+        {canEdit && onSelect && (
+          <input
+            type="checkbox"
+            checked={selected}
+            // The change event comes from a click, which tells us whether shift was held
+            onChange={(e) => onSelect(e.nativeEvent.shiftKey)}
+            className="h-4 w-4 mt-1.5 mr-3 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            aria-label={`Select "${task.title}"`}
+          />
+        )}
         <div className="flex-1">
-          <div className="flex items-center gap-2 mb-2">
-            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">{task.title}</h3>
+          <div className="flex flex-wrap items-center gap-2 mb-2">
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+              <button
+                onClick={() => onOpen(task)}
+                className="text-left hover:text-primary-600 dark:hover:text-primary-400"
+                title="Open task details"
+              >
+                <Highlight segments={highlight?.title} text={task.title} />
+              </button>
+            </h3>
             <span
               className={`px-2 py-1 text-xs font-medium rounded-full ${getStatusColor(
                 task.status
@@ -53,10 +106,60 @@ const TaskItem = ({ task, onEdit, onDelete }) => {
             >
               {task.priority}
             </span>
+            {taskTags.map((tag) => (
+              <TagChip key={tag._id} tag={tag} />
+            ))}
           </div>
 
           {task.description && (
-            <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">{task.description}</p>
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+              {/* Searches show the part of the description that matched */}
+              {showSnippet ? (
+                <Highlight segments={highlight.snippet} text={snippetText} />
+              ) : (
+                task.description
+              )}
+            </p>
+          )}
+
+          {checklist.length > 0 && (
+            <div className="mb-3">
+              <button
+                onClick={() => setShowChecklist((prev) => !prev)}
+                className="flex items-center gap-2 text-xs font-medium text-gray-600 dark:text-gray-400
+                 hover:text-gray-900 dark:hover:text-gray-200"
+                aria-expanded={showChecklist}
+              >
+                <span className="w-24 h-1.5 rounded-full bg-gray-200 dark:bg-gray-700 overflow-hidden">
+                  <span
+                    className="block h-full bg-primary-600 dark:bg-primary-400"
+                    style={{ width: `${(checklistDone / checklist.length) * 100}%` }}
+                  />
+                </span>
+                {checklistDone}/{checklist.length}
+              </button>
+
+              {showChecklist && (
+                <ul className="mt-2 space-y-1">
+                  {checklist.map((item) => (
+                    <li key={item._id}>
+                      <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                          type="checkbox"
+                          checked={item.done}
+                          onChange={() => onToggleChecklistItem(task._id, item._id)}
+                          disabled={!canEdit}
+                          className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        />
+                        <span className={item.done ? 'line-through text-gray-400 dark:text-gray-500' : ''}>
+                          {item.text}
+                        </span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
           )}
 
           <div className="flex items-center gap-4 text-xs text-gray-500 dark:text-gray-400">
@@ -79,26 +182,56 @@ const TaskItem = ({ task, onEdit, onDelete }) => {
                 {isOverdue && ' (Overdue)'}
               </span>
             )}
+            {task.recurrence && (
+              <span className="flex items-center gap-1" title={task.recurrence.rule}>
+                <svg
+                  className="w-4 h-4"
+                  fill="none"
+                  viewBox="0 0 24 24"
+                  stroke="currentColor"
+                  aria-hidden="true"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"
+                  />
+                </svg>
+                {describeRecurrence(task.recurrence.rule)}
+              </span>
+            )}
+            {assignee && (
+              <span className="flex items-center gap-1" title={assignee.email}>
+                <span className="inline-flex items-center justify-center w-5 h-5 rounded-full bg-primary-100
+                 dark:bg-primary-900 text-primary-600 dark:text-primary-300 text-[10px] font-bold">
+                  {assignee.name?.charAt(0).toUpperCase()}
+                </span>
+                {assignee.name}
+              </span>
+            )}
             <span>
               Created {formatDate(task.createdAt)}
             </span>
           </div>
         </div>
 
-        <div className="flex gap-2 ml-4">
-          <button
-            onClick={() => onEdit(task)}
-            className="px-3 py-1 text-sm btn-secondary"
-          >
-            Edit
-          </button>
-          <button
-            onClick={() => onDelete(task._id)}
-            className="px-3 py-1 text-sm btn-danger"
-          >
-            Delete
-          </button>
-        </div>
+        {canEdit && (
+          <div className="flex gap-2 ml-4">
+            <button
+              onClick={() => onEdit(task)}
+              className="px-3 py-1 text-sm btn-secondary"
+            >
+              Edit
+            </button>
+            <button
+              onClick={() => onDelete(task._id)}
+              className="px-3 py-1 text-sm btn-danger"
+            >
+              Delete
+            </button>
+          </div>
+        )}
       </div>
     </div>
   )
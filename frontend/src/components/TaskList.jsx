@@ -1,6 +1,79 @@
+import { useEffect, useRef } from 'react'
+import { useWindowVirtualizer } from '@tanstack/react-virtual'
 import TaskItem from './TaskItem'
 
-const TaskList = ({ tasks, loading, onEdit, onDelete }) => {
+// Estimated row height (card plus gap) before a row has been measured
+const ESTIMATED_ROW_HEIGHT = 140
+// Start loading the next page this many rows before the end of the list
+const LOAD_MORE_THRESHOLD = 5
+
+const TaskList = ({
+  tasks,
+  tagsById,
+  membersById,
+  canEdit,
+  loading,
+  loadingMore,
+  hasMore,
+  onLoadMore,
+  onOpen,
+  onEdit,
+  onDelete,
+  onToggleChecklistItem,
+  selectedIds,
+  onSelectionChange,
+  highlights = {},
+}) => {
+  const listRef = useRef(null)
+  // Row clicked last, which anchors shift-click range selection
+  const anchorIndexRef = useRef(null)
+
+  // Rows scroll with the page, so offsets are relative to the list's position in it
+  const virtualizer = useWindowVirtualizer({
+    count: tasks.length,
+    estimateSize: () => ESTIMATED_ROW_HEIGHT,
+    overscan: 5,
+    scrollMargin: listRef.current?.offsetTop ?? 0,
+    getItemKey: (index) => tasks[index]._id,
+  })
+
+  const virtualRows = virtualizer.getVirtualItems()
+  const lastRowIndex = virtualRows.length ? virtualRows[virtualRows.length - 1].index : -1
+
+  useEffect(() => {
+    if (hasMore && !loadingMore && lastRowIndex >= tasks.length - 1 - LOAD_MORE_THRESHOLD) {
+      onLoadMore()
+    }
+    // Only react to scrolling or new rows, so a failed load is not retried in a loop
+  }, [lastRowIndex, tasks.length])
+
+  // Toggle one task, or with shift held every task between it and the anchor
+  const handleSelect = (index, shiftKey) => {
+    const taskId = tasks[index]._id
+    const selecting = !selectedIds.has(taskId)
+    const anchor = anchorIndexRef.current
+    const [from, to] =
+      shiftKey && anchor !== null && anchor < tasks.length
+        ? [Math.min(anchor, index), Math.max(anchor, index)]
+        : [index, index]
+
+    const next = new Set(selectedIds)
+    tasks.slice(from, to + 1).forEach((task) => {
+      if (selecting) next.add(task._id)
+      else next.delete(task._id)
+    })
+
+    anchorIndexRef.current = index
+    onSelectionChange(next)
+  }
+
+  const allSelected = tasks.length > 0 && tasks.every((task) => selectedIds.has(task._id))
+
+  const handleSelectAll = () => {
+    anchorIndexRef.current = null
+    onSelectionChange(allSelected ? new Set() : new Set(tasks.map((task) => task._id)))
+  }
+
   if (loading) {
     return (
       <div className="card">
@@ -39,15 +112,65 @@ const TaskList = ({ tasks, loading, onEdit, onDelete }) => {
   }
 
   return (
-    <div className="space-y-3">
-      {tasks.map((task) => (
-        <TaskItem
-          key={task._id}
-          task={task}
-          onEdit={onEdit}
-          onDelete={onDelete}
-        />
-      ))}
+    <div>
+      {canEdit && (
+        <label className="flex items-center gap-2 mb-3 text-sm text-gray-600 dark:text-gray-400">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            ref={(input) => {
+              if (input) input.indeterminate = selectedIds.size > 0 && !allSelected
+            }}
+            onChange={handleSelectAll}
+            className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+          />
+          {selectedIds.size > 0 ? `${selectedIds.size} selected` : `Select all ${tasks.length} loaded tasks`}
+        </label>
+      )}
+
+      <div
+        ref={listRef}
+        className="relative"
+        style={{ height: `${virtualizer.getTotalSize()}px` }}
+      >
+        {virtualRows.map((row) => (
+          <div
+            key={row.key}
+            data-index={row.index}
+            ref={virtualizer.measureElement}
+            className="absolute left-0 top-0 w-full pb-3"
+            style={{ transform: `translateY(${row.start - virtualizer.options.scrollMargin}px)` }}
+          >
+            <TaskItem
+              task={tasks[row.index]}
+              tagsById={tagsById}
+              membersById={membersById}
+              canEdit={canEdit}
+              onOpen={onOpen}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onToggleChecklistItem={onToggleChecklistItem}
+              selected={selectedIds.has(tasks[row.index]._id)}
+              onSelect={(shiftKey) => handleSelect(row.index, shiftKey)}
+              highlight={highlights[tasks[row.index]._id]}
+            />
+          </div>
+        ))}
+      </div>
+
+      {loadingMore && (
+        <div className="flex items-center justify-center py-4">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600
+           dark:border-primary-400"></div>
+        </div>
+      )}
+      {hasMore && !loadingMore && (
+        <div className="flex justify-center py-2">
+          <button onClick={onLoadMore} className="btn-secondary">
+            Load more
+          </button>
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,110 @@
+const WIDTH = 600
+const HEIGHT = 200
+const LABEL_SPACE = 24
+// Aim for about this many labelled periods along the bottom
+const MAX_LABELS = 10
+
+const formatPeriod = (period, interval) => {
+  const label = new Date(`${period}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  return interval === 'week' ? `Week of ${label}` : label
+}
+
+// Columns of tasks created and completed in each day or week. The numbers are
+// also in a table for screen readers.
+const TimelineChart = ({ timeline, interval }) => {
+  const max = Math.max(1, ...timeline.flatMap((point) => [point.created, point.completed]))
+  const slot = WIDTH / timeline.length
+  const barWidth = slot * 0.35
+  const labelEvery = Math.ceil(timeline.length / MAX_LABELS)
+  const barHeight = (value) => (value / max) * (HEIGHT - LABEL_SPACE - 8)
+
+  return (
+    <div>
+      <div className="flex items-center gap-4 mb-3 text-xs text-gray-600 dark:text-gray-400">
+        <span className="flex items-center gap-1.5">
+          <span className="w-3 h-3 rounded-sm bg-primary-400 dark:bg-primary-500" />
+          Created
+        </span>
+        <span className="flex items-center gap-1.5">
+          <span className="w-3 h-3 rounded-sm bg-green-500" />
+          Completed
+        </span>
+        <span className="ml-auto">Highest: {max}</span>
+      </div>
+
+      <div className="overflow-x-auto">
+        <svg
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          className="w-full h-auto min-w-[32rem]"
+          aria-hidden="true"
+        >
+          <line
+            x1="0"
+            x2={WIDTH}
+            y1={HEIGHT - LABEL_SPACE}
+            y2={HEIGHT - LABEL_SPACE}
+            className="stroke-gray-200 dark:stroke-gray-700"
+          />
+          {timeline.map((point, index) => {
+            const x = index * slot + (slot - barWidth * 2) / 2
+            const base = HEIGHT - LABEL_SPACE
+            return (
+              <g key={point.period}>
+                <title>
+                  {formatPeriod(point.period, interval)}: {point.created} created, {point.completed} completed
+                </title>
+                <rect
+                  x={x}
+                  y={base - barHeight(point.created)}
+                  width={barWidth}
+                  height={barHeight(point.created)}
+                  className="fill-primary-400 dark:fill-primary-500"
+                />
+                <rect
+                  x={x + barWidth}
+                  y={base - barHeight(point.completed)}
+                  width={barWidth}
+                  height={barHeight(point.completed)}
+                  className="fill-green-500"
+                />
+                {index % labelEvery === 0 && (
+                  <text
+                    x={index * slot + slot / 2}
+                    y={HEIGHT - 6}
+                    textAnchor="middle"
+                    className="fill-gray-500 dark:fill-gray-400"
+                    style={{ fontSize: 9 }}
+                  >
+                    {formatPeriod(point.period, 'day')}
+                  </text>
+                )}
+              </g>
+            )
+          })}
+        </svg>
+      </div>
+
+      <table className="sr-only">
+        <caption>Tasks created and completed per {interval}</caption>
+        <thead>
+          <tr>
+            <th scope="col">{interval === 'week' ? 'Week' : 'Day'}</th>
+            <th scope="col">Created</th>
+            <th scope="col">Completed</th>
+          </tr>
+        </thead>
+        <tbody>
+          {timeline.map((point) => (
+            <tr key={point.period}>
+              <th scope="row">{formatPeriod(point.period, interval)}</th>
+              <td>{point.created}</td>
+              <td>{point.completed}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  )
+}
+
+export default TimelineChart
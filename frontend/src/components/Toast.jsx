@@ -0,0 +1,38 @@
+import { useEffect } from 'react'
+
+// A short-lived message with an optional action, e.g. "Task moved to trash · Undo".
+// `onDismiss` should be stable, since a new one restarts the timer.
+const Toast = ({ message, actionLabel, onAction, onDismiss, duration = 8000 }) => {
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, duration)
+    return () => clearTimeout(timer)
+  }, [onDismiss, duration])
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      className="fixed bottom-6 left-6 z-40 flex items-center gap-4 rounded-lg bg-gray-900 dark:bg-gray-700
+       text-white px-4 py-3 shadow-lg"
+    >
+      <span className="text-sm">{message}</span>
+      {actionLabel && (
+        <button
+          onClick={onAction}
+          className="text-sm font-semibold text-primary-300 hover:text-primary-200"
+        >
+          {actionLabel}
+        </button>
+      )}
+      <button
+        onClick={onDismiss}
+        className="text-gray-400 hover:text-gray-200"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  )
+}
+
+export default Toast
@@ -0,0 +1,159 @@
+import { useState, useEffect } from 'react'
+import api from '../utils/api'
+
+const DAY = 24 * 60 * 60 * 1000
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+  })
+
+const TrashView = ({ workspace, canEdit, onRestored }) => {
+  const [tasks, setTasks] = useState([])
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [hasMore, setHasMore] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const fetchTrash = async (cursor) => {
+    const params = new URLSearchParams()
+    if (workspace) params.append('workspace', workspace)
+    if (cursor) params.append('cursor', cursor)
+
+    try {
+      if (!cursor) setLoading(true)
+      setError('')
+      const response = await api.get(`/tasks/trash?${params.toString()}`)
+      setTasks((prev) => (cursor ? [...prev, ...response.data.tasks] : response.data.tasks))
+      setRetentionDays(response.data.retentionDays)
+      setNextCursor(response.data.nextCursor)
+      setHasMore(response.data.hasMore)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the trash')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchTrash()
+  }, [workspace])
+
+  const removeFromList = (taskId) => {
+    setTasks((prev) => prev.filter((task) => task._id !== taskId))
+  }
+
+  const handleRestore = async (task) => {
+    try {
+      const response = await api.post(`/tasks/${task._id}/restore`)
+      removeFromList(task._id)
+      onRestored(response.data.task)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to restore task')
+    }
+  }
+
+  const handleDeleteForever = async (task) => {
+    if (!window.confirm(`Permanently delete "${task.title}"? This cannot be undone.`)) {
+      return
+    }
+
+    try {
+      await api.delete(`/tasks/${task._id}/permanent`)
+      removeFromList(task._id)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete task')
+    }
+  }
+
+  const handleEmptyTrash = async () => {
+    if (!window.confirm('Permanently delete every task in the trash? This cannot be undone.')) {
+      return
+    }
+
+    try {
+      await api.delete(`/tasks/trash${workspace ? `?workspace=${workspace}` : ''}`)
+      setTasks([])
+      setHasMore(false)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to empty the trash')
+    }
+  }
+
+  const daysLeft = (purgeAt) => Math.max(0, Math.ceil((new Date(purgeAt) - Date.now()) / DAY))
+
+  return (
+    <div className="card">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">Trash</h2>
+          {retentionDays && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Tasks are deleted for good {retentionDays} days after they are moved here.
+            </p>
+          )}
+        </div>
+        {canEdit && tasks.length > 0 && (
+          <button onClick={handleEmptyTrash} className="btn-danger">
+            Empty trash
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+         text-red-700 dark:text-red-400 px-4 py-3 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600
+           dark:border-primary-400"></div>
+        </div>
+      ) : tasks.length === 0 ? (
+        <p className="text-center py-12 text-sm text-gray-500 dark:text-gray-400">The trash is empty.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {tasks.map((task) => (
+            <li key={task._id} className="flex items-center justify-between gap-4 py-3">
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 dark:text-gray-100 truncate">{task.title}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Deleted {formatDate(task.deletedAt)} · deleted for good in {daysLeft(task.purgeAt)} days
+                </p>
+              </div>
+              {canEdit && (
+                <div className="flex gap-2 shrink-0">
+                  <button onClick={() => handleRestore(task)} className="px-3 py-1 text-sm btn-secondary">
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handleDeleteForever(task)}
+                    className="px-3 py-1 text-sm btn-danger"
+                  >
+                    Delete forever
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {hasMore && !loading && (
+        <div className="flex justify-center pt-4">
+          <button onClick={() => fetchTrash(nextCursor)} className="btn-secondary">
+            Load more
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TrashView
@@ -0,0 +1,217 @@
+import { useState } from 'react'
+import { useAuth } from '../context/AuthContext'
+import api from '../utils/api'
+
+// Shown once after turning two-factor authentication on or replacing the
+// codes; the server only keeps their hashes
+const RecoveryCodes = ({ codes, onDone }) => {
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${codes.join('\n')}\n`], { type: 'text/plain' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = 'recovery-codes.txt'
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose your device, and
+        they won't be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-1 font-mono text-sm text-gray-900 dark:text-gray-100">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <button onClick={handleDownload} className="flex-1 btn-secondary text-sm">
+          Download
+        </button>
+        <button onClick={onDone} className="flex-1 btn-primary text-sm">
+          Done
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// Turning TOTP two-factor authentication on and off, and replacing the
+// recovery codes
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth()
+  const [mode, setMode] = useState(null)
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [password, setPassword] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  const open = (next) => {
+    setMode(next)
+    setCode('')
+    setPassword('')
+    setError('')
+  }
+
+  const request = async (action) => {
+    setBusy(true)
+    setError('')
+    try {
+      await action()
+    } catch (err) {
+      setError(err.response?.data?.errors?.[0]?.msg || err.response?.data?.message || 'Something went wrong')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleStart = () =>
+    request(async () => {
+      const response = await api.post('/profile/2fa/setup')
+      setSetup(response.data)
+      open('enable')
+    })
+
+  const handleEnable = (e) => {
+    e.preventDefault()
+    request(async () => {
+      const response = await api.post('/profile/2fa/enable', { code })
+      updateUser({ ...user, twoFactorEnabled: true })
+      setSetup(null)
+      setRecoveryCodes(response.data.recoveryCodes)
+      open(null)
+    })
+  }
+
+  const handleDisable = (e) => {
+    e.preventDefault()
+    request(async () => {
+      await api.post('/profile/2fa/disable', { password, code })
+      updateUser({ ...user, twoFactorEnabled: false })
+      open(null)
+    })
+  }
+
+  const handleRegenerate = (e) => {
+    e.preventDefault()
+    request(async () => {
+      const response = await api.post('/profile/2fa/recovery-codes', { code })
+      setRecoveryCodes(response.data.recoveryCodes)
+      open(null)
+    })
+  }
+
+  const handleCancel = () => {
+    setSetup(null)
+    open(null)
+  }
+
+  const codeInput = (
+    <input
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      value={code}
+      onChange={(e) => {
+        setCode(e.target.value)
+        setError('')
+      }}
+      className="input text-sm"
+      placeholder={mode === 'enable' ? '6-digit code' : 'Code from your app or a recovery code'}
+      aria-label="Authentication code"
+      required
+    />
+  )
+
+  const formButtons = (label) => (
+    <div className="flex gap-2">
+      <button type="submit" disabled={busy} className="flex-1 btn-primary text-sm disabled:opacity-50">
+        {busy ? 'Checking...' : label}
+      </button>
+      <button type="button" onClick={handleCancel} className="flex-1 btn-secondary text-sm">
+        Cancel
+      </button>
+    </div>
+  )
+
+  return (
+    <div className="mt-6 pt-4 border-t border-gray-200 dark:border-gray-700">
+      <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide mb-1">
+        Two-factor authentication
+      </p>
+
+      {error && <p className="mb-2 text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {recoveryCodes ? (
+        <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+      ) : mode === 'enable' && setup ? (
+        <form onSubmit={handleEnable} className="space-y-2">
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Scan this QR code with an authenticator app, then enter the code it shows.
+          </p>
+          <img
+            src={setup.qrCode}
+            alt="QR code for your authenticator app"
+            className="mx-auto w-40 h-40 bg-white p-2 rounded"
+          />
+          <p className="text-xs text-gray-500 dark:text-gray-400 break-all">
+            Can't scan it? Enter this key instead: <span className="font-mono">{setup.secret}</span>
+          </p>
+          {codeInput}
+          {formButtons('Turn on')}
+        </form>
+      ) : mode === 'disable' ? (
+        <form onSubmit={handleDisable} className="space-y-2">
+          <input
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => {
+              setPassword(e.target.value)
+              setError('')
+            }}
+            className="input text-sm"
+            placeholder="Password"
+            aria-label="Password"
+            required
+          />
+          {codeInput}
+          {formButtons('Turn off')}
+        </form>
+      ) : mode === 'regenerate' ? (
+        <form onSubmit={handleRegenerate} className="space-y-2">
+          <p className="text-xs text-gray-500 dark:text-gray-400">Your current recovery codes will stop working.</p>
+          {codeInput}
+          {formButtons('Create new codes')}
+        </form>
+      ) : user.twoFactorEnabled ? (
+        <div className="space-y-2">
+          <p className="text-sm text-green-600 dark:text-green-400">On</p>
+          <button onClick={() => open('regenerate')} className="w-full btn-secondary text-sm">
+            New recovery codes
+          </button>
+          <button
+            onClick={() => open('disable')}
+            className="w-full text-sm text-red-600 hover:text-red-700 dark:text-red-400"
+          >
+            Turn off
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Ask for a code from an authenticator app as well as your password when signing in.
+          </p>
+          <button onClick={handleStart} disabled={busy} className="w-full btn-secondary text-sm disabled:opacity-50">
+            Turn on
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TwoFactorSettings
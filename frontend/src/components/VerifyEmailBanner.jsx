@@ -0,0 +1,47 @@
+import { useState } from 'react'
+import { useAuth } from '../context/AuthContext'
+import api from '../utils/api'
+
+// Reminds users who haven't opened their verification link yet, and lets
+// them ask for a new one
+const VerifyEmailBanner = () => {
+  const { user } = useAuth()
+  const [status, setStatus] = useState('')
+  const [busy, setBusy] = useState(false)
+
+  // Users saved before the flag existed have it undefined until /auth/me answers
+  if (!user || user.emailVerified !== false) return null
+
+  const handleResend = async () => {
+    setBusy(true)
+    try {
+      const response = await api.post('/auth/resend-verification')
+      setStatus(response.data.message)
+    } catch (err) {
+      setStatus(err.response?.data?.message || 'Failed to send the email. Please try again.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="bg-yellow-50 dark:bg-yellow-900/20 border-b border-yellow-200 dark:border-yellow-800" role="status">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center gap-x-4 gap-y-1
+      text-sm text-yellow-800 dark:text-yellow-300">
+        <p>
+          Please verify your email address. We sent a link to <span className="font-medium">{user.email}</span>.
+          Until then you can't see or accept workspace invitations sent to it.
+        </p>
+        {status ? (
+          <p>{status}</p>
+        ) : (
+          <button onClick={handleResend} disabled={busy} className="font-medium underline disabled:opacity-50">
+            {busy ? 'Sending...' : 'Resend email'}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmailBanner
@@ -0,0 +1,311 @@
+import { useState, useEffect } from 'react'
+import api from '../utils/api'
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  viewer: 'Viewer',
+}
+
+const WorkspaceManager = ({
+  workspace,
+  invitations,
+  currentUserId,
+  onSwitch,
+  onChanged,
+  onClose,
+}) => {
+  const [newWorkspaceName, setNewWorkspaceName] = useState('')
+  const [invite, setInvite] = useState({ email: '', role: 'editor' })
+  const [pendingInvites, setPendingInvites] = useState([])
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  const isOwner = workspace?.role === 'owner'
+
+  useEffect(() => {
+    if (isOwner) {
+      fetchPendingInvites()
+    } else {
+      setPendingInvites([])
+    }
+  }, [workspace?._id, isOwner])
+
+  const fetchPendingInvites = async () => {
+    try {
+      const response = await api.get(`/workspaces/${workspace._id}/invitations`)
+      setPendingInvites(response.data.invitations)
+    } catch (error) {
+      console.error('Error fetching invitations:', error)
+    }
+  }
+
+  // Run an API action, reporting its outcome in the dialog
+  const run = async (action, successMessage) => {
+    setError('')
+    setSuccess('')
+    try {
+      await action()
+      if (successMessage) setSuccess(successMessage)
+      return true
+    } catch (error) {
+      setError(error.response?.data?.message || 'Something went wrong. Please try again.')
+      return false
+    }
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    if (!newWorkspaceName.trim()) return
+
+    await run(async () => {
+      const response = await api.post('/workspaces', { name: newWorkspaceName })
+      setNewWorkspaceName('')
+      await onChanged()
+      onSwitch(response.data.workspace._id)
+    }, 'Workspace created.')
+  }
+
+  const handleRespond = (invitation, accept) =>
+    run(async () => {
+      const response = await api.post(
+        `/invitations/${invitation._id}/${accept ? 'accept' : 'decline'}`
+      )
+      await onChanged()
+      if (accept) onSwitch(response.data.workspaceId)
+    }, accept ? `You joined ${invitation.workspace?.name}.` : 'Invitation declined.')
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+    const sent = await run(async () => {
+      await api.post(`/workspaces/${workspace._id}/invitations`, invite)
+      await fetchPendingInvites()
+    }, `Invitation sent to ${invite.email}.`)
+    if (sent) setInvite({ email: '', role: 'editor' })
+  }
+
+  const handleRevoke = (invitation) =>
+    run(async () => {
+      await api.delete(`/workspaces/${workspace._id}/invitations/${invitation._id}`)
+      await fetchPendingInvites()
+    }, 'Invitation revoked.')
+
+  const handleRoleChange = (member, role) =>
+    run(async () => {
+      await api.put(`/workspaces/${workspace._id}/members/${member.user._id}`, { role })
+      await onChanged()
+    })
+
+  const handleRemoveMember = (member) => {
+    const isSelf = member.user._id === currentUserId
+    const prompt = isSelf
+      ? `Leave ${workspace.name}? You will lose access to its tasks.`
+      : `Remove ${member.user.name} from ${workspace.name}?`
+    if (!window.confirm(prompt)) return
+
+    run(async () => {
+      await api.delete(`/workspaces/${workspace._id}/members/${member.user._id}`)
+      if (isSelf) onSwitch('')
+      await onChanged()
+    })
+  }
+
+  const handleDeleteWorkspace = () => {
+    if (!window.confirm(`Delete ${workspace.name} and all of its tasks? This cannot be undone.`)) {
+      return
+    }
+
+    run(async () => {
+      await api.delete(`/workspaces/${workspace._id}`)
+      onSwitch('')
+      await onChanged()
+    })
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 px-4" role="dialog" aria-modal="true">
+      <div className="card w-full max-w-lg max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">Workspaces</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-300"
+            aria-label="Close"
+          >
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {error && (
+          <div className="mb-4 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+           text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm">
+            {error}
+          </div>
+        )}
+        {success && (
+          <div className="mb-4 bg-green-50 dark:bg-green-900/20 border border-green-200
+           dark:border-green-800 text-green-700 dark:text-green-400 px-4 py-2 rounded-lg text-sm">
+            {success}
+          </div>
+        )}
+
+        {invitations.length > 0 && (
+          <section className="mb-6">
+            <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 uppercase tracking-wide mb-2">
+              Invitations for you
+            </h3>
+            <ul className="space-y-2">
+              {invitations.map((invitation) => (
+                <li
+                  key={invitation._id}
+                  className="flex items-center justify-between gap-2 p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50"
+                >
+                  <div className="text-sm">
+                    <p className="font-medium text-gray-900 dark:text-gray-100">
+                      {invitation.workspace?.name}
+                    </p>
+                    <p className="text-gray-500 dark:text-gray-400">
+                      {invitation.invitedBy?.name} invited you as {ROLE_LABELS[invitation.role]}
+                    </p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleRespond(invitation, true)}
+                      className="btn-primary px-3 py-1 text-sm"
+                    >
+                      Accept
+                    </button>
+                    <button
+                      onClick={() => handleRespond(invitation, false)}
+                      className="btn-secondary px-3 py-1 text-sm"
+                    >
+                      Decline
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        {workspace && (
+          <section className="mb-6">
+            <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 uppercase tracking-wide mb-2">
+              {workspace.name} members
+            </h3>
+            <ul className="space-y-2 mb-4">
+              {workspace.members.map((member) => (
+                <li key={member.user._id} className="flex items-center justify-between gap-2 text-sm">
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 dark:text-gray-100 truncate">
+                      {member.user.name}
+                      {member.user._id === currentUserId && ' (you)'}
+                    </p>
+                    <p className="text-gray-500 dark:text-gray-400 truncate">{member.user.email}</p>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    {isOwner && member.role !== 'owner' ? (
+                      <select
+                        value={member.role}
+                        onChange={(e) => handleRoleChange(member, e.target.value)}
+                        className="input py-1 text-sm w-28"
+                        aria-label={`Role of ${member.user.name}`}
+                      >
+                        <option value="editor">Editor</option>
+                        <option value="viewer">Viewer</option>
+                      </select>
+                    ) : (
+                      <span className="text-gray-500 dark:text-gray-400">{ROLE_LABELS[member.role]}</span>
+                    )}
+                    {member.role !== 'owner' && (isOwner || member.user._id === currentUserId) && (
+                      <button
+                        onClick={() => handleRemoveMember(member)}
+                        className="px-2 text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+                        aria-label={member.user._id === currentUserId ? 'Leave workspace' : `Remove ${member.user.name}`}
+                        title={member.user._id === currentUserId ? 'Leave' : 'Remove'}
+                      >
+                        ✕
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+
+            {isOwner && (
+              <>
+                <form onSubmit={handleInvite} className="flex gap-2 mb-3">
+                  <input
+                    type="email"
+                    value={invite.email}
+                    onChange={(e) => setInvite((prev) => ({ ...prev, email: e.target.value }))}
+                    className="input py-1 text-sm"
+                    placeholder="teammate@example.com"
+                    required
+                  />
+                  <select
+                    value={invite.role}
+                    onChange={(e) => setInvite((prev) => ({ ...prev, role: e.target.value }))}
+                    className="input py-1 text-sm w-28"
+                    aria-label="Invited role"
+                  >
+                    <option value="editor">Editor</option>
+                    <option value="viewer">Viewer</option>
+                  </select>
+                  <button type="submit" className="btn-primary px-3 py-1 text-sm">
+                    Invite
+                  </button>
+                </form>
+
+                {pendingInvites.length > 0 && (
+                  <ul className="space-y-1 mb-3">
+                    {pendingInvites.map((invitation) => (
+                      <li key={invitation._id} className="flex items-center justify-between text-sm">
+                        <span className="text-gray-600 dark:text-gray-400">
+                          {invitation.email} · {ROLE_LABELS[invitation.role]} · pending
+                        </span>
+                        <button
+                          onClick={() => handleRevoke(invitation)}
+                          className="text-xs text-red-600 hover:text-red-500 dark:text-red-400"
+                        >
+                          Revoke
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                <button onClick={handleDeleteWorkspace} className="btn-danger px-3 py-1 text-sm">
+                  Delete workspace
+                </button>
+              </>
+            )}
+          </section>
+        )}
+
+        <section>
+          <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 uppercase tracking-wide mb-2">
+            New workspace
+          </h3>
+          <form onSubmit={handleCreate} className="flex gap-2">
+            <input
+              type="text"
+              value={newWorkspaceName}
+              onChange={(e) => setNewWorkspaceName(e.target.value)}
+              maxLength={100}
+              className="input py-1 text-sm"
+              placeholder="Workspace name"
+            />
+            <button type="submit" className="btn-secondary px-3 py-1 text-sm">
+              Create
+            </button>
+          </form>
+        </section>
+      </div>
+    </div>
+  )
+}
+
+export default WorkspaceManager
@@ -0,0 +1,37 @@
+const WorkspaceSwitcher = ({ workspaces, current, invitationCount, onSwitch, onManage }) => {
+  return (
+    <div className="flex items-center gap-2">
+      <select
+        value={current}
+        onChange={(e) => onSwitch(e.target.value)}
+        className="input py-1.5 w-48"
+        aria-label="Workspace"
+      >
+        <option value="">Personal</option>
+        {workspaces.map((workspace) => (
+          <option key={workspace._id} value={workspace._id}>
+            {workspace.name}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={onManage}
+        className="relative btn-secondary px-3 py-1.5 text-sm"
+        title="Manage workspaces"
+      >
+        Workspaces
+        {invitationCount > 0 && (
+          <span
+            className="absolute -top-2 -right-2 inline-flex items-center justify-center h-5 min-w-[1.25rem] px-1
+             rounded-full bg-red-600 text-white text-xs font-bold"
+            aria-label={`${invitationCount} pending invitations`}
+          >
+            {invitationCount}
+          </span>
+        )}
+      </button>
+    </div>
+  )
+}
+
+export default WorkspaceSwitcher
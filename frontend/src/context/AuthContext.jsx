@@ -15,12 +15,22 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
 
-  const logout = () => {
+  const clearSession = () => {
     localStorage.removeItem('token')
+    localStorage.removeItem('refreshToken')
     localStorage.removeItem('user')
     setUser(null)
   }
 
+  // Ends this device's session on the server too, without waiting for it
+  const logout = () => {
+    const refreshToken = localStorage.getItem('refreshToken')
+    if (refreshToken) {
+      api.post('/auth/logout', { refreshToken }).catch((error) => console.error('Logout failed:', error))
+    }
+    clearSession()
+  }
+
   const verifyToken = async () => {
     try {
       const response = await api.get('/auth/me')
@@ -28,7 +38,7 @@ export const AuthProvider = ({ children }) => {
       localStorage.setItem('user', JSON.stringify(response.data.user))
     } catch (error) {
       console.error('Token verification failed:', error)
-      logout()
+      clearSession()
     }
   }
 
@@ -44,27 +54,54 @@ export const AuthProvider = ({ children }) => {
         verifyToken()
       } catch (error) {
         console.error('Error parsing saved user:', error)
-        localStorage.removeItem('token')
-        localStorage.removeItem('user')
+        clearSession()
       }
     }
     setLoading(false)
   }, [])
 
+  const saveSession = ({ token, refreshToken, user }) => {
+    localStorage.setItem('token', token)
+    localStorage.setItem('refreshToken', refreshToken)
+    localStorage.setItem('user', JSON.stringify(user))
+    setUser(user)
+  }
+
+  // Accounts with two-factor authentication get a challenge token back
+  // instead, to send with a code to completeTwoFactor
   const login = async (email, password) => {
     try {
       const response = await api.post('/auth/login', { email, password })
-      const { token, user } = response.data
 
-      localStorage.setItem('token', token)
-      localStorage.setItem('user', JSON.stringify(user))
-      setUser(user)
+      if (response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken }
+      }
 
+      saveSession(response.data)
       return { success: true }
     } catch (error) {
       return {
         success: false,
         message: error.response?.data?.message || 'Login failed. Please try again.',
+        // Seconds to wait after too many failed attempts
+        retryAfter: error.response?.data?.retryAfter,
+      }
+    }
+  }
+
+  const completeTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await api.post('/auth/login/2fa', { challengeToken, code })
+      saveSession(response.data)
+      return { success: true, recoveryCodesLeft: response.data.recoveryCodesLeft }
+    } catch (error) {
+      return {
+        success: false,
+        // The challenge token has run out, so the password has to be entered again
+        expired: error.response?.status === 401 && error.response?.data?.message !== 'Invalid code',
+        message: error.response?.data?.message || 'Login failed. Please try again.',
+        // Seconds to wait after too many failed attempts
+        retryAfter: error.response?.data?.retryAfter,
       }
     }
   }
@@ -72,11 +109,7 @@ export const AuthProvider = ({ children }) => {
   const register = async (name, email, password) => {
     try {
       const response = await api.post('/auth/register', { name, email, password })
-      const { token, user } = response.data
-
-      localStorage.setItem('token', token)
-      localStorage.setItem('user', JSON.stringify(user))
-      setUser(user)
+      saveSession(response.data)
 
       return { success: true }
     } catch (error) {
@@ -97,9 +130,11 @@ export const AuthProvider = ({ children }) => {
     user,
     loading,
     login,
+    completeTwoFactor,
     register,
     logout,
     updateUser,
+    refreshUser: verifyToken,
     isAuthenticated: !!user,
   }
 
@@ -1,55 +1,289 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react'
 import { useAuth } from '../context/AuthContext'
-import { useNavigate } from 'react-router-dom'
+import { Link, useNavigate } from 'react-router-dom'
 import api from '../utils/api'
 import TaskList from '../components/TaskList'
+import TaskBoard from '../components/TaskBoard'
+import TaskCalendar from '../components/TaskCalendar'
 import TaskForm from '../components/TaskForm'
 import ProfileCard from '../components/ProfileCard'
 import ThemeToggle from '../components/ThemeToggle'
+import TagFilter from '../components/TagFilter'
+import TagManager from '../components/TagManager'
+import ProjectList from '../components/ProjectList'
+import WorkspaceSwitcher from '../components/WorkspaceSwitcher'
+import NotificationBell from '../components/NotificationBell'
+import BulkActionBar from '../components/BulkActionBar'
+import TrashView from '../components/TrashView'
+import Toast from '../components/Toast'
+import VerifyEmailBanner from '../components/VerifyEmailBanner'
+import ExportMenu from '../components/ExportMenu'
+import ImportWizard from '../components/ImportWizard'
+import MigrateDialog from '../components/MigrateDialog'
+import SearchBox from '../components/SearchBox'
+import WorkspaceManager from '../components/WorkspaceManager'
+import TaskDetailPanel from '../components/TaskDetailPanel'
+
+const PAGE_SIZE = 20
 
 const Dashboard = () => {
-  const { user, logout } = useAuth()
+  const { user, logout, updateUser } = useAuth()
   const navigate = useNavigate()
   const [tasks, setTasks] = useState([])
   const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [nextCursor, setNextCursor] = useState(null)
+  const [hasMore, setHasMore] = useState(false)
+  // Matched words in each task's title and description while searching
+  const [highlights, setHighlights] = useState({})
+  const [searchError, setSearchError] = useState('')
+  // Identifies the latest filter set so stale pages are discarded
+  const requestIdRef = useRef(0)
   const [filters, setFilters] = useState({
     status: '',
     priority: '',
     search: '',
+    tags: [],
+    tagMode: 'any',
+    project: '',
+    // Empty for personal tasks, otherwise the ID of a shared workspace
+    workspace: localStorage.getItem('workspace') || '',
+    assignee: '',
     sortBy: 'createdAt',
     sortOrder: 'desc',
   })
+  const [tags, setTags] = useState([])
+  const [projects, setProjects] = useState([])
+  const [workspaces, setWorkspaces] = useState([])
+  const [invitations, setInvitations] = useState([])
+  const [showWorkspaceManager, setShowWorkspaceManager] = useState(false)
   const [showTaskForm, setShowTaskForm] = useState(false)
   const [editingTask, setEditingTask] = useState(null)
+  const [openTaskId, setOpenTaskId] = useState(null)
+  const [selectedIds, setSelectedIds] = useState(() => new Set())
+  const [showTrash, setShowTrash] = useState(false)
+  const [showImport, setShowImport] = useState(false)
+  const [showMigrate, setShowMigrate] = useState(false)
+  // Tasks just moved to the trash, which the undo toast can bring back
+  const [undoDelete, setUndoDelete] = useState(null)
+  // Task opened from a notification, the board or the calendar that is not in the loaded list
+  const [linkedTask, setLinkedTask] = useState(null)
+  // List, board or calendar, remembered on the user's account
+  const [taskView, setTaskView] = useState(user.preferences?.taskView || 'list')
+  // Bumped to make the board or calendar reload after changes made outside them
+  const [viewVersion, setViewVersion] = useState(0)
+  // Due date for a task started from a calendar day
+  const [newTaskDueDate, setNewTaskDueDate] = useState('')
 
   useEffect(() => {
-    fetchTasks()
-  }, [filters])
+    // The board and calendar load their own tasks
+    if (taskView === 'list') fetchTasks()
+  }, [filters, taskView])
+
+  useEffect(() => {
+    fetchTags()
+    fetchProjects()
+  }, [])
+
+  // Invitations show up once the email address they are sent to is verified
+  useEffect(() => {
+    fetchWorkspaces()
+  }, [user?.emailVerified])
+
+  useEffect(() => {
+    if (filters.workspace) {
+      localStorage.setItem('workspace', filters.workspace)
+    } else {
+      localStorage.removeItem('workspace')
+    }
+  }, [filters.workspace])
+
+  const tagsById = useMemo(
+    () => Object.fromEntries(tags.map((tag) => [tag._id, tag])),
+    [tags]
+  )
+
+  const projectsById = useMemo(
+    () => Object.fromEntries(projects.map((project) => [project._id, project])),
+    [projects]
+  )
+
+  const currentWorkspace = workspaces.find((workspace) => workspace._id === filters.workspace)
+  // Viewers can read a workspace's tasks but not change them
+  const canEdit = !currentWorkspace || currentWorkspace.role !== 'viewer'
+
+  // People a task in the current scope can be assigned to
+  const assignableMembers = useMemo(
+    () =>
+      currentWorkspace
+        ? currentWorkspace.members.map((member) => member.user)
+        : [{ _id: user.id, name: user.name, email: user.email }],
+    [currentWorkspace, user]
+  )
+  const membersById = useMemo(
+    () => Object.fromEntries(assignableMembers.map((member) => [member._id, member])),
+    [assignableMembers]
+  )
+
+  const refreshViews = () => setViewVersion((version) => version + 1)
+
+  const handleViewChange = (view) => {
+    setTaskView(view)
+    setSelectedIds(new Set())
+    updateUser({ ...user, preferences: { ...user.preferences, taskView: view } })
+    api.put('/profile/preferences', { taskView: view }).catch((error) => {
+      console.error('Error saving task view:', error)
+    })
+  }
+
+  const fetchWorkspaces = async () => {
+    try {
+      // Invitations are matched on the email address, so the server only
+      // lists them for a verified one
+      const [workspacesResponse, invitationsResponse] = await Promise.all([
+        api.get('/workspaces'),
+        user?.emailVerified ? api.get('/invitations') : null,
+      ])
+      const nextWorkspaces = workspacesResponse.data.workspaces
+      setWorkspaces(nextWorkspaces)
+      setInvitations(invitationsResponse ? invitationsResponse.data.invitations : [])
+
+      // Fall back to personal tasks if the saved workspace is gone
+      setFilters((prev) =>
+        prev.workspace && !nextWorkspaces.some((workspace) => workspace._id === prev.workspace)
+          ? { ...prev, workspace: '' }
+          : prev
+      )
+    } catch (error) {
+      console.error('Error fetching workspaces:', error)
+    }
+  }
+
+  const fetchTags = async () => {
+    try {
+      const response = await api.get('/tags')
+      setTags(response.data.tags)
+    } catch (error) {
+      console.error('Error fetching tags:', error)
+    }
+  }
+
+  const fetchProjects = async () => {
+    try {
+      const response = await api.get('/projects')
+      setProjects(response.data.projects)
+    } catch (error) {
+      console.error('Error fetching projects:', error)
+    }
+  }
+
+  const handleProjectDeleted = (projectId) => {
+    fetchProjects()
+    if (filters.project === projectId) {
+      handleFilterChange('project', '')
+    } else {
+      fetchTasks()
+      refreshViews()
+    }
+  }
+
+  const handleTagDeleted = (tagId) => {
+    setTasks((prev) =>
+      prev.map((task) => ({ ...task, tags: (task.tags || []).filter((id) => id !== tagId) }))
+    )
+    if (filters.tags.includes(tagId)) {
+      handleFilterChange('tags', filters.tags.filter((id) => id !== tagId))
+    }
+  }
+
+  // The board and calendar filter like the list but order and page tasks
+  // themselves. The board also leaves out the status, having a column for each.
+  const buildViewParams = (...omit) => {
+    const params = buildTaskParams()
+    for (const key of ['sortBy', 'sortOrder', 'limit', ...omit]) params.delete(key)
+    return params.toString()
+  }
+
+  const buildTaskParams = (cursor) => {
+    const params = new URLSearchParams()
+    if (filters.status) params.append('status', filters.status)
+    if (filters.priority) params.append('priority', filters.priority)
+    if (filters.search) params.append('search', filters.search)
+    if (filters.workspace) params.append('workspace', filters.workspace)
+    if (filters.assignee) params.append('assignee', filters.assignee)
+    if (filters.project) params.append('project', filters.project)
+    if (filters.tags.length > 0) {
+      params.append('tags', filters.tags.join(','))
+      params.append('tagMode', filters.tagMode)
+    }
+    params.append('sortBy', filters.sortBy)
+    params.append('sortOrder', filters.sortOrder)
+    params.append('limit', PAGE_SIZE)
+    if (cursor) params.append('cursor', cursor)
+    return params
+  }
 
   const fetchTasks = async () => {
+    const requestId = ++requestIdRef.current
     try {
       setLoading(true)
-      const params = new URLSearchParams()
-      if (filters.status) params.append('status', filters.status)
-      if (filters.priority) params.append('priority', filters.priority)
-      if (filters.search) params.append('search', filters.search)
-      params.append('sortBy', filters.sortBy)
-      params.append('sortOrder', filters.sortOrder)
-
-      const response = await api.get(`/tasks?${params.toString()}`)
+      const response = await api.get(`/tasks?${buildTaskParams().toString()}`)
+      if (requestId !== requestIdRef.current) return
       setTasks(response.data.tasks)
+      setHighlights(response.data.highlights || {})
+      setSearchError('')
+      setSelectedIds(new Set())
+      setNextCursor(response.data.nextCursor)
+      setHasMore(response.data.hasMore)
     } catch (error) {
+      if (requestId === requestIdRef.current && error.response?.status === 400) {
+        // Most likely a search the API could not parse
+        setSearchError(error.response.data.message)
+      }
       console.error('Error fetching tasks:', error)
     } finally {
-      setLoading(false)
+      if (requestId === requestIdRef.current) {
+        setLoading(false)
+        setLoadingMore(false)
+      }
+    }
+  }
+
+  const loadMoreTasks = async () => {
+    if (!hasMore || loadingMore || loading) return
+
+    const requestId = requestIdRef.current
+    try {
+      setLoadingMore(true)
+      const response = await api.get(`/tasks?${buildTaskParams(nextCursor).toString()}`)
+      if (requestId !== requestIdRef.current) return
+      setTasks((prev) => {
+        // Skip tasks already shown, e.g. ones created since the first page loaded
+        const seen = new Set(prev.map((task) => task._id))
+        return [...prev, ...response.data.tasks.filter((task) => !seen.has(task._id))]
+      })
+      setHighlights((prev) => ({ ...prev, ...response.data.highlights }))
+      setNextCursor(response.data.nextCursor)
+      setHasMore(response.data.hasMore)
+    } catch (error) {
+      console.error('Error loading more tasks:', error)
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoadingMore(false)
+      }
     }
   }
 
   const handleCreateTask = async (taskData) => {
     try {
-      const response = await api.post('/tasks', taskData)
+      const response = await api.post('/tasks', {
+        ...taskData,
+        workspace: filters.workspace || null,
+      })
       setTasks([response.data.task, ...tasks])
       setShowTaskForm(false)
+      refreshViews()
+      fetchProjects()
     } catch (error) {
       throw error
     }
@@ -58,27 +292,142 @@ const Dashboard = () => {
   const handleUpdateTask = async (taskId, taskData) => {
     try {
       const response = await api.put(`/tasks/${taskId}`, taskData)
-      setTasks(tasks.map((task) => (task._id === taskId ? response.data.task : task)))
+      const { task: updatedTask, nextTask } = response.data
+      // Completing a recurring task also schedules its next occurrence
+      setTasks([
+        ...(nextTask ? [nextTask] : []),
+        ...tasks.map((task) => (task._id === taskId ? updatedTask : task)),
+      ])
       setEditingTask(null)
+      refreshViews()
+      fetchProjects()
     } catch (error) {
       throw error
     }
   }
 
+  // Deleting moves tasks to the trash, so an undo toast replaces confirmation
   const handleDeleteTask = async (taskId) => {
-    if (!window.confirm('Are you sure you want to delete this task?')) {
-      return
-    }
-
     try {
       await api.delete(`/tasks/${taskId}`)
       setTasks(tasks.filter((task) => task._id !== taskId))
+      setSelectedIds((prev) => {
+        const next = new Set(prev)
+        next.delete(taskId)
+        return next
+      })
+      refreshViews()
+      fetchProjects()
+      setUndoDelete({ message: 'Task moved to trash', taskIds: [taskId] })
     } catch (error) {
       console.error('Error deleting task:', error)
       alert('Failed to delete task. Please try again.')
     }
   }
 
+  const handleBulkAction = async (action, value) => {
+    const response = await api.post('/tasks/bulk', { ids: [...selectedIds], action, value })
+    const { results } = response.data
+    const succeeded = results.filter((result) => result.success)
+    const updatedById = new Map(
+      succeeded.filter((result) => result.task).map((result) => [result.id, result.task])
+    )
+    const deletedIds = new Set(action === 'delete' ? succeeded.map((result) => result.id) : [])
+    // Completed recurring tasks come back with their next occurrence
+    const spawned = succeeded.filter((result) => result.nextTask).map((result) => result.nextTask)
+
+    setTasks((prev) => [
+      ...spawned,
+      ...prev
+        .filter((task) => !deletedIds.has(task._id))
+        .map((task) => updatedById.get(task._id) || task),
+    ])
+    // Keep the tasks that failed selected so they can be retried
+    setSelectedIds(new Set(results.filter((result) => !result.success).map((result) => result.id)))
+    fetchProjects()
+
+    if (deletedIds.size > 0) {
+      setUndoDelete({
+        message: `${deletedIds.size} task${deletedIds.size === 1 ? '' : 's'} moved to trash`,
+        taskIds: [...deletedIds],
+      })
+    }
+
+    return response.data
+  }
+
+  const dismissUndo = useCallback(() => setUndoDelete(null), [])
+
+  const handleUndoDelete = async () => {
+    const { taskIds } = undoDelete
+    setUndoDelete(null)
+    try {
+      await api.post('/tasks/bulk', { ids: taskIds, action: 'restore' })
+      // Refetch so restored tasks land in their place in the current sort order
+      fetchTasks()
+      refreshViews()
+      fetchProjects()
+    } catch (error) {
+      console.error('Error restoring tasks:', error)
+      alert('Failed to restore. The tasks are still in the trash.')
+    }
+  }
+
+  // Imports can add tags and projects as well as tasks
+  const handleImported = () => {
+    fetchTasks()
+    refreshViews()
+    fetchTags()
+    fetchProjects()
+  }
+
+  const replaceTask = (updatedTask) => {
+    setTasks((prev) => prev.map((task) => (task._id === updatedTask._id ? updatedTask : task)))
+    setLinkedTask((prev) => (prev?._id === updatedTask._id ? updatedTask : prev))
+    refreshViews()
+  }
+
+  const handleToggleChecklistItem = async (taskId, itemId) => {
+    try {
+      const response = await api.patch(`/tasks/${taskId}/checklist/${itemId}`)
+      replaceTask(response.data.task)
+    } catch (error) {
+      console.error('Error updating checklist item:', error)
+      alert('Failed to update checklist item. Please try again.')
+    }
+  }
+
+  const selectedProject = projects.find((project) => project._id === filters.project)
+  const listTitle =
+    filters.project === 'none'
+      ? 'Tasks without a project'
+      : selectedProject?.name || (currentWorkspace ? `${currentWorkspace.name} Tasks` : 'My Tasks')
+
+  const handleWorkspaceSwitch = (workspaceId) => {
+    setShowTaskForm(false)
+    setEditingTask(null)
+    setFilters((prev) => ({ ...prev, workspace: workspaceId, assignee: '' }))
+  }
+
+  // Look the open task up in the list so the panel reflects edits made elsewhere
+  const openTask =
+    tasks.find((task) => task._id === openTaskId) ||
+    (linkedTask?._id === openTaskId ? linkedTask : undefined)
+  const closeTaskPanel = useCallback(() => setOpenTaskId(null), [])
+
+  const handleOpenTaskById = async (taskId) => {
+    if (!tasks.some((task) => task._id === taskId)) {
+      try {
+        const response = await api.get(`/tasks/${taskId}`)
+        setLinkedTask(response.data.task)
+      } catch (error) {
+        console.error('Error fetching task:', error)
+        return
+      }
+    }
+    setOpenTaskId(taskId)
+  }
+
   const handleLogout = () => {
     logout()
     navigate('/login')
@@ -88,6 +437,21 @@ const Dashboard = () => {
     setFilters((prev) => ({ ...prev, [key]: value }))
   }
 
+  // Searching switches the default order to best match, and clearing the
+  // search switches it back
+  const handleSearchChange = (search) => {
+    setFilters((prev) => {
+      const next = { ...prev, search }
+      if (search && prev.sortBy === 'createdAt' && prev.sortOrder === 'desc') {
+        next.sortBy = 'relevance'
+      } else if (!search && prev.sortBy === 'relevance') {
+        next.sortBy = 'createdAt'
+        next.sortOrder = 'desc'
+      }
+      return next
+    })
+  }
+
   const handleEditTask = (task) => {
     setEditingTask(task)
     setShowTaskForm(true)
@@ -106,6 +470,17 @@ const Dashboard = () => {
           <div className="flex justify-between items-center">
             <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Task Management Dashboard</h1>
             <div className="flex items-center gap-4">
+              <WorkspaceSwitcher
+                workspaces={workspaces}
+                current={filters.workspace}
+                invitationCount={invitations.length}
+                onSwitch={handleWorkspaceSwitch}
+                onManage={() => setShowWorkspaceManager(true)}
+              />
+              <Link to="/insights" className="btn-secondary">
+                Insights
+              </Link>
+              <NotificationBell onOpenTask={handleOpenTaskById} />
               <ThemeToggle />
               <button
                 onClick={handleLogout}
@@ -118,107 +493,301 @@ const Dashboard = () => {
         </div>
       </header>
 
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <VerifyEmailBanner />
+
+      {/* Leave room below the list for the floating bulk action bar */}
+      <main
+        className={`max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 ${
+          canEdit && selectedIds.size > 0 ? 'pb-32' : ''
+        }`}
+      >
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
           {/* Profile Sidebar */}
-          <div className="lg:col-span-1">
+          <div className="lg:col-span-1 space-y-6">
             <ProfileCard />
+            <ProjectList
+              projects={projects}
+              selected={showTrash ? null : filters.project}
+              trashOpen={showTrash}
+              onSelect={(projectId) => {
+                setShowTrash(false)
+                handleFilterChange('project', projectId)
+              }}
+              onOpenTrash={() => {
+                setShowTrash(true)
+                setSelectedIds(new Set())
+              }}
+              onProjectsChange={fetchProjects}
+              onProjectDeleted={handleProjectDeleted}
+            />
+            <TagManager tags={tags} onTagsChange={setTags} onTagDeleted={handleTagDeleted} />
           </div>
 
           {/* Main Content */}
           <div className="lg:col-span-3 space-y-6">
-            {/* Filters and Actions */}
-            <div className="card">
-              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
-                <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">My Tasks</h2>
-                <button
-                  onClick={() => {
-                    setEditingTask(null)
-                    setShowTaskForm(true)
-                  }}
-                  className="btn-primary"
-                >
-                  + New Task
-                </button>
-              </div>
-
-              {/* Filters */}
-              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
-                <div className="lg:col-span-2">
-                  <input
-                    type="text"
-                    placeholder="Search tasks..."
-                    value={filters.search}
-                    onChange={(e) => handleFilterChange('search', e.target.value)}
-                    className="input"
-                  />
-                </div>
-                <div>
-                  <select
-                    value={filters.status}
-                    onChange={(e) => handleFilterChange('status', e.target.value)}
-                    className="input"
-                  >
-                    <option value="">All Status</option>
-                    <option value="todo">Todo</option>
-                    <option value="in-progress">In Progress</option>
-                    <option value="completed">Completed</option>
-                  </select>
-                </div>
-                <div>
-                  <select
-                    value={filters.priority}
-                    onChange={(e) => handleFilterChange('priority', e.target.value)}
-                    className="input"
-                  >
-                    <option value="">All Priority</option>
-                    <option value="low">Low</option>
-                    <option value="medium">Medium</option>
-                    <option value="high">High</option>
-                  </select>
-                </div>
-                <div>
-                  <select
-                    value={`${filters.sortBy}-${filters.sortOrder}`}
-                    onChange={(e) => {
-                      const [sortBy, sortOrder] = e.target.value.split('-')
-                      handleFilterChange('sortBy', sortBy)
-                      handleFilterChange('sortOrder', sortOrder)
-                    }}
-                    className="input"
-                  >
-                    <option value="createdAt-desc">Newest First</option>
-                    <option value="createdAt-asc">Oldest First</option>
-                    <option value="dueDate-asc">Due Date (Earliest)</option>
-                    <option value="dueDate-desc">Due Date (Latest)</option>
-                    <option value="priority-desc">Priority (High to Low)</option>
-                    <option value="priority-asc">Priority (Low to High)</option>
-                    <option value="title-asc">Title (A-Z)</option>
-                    <option value="title-desc">Title (Z-A)</option>
-                  </select>
+            {showTrash ? (
+              <TrashView
+                workspace={filters.workspace}
+                canEdit={canEdit}
+                onRestored={fetchProjects}
+              />
+            ) : (
+              <>
+                {/* Filters and Actions */}
+                <div className="card">
+                  <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-4">
+                    <h2 className="text-xl font-semibold text-gray-900 dark:text-gray-100">{listTitle}</h2>
+                    <div className="flex flex-wrap items-center gap-4">
+                      <div className="inline-flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden">
+                        {['list', 'board', 'calendar'].map((view) => (
+                          <button
+                            key={view}
+                            onClick={() => handleViewChange(view)}
+                            aria-pressed={taskView === view}
+                            className={`px-3 py-1.5 text-sm font-medium capitalize ${
+                              taskView === view
+                                ? 'bg-primary-600 text-white'
+                                : 'bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+                            }`}
+                          >
+                            {view}
+                          </button>
+                        ))}
+                      </div>
+                      <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                          type="checkbox"
+                          checked={filters.assignee === 'me'}
+                          onChange={(e) => handleFilterChange('assignee', e.target.checked ? 'me' : '')}
+                          className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        />
+                        Assigned to me
+                      </label>
+                      <ExportMenu params={buildTaskParams().toString()} />
+                      {canEdit && (
+                        <button onClick={() => setShowImport(true)} className="btn-secondary">
+                          Import
+                        </button>
+                      )}
+                      {canEdit && (
+                        <button onClick={() => setShowMigrate(true)} className="btn-secondary">
+                          Migrate from…
+                        </button>
+                      )}
+                      {canEdit && (
+                        <button
+                          onClick={() => {
+                            setEditingTask(null)
+                            setNewTaskDueDate('')
+                            setShowTaskForm(true)
+                          }}
+                          className="btn-primary"
+                        >
+                          + New Task
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {/* Filters */}
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-6 gap-4">
+                    <div className="lg:col-span-2">
+                      <SearchBox
+                        value={filters.search}
+                        onChange={handleSearchChange}
+                        tags={tags}
+                        projects={projects}
+                        error={searchError}
+                      />
+                    </div>
+                    {/* The board has a column per status */}
+                    {taskView !== 'board' && (
+                      <div>
+                        <select
+                          value={filters.status}
+                          onChange={(e) => handleFilterChange('status', e.target.value)}
+                          className="input"
+                        >
+                          <option value="">All Status</option>
+                          <option value="todo">Todo</option>
+                          <option value="in-progress">In Progress</option>
+                          <option value="completed">Completed</option>
+                        </select>
+                      </div>
+                    )}
+                    <div>
+                      <select
+                        value={filters.priority}
+                        onChange={(e) => handleFilterChange('priority', e.target.value)}
+                        className="input"
+                      >
+                        <option value="">All Priority</option>
+                        <option value="low">Low</option>
+                        <option value="medium">Medium</option>
+                        <option value="high">High</option>
+                      </select>
+                    </div>
+                    <div>
+                      <TagFilter
+                        tags={tags}
+                        selected={filters.tags}
+                        mode={filters.tagMode}
+                        onChange={(selected) => handleFilterChange('tags', selected)}
+                        onModeChange={(mode) => handleFilterChange('tagMode', mode)}
+                      />
+                    </div>
+                    {taskView === 'list' && (
+                      <div>
+                        <select
+                          value={`${filters.sortBy}-${filters.sortOrder}`}
+                          onChange={(e) => {
+                            const [sortBy, sortOrder] = e.target.value.split('-')
+                            handleFilterChange('sortBy', sortBy)
+                            handleFilterChange('sortOrder', sortOrder)
+                          }}
+                          className="input"
+                        >
+                          {filters.search && <option value="relevance-desc">Best Match</option>}
+                          <option value="createdAt-desc">Newest First</option>
+                          <option value="createdAt-asc">Oldest First</option>
+                          <option value="dueDate-asc">Due Date (Earliest)</option>
+                          <option value="dueDate-desc">Due Date (Latest)</option>
+                          <option value="priority-desc">Priority (High to Low)</option>
+                          <option value="priority-asc">Priority (Low to High)</option>
+                          <option value="title-asc">Title (A-Z)</option>
+                          <option value="title-desc">Title (Z-A)</option>
+                        </select>
+                      </div>
+                    )}
+                  </div>
                 </div>
-              </div>
-            </div>
 
-            {/* Task Form Modal */}
-            {showTaskForm && (
-              <TaskForm
-                task={editingTask}
-                onSubmit={editingTask ? handleUpdateTask : handleCreateTask}
-                onCancel={handleCancelEdit}
-              />
-            )}
+                {showImport && (
+                  <ImportWizard
+                    workspace={filters.workspace}
+                    onImported={handleImported}
+                    onClose={() => setShowImport(false)}
+                  />
+                )}
 
-            {/* Task List */}
-            <TaskList
-              tasks={tasks}
-              loading={loading}
-              onEdit={handleEditTask}
-              onDelete={handleDeleteTask}
-            />
+                {showMigrate && (
+                  <MigrateDialog
+                    workspace={filters.workspace}
+                    onImported={handleImported}
+                    onClose={() => setShowMigrate(false)}
+                  />
+                )}
+
+                {/* Task Form Modal */}
+                {showTaskForm && (
+                  <TaskForm
+                    task={editingTask}
+                    tags={tags}
+                    projects={projects}
+                    members={assignableMembers}
+                    defaultProject={selectedProject?._id || ''}
+                    defaultDueDate={newTaskDueDate}
+                    onSubmit={editingTask ? handleUpdateTask : handleCreateTask}
+                    onCancel={handleCancelEdit}
+                  />
+                )}
+
+                {/* Task List, Board or Calendar */}
+                {taskView === 'calendar' ? (
+                  <TaskCalendar
+                    params={buildViewParams()}
+                    refreshKey={viewVersion}
+                    canEdit={canEdit}
+                    onOpen={(task) => {
+                      setLinkedTask(task)
+                      setOpenTaskId(task._id)
+                    }}
+                    onCreate={(dueDate) => {
+                      setEditingTask(null)
+                      setNewTaskDueDate(dueDate)
+                      setShowTaskForm(true)
+                    }}
+                  />
+                ) : taskView === 'board' ? (
+                  <TaskBoard
+                    params={buildViewParams('status')}
+                    refreshKey={viewVersion}
+                    tagsById={tagsById}
+                    membersById={membersById}
+                    canEdit={canEdit}
+                    onOpen={(task) => {
+                      setLinkedTask(task)
+                      setOpenTaskId(task._id)
+                    }}
+                    onEdit={handleEditTask}
+                    onDelete={handleDeleteTask}
+                  />
+                ) : (
+                  <TaskList
+                    tasks={tasks}
+                    tagsById={tagsById}
+                    membersById={membersById}
+                    canEdit={canEdit}
+                    loading={loading}
+                    loadingMore={loadingMore}
+                    hasMore={hasMore}
+                    onLoadMore={loadMoreTasks}
+                    onOpen={(task) => setOpenTaskId(task._id)}
+                    onEdit={handleEditTask}
+                    onDelete={handleDeleteTask}
+                    onToggleChecklistItem={handleToggleChecklistItem}
+                    selectedIds={selectedIds}
+                    onSelectionChange={setSelectedIds}
+                    highlights={highlights}
+                  />
+                )}
+              </>
+            )}
           </div>
         </div>
       </main>
+
+      {canEdit && selectedIds.size > 0 && (
+        <BulkActionBar
+          count={selectedIds.size}
+          tags={tags}
+          onAction={handleBulkAction}
+          onClear={() => setSelectedIds(new Set())}
+        />
+      )}
+
+      {undoDelete && (
+        <Toast
+          key={undoDelete.taskIds.join(',')}
+          message={undoDelete.message}
+          actionLabel="Undo"
+          onAction={handleUndoDelete}
+          onDismiss={dismissUndo}
+        />
+      )}
+
+      {openTask && (
+        <TaskDetailPanel
+          task={openTask}
+          members={assignableMembers}
+          currentUserId={user.id}
+          canEdit={canEdit}
+          lookups={{ tagsById, membersById, projectsById }}
+          onTaskUpdated={replaceTask}
+          onClose={closeTaskPanel}
+        />
+      )}
+
+      {showWorkspaceManager && (
+        <WorkspaceManager
+          workspace={currentWorkspace}
+          invitations={invitations}
+          currentUserId={user.id}
+          onSwitch={handleWorkspaceSwitch}
+          onChanged={fetchWorkspaces}
+          onClose={() => setShowWorkspaceManager(false)}
+        />
+      )}
     </div>
   )
 }
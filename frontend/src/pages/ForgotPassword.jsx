@@ -0,0 +1,116 @@
+import { useState } from 'react'
+import { Link } from 'react-router-dom'
+import api from '../utils/api'
+import ThemeToggle from '../components/ThemeToggle'
+
+// Asks for the account's email and sends it a password reset link
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('')
+  const [error, setError] = useState('')
+  const [sent, setSent] = useState('')
+  const [isSubmitting, setIsSubmitting] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('Email is invalid')
+      return
+    }
+
+    setIsSubmitting(true)
+    setError('')
+    try {
+      const response = await api.post('/auth/forgot-password', { email })
+      setSent(response.data.message)
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send the reset link. Please try again.')
+    } finally {
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100
+    dark:from-gray-900 dark:to-gray-800 py-12 px-4 sm:px-6 lg:px-8 relative">
+      <div className="absolute top-4 right-4">
+        <ThemeToggle />
+      </div>
+      <div className="max-w-md w-full space-y-8">
+        <div className="card">
+          <div className="text-center">
+            <h2 className="text-3xl font-extrabold text-gray-900 dark:text-gray-100 mb-2">
+              Forgot Password
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400">
+              Enter your email and we'll send you a link to choose a new password
+            </p>
+          </div>
+
+          {sent ? (
+            <div className="mt-8 space-y-6">
+              <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800
+               text-green-700 dark:text-green-400 px-4 py-3 rounded-lg" role="status">
+                {sent}. The link works for one hour.
+              </div>
+              <button onClick={() => setSent('')} className="w-full btn-secondary">
+                Send another link
+              </button>
+            </div>
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+              {error && (
+                <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-700
+                dark:text-red-400 px-4 py-3 rounded-lg">
+                  {error}
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="email" className="label">
+                  Email Address
+                </label>
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  value={email}
+                  onChange={(e) => {
+                    setEmail(e.target.value)
+                    setError('')
+                  }}
+                  className="input"
+                  placeholder="you@example.com"
+                />
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full btn-primary py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? 'Sending...' : 'Send reset link'}
+              </button>
+            </form>
+          )}
+
+          <div className="mt-6 text-center">
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Remembered it?{' '}
+              <Link
+                to="/login"
+                className="font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400
+                dark:hover:text-primary-300"
+              >
+                Back to sign in
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ForgotPassword
@@ -0,0 +1,278 @@
+import { useState, useEffect } from 'react'
+import { Link } from 'react-router-dom'
+import api from '../utils/api'
+import ThemeToggle from '../components/ThemeToggle'
+import TimelineChart from '../components/TimelineChart'
+import BreakdownChart from '../components/BreakdownChart'
+
+const PRESETS = [
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+  { value: '365', label: 'Last year' },
+  { value: 'custom', label: 'Custom range' },
+]
+
+const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone
+
+const dayKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+// The range covered by a preset, ending today
+const presetRange = (days) => {
+  const today = new Date()
+  const from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (Number(days) - 1))
+  return { from: dayKey(from), to: dayKey(today) }
+}
+
+const formatDuration = (hours) => {
+  if (hours === null) return '—'
+  if (hours < 1) return `${Math.round(hours * 60)} min`
+  if (hours < 48) return `${Math.round(hours * 10) / 10} h`
+  return `${Math.round((hours / 24) * 10) / 10} days`
+}
+
+const StatTile = ({ label, value, detail, highlight = false }) => (
+  <div className="card">
+    <p className="text-xs text-gray-500 dark:text-gray-400 uppercase tracking-wide">{label}</p>
+    <p
+      className={`mt-1 text-3xl font-bold ${
+        highlight ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-gray-100'
+      }`}
+    >
+      {value}
+    </p>
+    {detail && <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{detail}</p>}
+  </div>
+)
+
+// Charts of the user's productivity: what they have on, what they create and
+// finish over time, how long tasks take and how many days in a row they kept going
+const Insights = () => {
+  const [preset, setPreset] = useState('30')
+  const [range, setRange] = useState(() => presetRange(30))
+  const [groupBy, setGroupBy] = useState('')
+  const [workspace, setWorkspace] = useState(localStorage.getItem('workspace') || '')
+  const [workspaces, setWorkspaces] = useState([])
+  const [stats, setStats] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    api
+      .get('/workspaces')
+      .then((response) => setWorkspaces(response.data.workspaces))
+      .catch((err) => console.error('Error fetching workspaces:', err))
+  }, [])
+
+  useEffect(() => {
+    if (!range.from || !range.to) return
+
+    const params = new URLSearchParams({ from: range.from, to: range.to, timezone })
+    if (groupBy) params.append('interval', groupBy)
+    if (workspace) params.append('workspace', workspace)
+
+    let cancelled = false
+    setLoading(true)
+    setError('')
+    api
+      .get(`/stats?${params.toString()}`)
+      .then((response) => {
+        if (!cancelled) setStats(response.data.stats)
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.message || 'Failed to load insights')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [range, groupBy, workspace])
+
+  const handlePresetChange = (value) => {
+    setPreset(value)
+    if (value !== 'custom') setRange(presetRange(value))
+  }
+
+  const totalTasks = stats ? Object.values(stats.byStatus).reduce((sum, count) => sum + count, 0) : 0
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <header className="bg-white dark:bg-gray-800 shadow-sm dark:shadow-gray-900/50">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4">
+          <div className="flex justify-between items-center">
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-gray-100">Insights</h1>
+            <div className="flex items-center gap-4">
+              <ThemeToggle />
+              <Link to="/dashboard" className="btn-secondary">
+                Back to tasks
+              </Link>
+            </div>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        <div className="card flex flex-wrap items-end gap-4">
+          <div>
+            <label htmlFor="insights-workspace" className="label">
+              Tasks
+            </label>
+            <select
+              id="insights-workspace"
+              value={workspace}
+              onChange={(e) => setWorkspace(e.target.value)}
+              className="input"
+            >
+              <option value="">Personal</option>
+              {workspaces.map((item) => (
+                <option key={item._id} value={item._id}>
+                  {item.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="insights-range" className="label">
+              Date range
+            </label>
+            <select
+              id="insights-range"
+              value={preset}
+              onChange={(e) => handlePresetChange(e.target.value)}
+              className="input"
+            >
+              {PRESETS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {preset === 'custom' && (
+            <>
+              <div>
+                <label htmlFor="insights-from" className="label">
+                  From
+                </label>
+                <input
+                  id="insights-from"
+                  type="date"
+                  value={range.from}
+                  max={range.to}
+                  onChange={(e) => setRange((prev) => ({ ...prev, from: e.target.value }))}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label htmlFor="insights-to" className="label">
+                  To
+                </label>
+                <input
+                  id="insights-to"
+                  type="date"
+                  value={range.to}
+                  min={range.from}
+                  onChange={(e) => setRange((prev) => ({ ...prev, to: e.target.value }))}
+                  className="input"
+                />
+              </div>
+            </>
+          )}
+          <div>
+            <label htmlFor="insights-interval" className="label">
+              Group by
+            </label>
+            <select
+              id="insights-interval"
+              value={groupBy}
+              onChange={(e) => setGroupBy(e.target.value)}
+              className="input"
+            >
+              <option value="">Automatic</option>
+              <option value="day">Day</option>
+              <option value="week">Week</option>
+            </select>
+          </div>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800
+           text-red-700 dark:text-red-400 px-4 py-2 rounded-lg text-sm" role="alert">
+            {error}
+          </div>
+        )}
+
+        {loading && !stats ? (
+          <div className="flex justify-center items-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : (
+          stats && (
+            <div className={`space-y-6 ${loading ? 'opacity-60' : ''}`} aria-busy={loading}>
+              <div className="grid grid-cols-2 lg:grid-cols-4 gap-6">
+                <StatTile
+                  label="Completed"
+                  value={stats.completedInRange}
+                  detail="in this range"
+                />
+                <StatTile
+                  label="Average time to complete"
+                  value={formatDuration(stats.averageCompletionHours)}
+                  detail="from creation, for tasks completed in this range"
+                />
+                <StatTile
+                  label="Overdue"
+                  value={stats.overdue}
+                  detail="open tasks past their due date"
+                  highlight={stats.overdue > 0}
+                />
+                <StatTile
+                  label="Completion streak"
+                  value={`${stats.streak.current} ${stats.streak.current === 1 ? 'day' : 'days'}`}
+                  detail={`Longest: ${stats.streak.longest} ${stats.streak.longest === 1 ? 'day' : 'days'}`}
+                />
+              </div>
+
+              <div className="card">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4">
+                  Created vs completed per {stats.range.interval}
+                </h2>
+                <TimelineChart timeline={stats.timeline} interval={stats.range.interval} />
+              </div>
+
+              <div className="card">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-1">Current tasks</h2>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                  {totalTasks} {totalTasks === 1 ? 'task' : 'tasks'}, whatever the date range
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                  <BreakdownChart
+                    title="By status"
+                    items={[
+                      { label: 'Todo', value: stats.byStatus.todo, color: 'bg-gray-400' },
+                      { label: 'In Progress', value: stats.byStatus['in-progress'], color: 'bg-blue-500' },
+                      { label: 'Completed', value: stats.byStatus.completed, color: 'bg-green-500' },
+                    ]}
+                  />
+                  <BreakdownChart
+                    title="By priority"
+                    items={[
+                      { label: 'High', value: stats.byPriority.high, color: 'bg-red-500' },
+                      { label: 'Medium', value: stats.byPriority.medium, color: 'bg-yellow-500' },
+                      { label: 'Low', value: stats.byPriority.low, color: 'bg-gray-400' },
+                    ]}
+                  />
+                </div>
+              </div>
+            </div>
+          )
+        )}
+      </main>
+    </div>
+  )
+}
+
+export default Insights
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { Link, useNavigate } from 'react-router-dom'
+import { Link, useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../context/AuthContext'
 import ThemeToggle from '../components/ThemeToggle'
 
@@ -10,8 +10,16 @@ const Login = () => {
   })
   const [errors, setErrors] = useState({})
   const [isSubmitting, setIsSubmitting] = useState(false)
-  const { login, isAuthenticated } = useAuth()
+  // Set once the password is accepted for an account with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null)
+  const [code, setCode] = useState('')
+  // After too many failed attempts, when logging in is allowed again
+  const [retryUntil, setRetryUntil] = useState(null)
+  const [now, setNow] = useState(Date.now())
+  const { login, completeTwoFactor, isAuthenticated } = useAuth()
   const navigate = useNavigate()
+  // Set when arriving from another page, e.g. after resetting the password
+  const notice = useLocation().state?.message
 
   useEffect(() => {
     if (isAuthenticated) {
@@ -19,6 +27,35 @@ const Login = () => {
     }
   }, [isAuthenticated, navigate])
 
+  useEffect(() => {
+    if (!retryUntil) return
+    const timer = setInterval(() => {
+      if (Date.now() >= retryUntil) {
+        setRetryUntil(null)
+      } else {
+        setNow(Date.now())
+      }
+    }, 1000)
+    return () => clearInterval(timer)
+  }, [retryUntil])
+
+  const secondsLeft = retryUntil ? Math.max(0, Math.ceil((retryUntil - now) / 1000)) : 0
+  const waitText =
+    secondsLeft > 120
+      ? `${Math.ceil(secondsLeft / 60)} minutes`
+      : `${secondsLeft} ${secondsLeft === 1 ? 'second' : 'seconds'}`
+
+  // Show the server's answer, counting down when it asks to wait
+  const handleFailure = (result) => {
+    if (result.retryAfter) {
+      setNow(Date.now())
+      setRetryUntil(Date.now() + result.retryAfter * 1000)
+      setErrors({})
+    } else {
+      setErrors({ submit: result.message })
+    }
+  }
+
   const handleChange = (e) => {
     const { name, value } = e.target
     setFormData((prev) => ({ ...prev, [name]: value }))
@@ -60,11 +97,48 @@ const Login = () => {
 
     if (result.success) {
       navigate('/dashboard')
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken)
+      setErrors({})
     } else {
+      handleFailure(result)
+    }
+  }
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!code.trim()) {
+      setErrors({ code: 'Code is required' })
+      return
+    }
+
+    setIsSubmitting(true)
+    const result = await completeTwoFactor(challengeToken, code)
+    setIsSubmitting(false)
+
+    if (result.success) {
+      if (result.recoveryCodesLeft !== undefined && result.recoveryCodesLeft <= 3) {
+        window.alert(
+          `You have ${result.recoveryCodesLeft} recovery codes left. Create new ones from your profile.`
+        )
+      }
+      navigate('/dashboard')
+    } else if (result.expired) {
+      handleBackToPassword()
       setErrors({ submit: result.message })
+    } else {
+      handleFailure(result)
     }
   }
 
+  const handleBackToPassword = () => {
+    setChallengeToken(null)
+    setCode('')
+    setFormData((prev) => ({ ...prev, password: '' }))
+    setErrors({})
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 
     dark:from-gray-900 dark:to-gray-800 py-12 px-4 sm:px-6 lg:px-8 relative">
@@ -80,77 +154,163 @@ const Login = () => {
             <p className="text-gray-600 dark:text-gray-400">Sign in to your account</p>
           </div>
 
-          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-            {errors.submit && (
-              <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-700 
-              dark:text-red-400 px-4 py-3 rounded-lg">
-                {errors.submit}
-              </div>
-            )}
+          {challengeToken ? (
+            <form className="mt-8 space-y-6" onSubmit={handleCodeSubmit}>
+              {secondsLeft > 0 && (
+                <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800
+                text-yellow-800 dark:text-yellow-300 px-4 py-3 rounded-lg" role="alert">
+                  Too many failed login attempts. Try again in {waitText}.
+                </div>
+              )}
 
-            <div className="space-y-4">
-              <div>
-                <label htmlFor="email" className="label">
-                  Email Address
-                </label>
-                <input
-                  id="email"
-                  name="email"
-                  type="email"
-                  autoComplete="email"
-                  value={formData.email}
-                  onChange={handleChange}
-                  className={`input ${errors.email ? 'border-red-500 dark:border-red-500' : ''}`}
-                  placeholder="you@example.com"
-                />
-                {errors.email && (
-                  <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.email}</p>
-                )}
-              </div>
+              {errors.submit && (
+                <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-700
+                dark:text-red-400 px-4 py-3 rounded-lg">
+                  {errors.submit}
+                </div>
+              )}
 
               <div>
-                <label htmlFor="password" className="label">
-                  Password
+                <label htmlFor="code" className="label">
+                  Authentication Code
                 </label>
                 <input
-                  id="password"
-                  name="password"
-                  type="password"
-                  autoComplete="current-password"
-                  value={formData.password}
-                  onChange={handleChange}
-                  className={`input ${errors.password ? 'border-red-500 dark:border-red-500' : ''}`}
-                  placeholder="••••••••"
+                  id="code"
+                  name="code"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  autoFocus
+                  value={code}
+                  onChange={(e) => {
+                    setCode(e.target.value)
+                    setErrors({})
+                  }}
+                  className={`input ${errors.code ? 'border-red-500 dark:border-red-500' : ''}`}
+                  placeholder="123456"
                 />
-                {errors.password && (
-                  <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.password}</p>
-                )}
+                {errors.code && <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.code}</p>}
+                <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                  Enter the 6-digit code from your authenticator app, or one of your recovery codes if you
+                  don't have your device.
+                </p>
               </div>
-            </div>
 
-            <div>
               <button
                 type="submit"
-                disabled={isSubmitting}
+                disabled={isSubmitting || secondsLeft > 0}
                 className="w-full btn-primary py-3 disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                {isSubmitting ? 'Signing in...' : 'Sign in'}
+                {isSubmitting ? 'Verifying...' : 'Verify'}
               </button>
-            </div>
-
-            <div className="text-center">
-              <p className="text-sm text-gray-600 dark:text-gray-400">
-                Don't have an account?{' '}
-                <Link
-                  to="/register"
-                  className="font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400 
+
+              <div className="text-center">
+                <button
+                  type="button"
+                  onClick={handleBackToPassword}
+                  className="text-sm font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400
                   dark:hover:text-primary-300"
                 >
-                  Sign up
-                </Link>
-              </p>
-            </div>
-          </form>
+                  Back to sign in
+                </button>
+              </div>
+            </form>
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+              {notice && !errors.submit && (
+                <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800
+                 text-green-700 dark:text-green-400 px-4 py-3 rounded-lg" role="status">
+                  {notice}
+                </div>
+              )}
+
+              {secondsLeft > 0 && (
+                <div className="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800
+                text-yellow-800 dark:text-yellow-300 px-4 py-3 rounded-lg" role="alert">
+                  Too many failed login attempts. Try again in {waitText}.
+                </div>
+              )}
+
+              {errors.submit && (
+                <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-700 
+                dark:text-red-400 px-4 py-3 rounded-lg">
+                  {errors.submit}
+                </div>
+              )}
+
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="email" className="label">
+                    Email Address
+                  </label>
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    value={formData.email}
+                    onChange={handleChange}
+                    className={`input ${errors.email ? 'border-red-500 dark:border-red-500' : ''}`}
+                    placeholder="you@example.com"
+                  />
+                  {errors.email && (
+                    <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.email}</p>
+                  )}
+                </div>
+
+                <div>
+                  <div className="flex justify-between items-baseline">
+                    <label htmlFor="password" className="label">
+                      Password
+                    </label>
+                    <Link
+                      to="/forgot-password"
+                      className="text-sm font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400
+                      dark:hover:text-primary-300"
+                    >
+                      Forgot password?
+                    </Link>
+                  </div>
+                  <input
+                    id="password"
+                    name="password"
+                    type="password"
+                    autoComplete="current-password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className={`input ${errors.password ? 'border-red-500 dark:border-red-500' : ''}`}
+                    placeholder="••••••••"
+                  />
+                  {errors.password && (
+                    <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.password}</p>
+                  )}
+                </div>
+              </div>
+
+              <div>
+                <button
+                  type="submit"
+                  disabled={isSubmitting || secondsLeft > 0}
+                  className="w-full btn-primary py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? 'Signing in...' : 'Sign in'}
+                </button>
+              </div>
+
+              <div className="text-center">
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  Don't have an account?{' '}
+                  <Link
+                    to="/register"
+                    className="font-medium text-primary-600 hover:text-primary-500 dark:text-primary-400 
+                    dark:hover:text-primary-300"
+                  >
+                    Sign up
+                  </Link>
+                </p>
+              </div>
+            </form>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,149 @@
+import { useState } from 'react'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import api from '../utils/api'
+import ThemeToggle from '../components/ThemeToggle'
+
+// Opened from the link in a password reset email, which carries the token
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  })
+  const [errors, setErrors] = useState({})
+  const [isSubmitting, setIsSubmitting] = useState(false)
+  const navigate = useNavigate()
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setFormData((prev) => ({ ...prev, [name]: value }))
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: '' }))
+    }
+  }
+
+  const validate = () => {
+    const newErrors = {}
+
+    if (formData.password.length < 6) {
+      newErrors.password = 'Password must be at least 6 characters'
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match'
+    }
+
+    setErrors(newErrors)
+    return Object.keys(newErrors).length === 0
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+
+    if (!validate()) {
+      return
+    }
+
+    setIsSubmitting(true)
+    try {
+      const response = await api.post('/auth/reset-password', { token, password: formData.password })
+      navigate('/login', { replace: true, state: { message: response.data.message } })
+    } catch (err) {
+      setErrors({ submit: err.response?.data?.message || 'Failed to reset your password. Please try again.' })
+      setIsSubmitting(false)
+    }
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100
+    dark:from-gray-900 dark:to-gray-800 py-12 px-4 sm:px-6 lg:px-8 relative">
+      <div className="absolute top-4 right-4">
+        <ThemeToggle />
+      </div>
+      <div className="max-w-md w-full space-y-8">
+        <div className="card">
+          <div className="text-center">
+            <h2 className="text-3xl font-extrabold text-gray-900 dark:text-gray-100 mb-2">
+              Choose a New Password
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400">You'll be signed out of all your devices</p>
+          </div>
+
+          {!token ? (
+            <div className="mt-8 bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-700
+            dark:text-red-400 px-4 py-3 rounded-lg">
+              This reset link is incomplete. Open the link from the email again, or{' '}
+              <Link to="/forgot-password" className="font-medium underline">
+                request a new one
+              </Link>
+              .
+            </div>
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+              {errors.submit && (
+                <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-700
+                dark:text-red-400 px-4 py-3 rounded-lg">
+                  {errors.submit}{' '}
+                  <Link to="/forgot-password" className="font-medium underline">
+                    Request a new link
+                  </Link>
+                </div>
+              )}
+
+              <div className="space-y-4">
+                <div>
+                  <label htmlFor="password" className="label">
+                    New Password
+                  </label>
+                  <input
+                    id="password"
+                    name="password"
+                    type="password"
+                    autoComplete="new-password"
+                    value={formData.password}
+                    onChange={handleChange}
+                    className={`input ${errors.password ? 'border-red-500 dark:border-red-500' : ''}`}
+                    placeholder="••••••••"
+                  />
+                  {errors.password && (
+                    <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.password}</p>
+                  )}
+                </div>
+
+                <div>
+                  <label htmlFor="confirmPassword" className="label">
+                    Confirm New Password
+                  </label>
+                  <input
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    type="password"
+                    autoComplete="new-password"
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                    className={`input ${errors.confirmPassword ? 'border-red-500 dark:border-red-500' : ''}`}
+                    placeholder="••••••••"
+                  />
+                  {errors.confirmPassword && (
+                    <p className="mt-1 text-sm text-red-600 dark:text-red-400">{errors.confirmPassword}</p>
+                  )}
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full btn-primary py-3 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? 'Saving...' : 'Reset password'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
@@ -0,0 +1,79 @@
+import { useState, useEffect, useRef } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { useAuth } from '../context/AuthContext'
+import api from '../utils/api'
+import ThemeToggle from '../components/ThemeToggle'
+
+// Opened from the link in a verification email. Confirms the address as soon
+// as the page loads.
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+  const { isAuthenticated, refreshUser } = useAuth()
+  const [status, setStatus] = useState(token ? 'verifying' : 'error')
+  const [message, setMessage] = useState(token ? '' : 'This verification link is incomplete.')
+  // Tokens work once, so don't send it again when effects run twice in development
+  const sent = useRef(false)
+
+  useEffect(() => {
+    if (!token || sent.current) return
+    sent.current = true
+
+    api
+      .post('/auth/verify-email', { token })
+      .then((response) => {
+        setStatus('verified')
+        setMessage(`${response.data.email} is verified.`)
+        // The address or its verified flag changed, so reload the signed-in
+        // user. The saved token is checked since this runs before the
+        // provider has restored the session.
+        if (localStorage.getItem('token')) refreshUser()
+      })
+      .catch((err) => {
+        setStatus('error')
+        setMessage(err.response?.data?.message || 'Verification failed. Please try again.')
+      })
+  }, [token])
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100
+    dark:from-gray-900 dark:to-gray-800 py-12 px-4 sm:px-6 lg:px-8 relative">
+      <div className="absolute top-4 right-4">
+        <ThemeToggle />
+      </div>
+      <div className="max-w-md w-full space-y-8">
+        <div className="card text-center">
+          <h2 className="text-3xl font-extrabold text-gray-900 dark:text-gray-100 mb-4">Email Verification</h2>
+
+          {status === 'verifying' && (
+            <div className="flex justify-center py-4">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600"></div>
+            </div>
+          )}
+
+          {status === 'verified' && (
+            <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800
+             text-green-700 dark:text-green-400 px-4 py-3 rounded-lg" role="status">
+              {message}
+            </div>
+          )}
+
+          {status === 'error' && (
+            <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 text-red-700
+            dark:text-red-400 px-4 py-3 rounded-lg" role="alert">
+              {message} You can ask for a new link from the dashboard.
+            </div>
+          )}
+
+          {status !== 'verifying' && (
+            <Link to={isAuthenticated ? '/dashboard' : '/login'} className="inline-block mt-6 btn-primary">
+              {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmail
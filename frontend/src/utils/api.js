@@ -23,16 +23,63 @@ api.interceptors.request.use(
   }
 )
 
-// Handle response errors
+// Requests where a 401 means wrong credentials rather than an expired token
+const AUTH_URLS = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh', '/auth/logout']
+
+const signOut = () => {
+  localStorage.removeItem('token')
+  localStorage.removeItem('refreshToken')
+  localStorage.removeItem('user')
+  window.location.href = '/login'
+}
+
+// Requests failing at the same time share one refresh, since each refresh
+// token can only be used once
+let refreshing = null
+
+const refreshTokens = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem('refreshToken')
+    refreshing = (
+      refreshToken
+        ? axios.post(`${API_URL}/auth/refresh`, { refreshToken }).then((response) => {
+            localStorage.setItem('token', response.data.token)
+            localStorage.setItem('refreshToken', response.data.refreshToken)
+          })
+        : Promise.reject(new Error('Not signed in'))
+    )
+      .catch((error) => {
+        // Another tab may have refreshed with the same token a moment earlier
+        if (localStorage.getItem('refreshToken') === refreshToken) throw error
+      })
+      .finally(() => {
+        refreshing = null
+      })
+  }
+  return refreshing
+}
+
+// Access tokens are short-lived: on a 401, get new tokens and retry once, and
+// only send the user to the login page if the session itself has ended
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token')
-      localStorage.removeItem('user')
-      window.location.href = '/login'
+  async (error) => {
+    const { config, response } = error
+    if (response?.status !== 401 || !config || AUTH_URLS.includes(config.url)) {
+      return Promise.reject(error)
     }
-    return Promise.reject(error)
+    if (config._retried) {
+      signOut()
+      return Promise.reject(error)
+    }
+
+    try {
+      await refreshTokens()
+    } catch (refreshError) {
+      signOut()
+      return Promise.reject(error)
+    }
+    return api({ ...config, _retried: true })
   }
 )
 
@@ -0,0 +1,24 @@
+// Mentions are written as @[Display Name](userId) so the backend can tell
+// exactly who was mentioned, and shown to people as @Display Name
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\(([0-9a-fA-F]{24})\)/g
+
+export const formatMention = (member) => `@[${member.name}](${member._id})`
+
+// Split comment text into plain-text and mention parts for rendering
+export const parseMentions = (text) => {
+  const parts = []
+  let lastIndex = 0
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push({ type: 'text', value: text.slice(lastIndex, match.index) })
+    }
+    parts.push({ type: 'mention', name: match[1], userId: match[2] })
+    lastIndex = match.index + match[0].length
+  }
+
+  if (lastIndex < text.length) {
+    parts.push({ type: 'text', value: text.slice(lastIndex) })
+  }
+  return parts
+}
@@ -0,0 +1,144 @@
+export const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' },
+]
+
+export const ORDINALS = [
+  { value: 1, label: 'first' },
+  { value: 2, label: 'second' },
+  { value: 3, label: 'third' },
+  { value: 4, label: 'fourth' },
+  { value: -1, label: 'last' },
+]
+
+// Picker state for a task that does not repeat
+export const emptyRecurrence = {
+  frequency: 'none',
+  interval: 1,
+  weekdays: [],
+  monthlyMode: 'day',
+  monthDay: 1,
+  ordinal: 1,
+  weekday: 'MO',
+  custom: '',
+}
+
+const WEEKDAY_CODES = WEEKDAYS.map((day) => day.code)
+
+// Split "FREQ=WEEKLY;BYDAY=MO" into { FREQ: 'WEEKLY', BYDAY: 'MO' }
+const parseParts = (rule) =>
+  Object.fromEntries(
+    rule
+      .replace(/^RRULE:/i, '')
+      .split(';')
+      .filter(Boolean)
+      .map((part) => {
+        const [key, value = ''] = part.split('=')
+        return [key.toUpperCase(), value.toUpperCase()]
+      })
+  )
+
+// Turn an RRULE into picker state. Rules the simple modes cannot express
+// fall back to the custom mode with the rule kept as typed.
+export const parseRecurrence = (rule) => {
+  if (!rule) return { ...emptyRecurrence }
+
+  const custom = { ...emptyRecurrence, frequency: 'custom', custom: rule }
+  const { FREQ, INTERVAL = '1', BYDAY, BYMONTHDAY, ...rest } = parseParts(rule)
+  const interval = Number(INTERVAL)
+
+  if (Object.keys(rest).length > 0 || !Number.isInteger(interval) || interval < 1) {
+    return custom
+  }
+
+  if (FREQ === 'DAILY' && !BYDAY && !BYMONTHDAY) {
+    return { ...emptyRecurrence, frequency: 'daily', interval }
+  }
+
+  if (FREQ === 'WEEKLY' && !BYMONTHDAY) {
+    const weekdays = BYDAY ? BYDAY.split(',') : []
+    if (weekdays.every((day) => WEEKDAY_CODES.includes(day))) {
+      return { ...emptyRecurrence, frequency: 'weekly', interval, weekdays }
+    }
+  }
+
+  if (FREQ === 'MONTHLY' && BYMONTHDAY && !BYDAY && /^([1-9]|[12]\d|3[01])$/.test(BYMONTHDAY)) {
+    return {
+      ...emptyRecurrence,
+      frequency: 'monthly',
+      interval,
+      monthlyMode: 'day',
+      monthDay: Number(BYMONTHDAY),
+    }
+  }
+
+  const nthWeekday = FREQ === 'MONTHLY' && !BYMONTHDAY && BYDAY?.match(/^(-1|[1-4])([A-Z]{2})$/)
+  if (nthWeekday && WEEKDAY_CODES.includes(nthWeekday[2])) {
+    return {
+      ...emptyRecurrence,
+      frequency: 'monthly',
+      interval,
+      monthlyMode: 'weekday',
+      ordinal: Number(nthWeekday[1]),
+      weekday: nthWeekday[2],
+    }
+  }
+
+  return custom
+}
+
+// Turn picker state into an RRULE, or null when the task does not repeat
+export const buildRecurrence = (state) => {
+  const interval = state.interval > 1 ? `;INTERVAL=${state.interval}` : ''
+
+  switch (state.frequency) {
+    case 'daily':
+      return `FREQ=DAILY${interval}`
+    case 'weekly': {
+      // Without chosen days the series repeats on the due date's weekday
+      const days = WEEKDAY_CODES.filter((day) => state.weekdays.includes(day))
+      return `FREQ=WEEKLY${interval}${days.length > 0 ? `;BYDAY=${days.join(',')}` : ''}`
+    }
+    case 'monthly':
+      return state.monthlyMode === 'weekday'
+        ? `FREQ=MONTHLY${interval};BYDAY=${state.ordinal}${state.weekday}`
+        : `FREQ=MONTHLY${interval};BYMONTHDAY=${state.monthDay}`
+    case 'custom':
+      return state.custom.trim() || null
+    default:
+      return null
+  }
+}
+
+const every = (interval, unit) => (interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`)
+
+// Summarize an RRULE in a few words, e.g. "Every week on Mon, Wed"
+export const describeRecurrence = (rule) => {
+  const state = parseRecurrence(rule)
+  const dayLabel = (code) => WEEKDAYS.find((day) => day.code === code).label
+
+  switch (state.frequency) {
+    case 'daily':
+      return every(state.interval, 'day')
+    case 'weekly':
+      return state.weekdays.length > 0
+        ? `${every(state.interval, 'week')} on ${state.weekdays.map(dayLabel).join(', ')}`
+        : every(state.interval, 'week')
+    case 'monthly': {
+      if (state.monthlyMode === 'day') {
+        return `${every(state.interval, 'month')} on day ${state.monthDay}`
+      }
+      const ordinal = ORDINALS.find((option) => option.value === state.ordinal).label
+      return `${every(state.interval, 'month')} on the ${ordinal} ${dayLabel(state.weekday)}`
+    }
+    case 'custom':
+      return 'Custom schedule'
+    default:
+      return null
+  }
+}